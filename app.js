@@ -4,17 +4,30 @@
 require('dotenv').config();
 
 // --- CRITICAL ENVIRONMENT CHECK ---
-if (!process.env.ADMIN_USERNAME || !process.env.ADMIN_PASSWORD) {
-    console.error("FATAL ERROR: ADMIN_USERNAME and ADMIN_PASSWORD must be set in the .env file!");
+if (!process.env.ADMIN_USERNAME || !process.env.ADMIN_PASSWORD_HASH) {
+    console.error("FATAL ERROR: ADMIN_USERNAME and ADMIN_PASSWORD_HASH must be set in the .env file! Generate the hash with: npm run hash-password -- <password>");
     process.exit(1);
 }
-if (!process.env.MONGO_URI) {
-    console.error("FATAL ERROR: MONGO_URI must be set in the .env file for database persistence!");
+if (!process.env.SESSION_SECRET) {
+    console.error("FATAL ERROR: SESSION_SECRET must be set in the .env file to sign admin session cookies!");
     process.exit(1);
 }
-// 1. ADD CLOUDINARY CHECK
-if (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET) {
-    console.error("FATAL ERROR: Cloudinary credentials (CLOUD_NAME, API_KEY, API_SECRET) must be set in the .env file for persistent file storage!");
+// PERSISTENCE DRIVER CHECK ('mongo' by default, 'file' keeps everything in JSON files under data/)
+const PERSISTENCE_DRIVER = process.env.PERSISTENCE_DRIVER || 'mongo';
+if (PERSISTENCE_DRIVER === 'mongo' && !process.env.MONGO_URI) {
+    console.error("FATAL ERROR: MONGO_URI must be set in the .env file for database persistence, or set PERSISTENCE_DRIVER=file to use JSON files!");
+    process.exit(1);
+}
+// 1. STORAGE DRIVER CHECK ('cloudinary' by default, 'local' writes to public/uploads)
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'cloudinary';
+if (STORAGE_DRIVER === 'cloudinary' && (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET)) {
+    console.error("FATAL ERROR: Cloudinary credentials (CLOUD_NAME, API_KEY, API_SECRET) must be set in the .env file, or set STORAGE_DRIVER=local to store uploads on disk!");
+    process.exit(1);
+}
+// 2. MAIL TRANSPORT CHECK ('log' by default prints contact notifications, 'smtp' sends them, 'none' drops them)
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'log';
+if (MAIL_TRANSPORT === 'smtp' && !process.env.SMTP_HOST) {
+    console.error("FATAL ERROR: SMTP_HOST must be set in the .env file for MAIL_TRANSPORT=smtp (use localhost and SMTP_PORT=1025 for a local test server)!");
     process.exit(1);
 }
 // --- END CRITICAL CHECK ---
@@ -23,130 +36,423 @@ if (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !pr
 // Import required modules
 const express = require('express');
 const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs');
 const bodyParser = require('body-parser');
 const multer = require('multer');
-// 2. IMPORT CLOUDINARY LIBRARIES
-const cloudinary = require('cloudinary').v2;
-const { CloudinaryStorage } = require('multer-storage-cloudinary');
+const session = require('express-session');
+const bcrypt = require('bcrypt');
+// 2. IMPORT STORAGE DRIVERS
+const { createStorage } = require('./lib/storage');
 
-// Mongoose and utility libraries
-const mongoose = require('mongoose');
+// Persistence drivers and utility libraries
+const { createRepository, validatePortfolio, portfolioValidationError } = require('./lib/repository');
 const { v4: uuidv4 } = require('uuid');
+const { createAttemptLimiter } = require('./lib/attemptLimiter');
+const { createApiV1Router } = require('./lib/api/v1');
+const { reorderItems } = require('./lib/reorder');
+const { diffSections } = require('./lib/diff');
+const { collectAssetUrls } = require('./lib/assets');
+const { createRevisionHistory } = require('./lib/revisions');
+const { createBackupArchive, readBackupArchive, restoreBackupAssets } = require('./lib/backup');
+const { migrateDocument, runMigrations } = require('./lib/migrations');
+const { slugify, assignProjectSlug } = require('./lib/slug');
+const { renderMarkdown, markdownToText } = require('./lib/markdown');
+const { createMessageInbox, validateContactMessage, MESSAGE_LIMITS } = require('./lib/messages');
+const { createMailer } = require('./lib/mail');
+const { createFormTokens } = require('./lib/formToken');
+const { SEO_PAGES, absoluteUrl, buildPageMeta, buildSitemap, buildRobots } = require('./lib/seo');
+const { createAnalytics, parseRange, isBot, TRACKED_LINKS } = require('./lib/analytics');
+const { renderPdfThumbnail } = require('./lib/pdfThumbnail');
+const { createImageLibrary, imageSrcset, imageTag } = require('./lib/images');
+const { UPLOAD_LIMITS, uploadError, describeUploadLimits, fromMulterError, checkUpload } = require('./lib/uploads');
+const { RESUME_TEMPLATES, RESUME_SECTIONS, buildResume, renderResumePdf } = require('./lib/resume');
+const { GALLERY_PAGE_SIZE, HOME_GALLERY_SIZE, galleryAlbums, galleryPage } = require('./lib/gallery');
+const { THEME_FONTS, THEME_DEFAULTS, THEME_LIMITS, themeSettings, themeCss, fontStylesheetUrl } = require('./lib/theme');
+const {
+    createGitHubClient, usernameFromProfile, linkedRepository, projectFromRepository, syncProject,
+    syncProjectStats, isStatsChange
+} = require('./lib/github');
+const {
+    LOCALES, DEFAULT_LOCALE, TRANSLATED_LOCALES, TRANSLATABLE_FIELDS,
+    translate, localizePortfolio, translationStatus, localePath
+} = require('./lib/i18n');
 
 // Initialize app
 const app = express();
 
-// --- MONGOOSE CONNECTION & SCHEMA CONFIGURATION (from previous step) ---
-const MONGO_URI = process.env.MONGO_URI;
-
-// Define the Mongoose Schema for the entire portfolio document
-const portfolioSchema = new mongoose.Schema({
-    _id: { type: String, default: 'portfolio_data' },
-    carousel: Array,
-    about: Object,
-    projectSummary: Object,
-    education: Array,
-    certificates: Array,
-    gallery: Array,
-    projects: Array,
-    footerInfo: Object
-}, { strict: false });
-
-const Portfolio = mongoose.model('Portfolio', portfolioSchema);
+// --- PERSISTENCE CONFIGURATION ---
+// The portfolio is kept in memory as two plain-object documents:
+//   portfolioData       the draft (_id: 'portfolio_draft'); admin routes mutate it
+//                       and persist it through savePortfolio()
+//   publishedPortfolio  what the public pages show (_id: 'portfolio_data'); only
+//                       replaced when the admin publishes the draft (the GitHub
+//                       sync also refreshes its linked projects)
+const repository = createRepository({
+    driver: PERSISTENCE_DRIVER,
+    mongoUri: process.env.MONGO_URI,
+    dataDir: process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, 'data')
+});
+
+// Failed and locked-out login attempts, shown in the admin Security tab (kept 30 days)
+const loginAttempts = repository.collection('loginAttempts');
+const LOGIN_ATTEMPT_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// --- CONTACT MESSAGES ---
+// Contact form messages are stored for the admin Messages tab, and the site
+// owner (CONTACT_EMAIL) is notified through the configured mail transport.
+const messageInbox = createMessageInbox({ collection: repository.collection('messages') });
+
+// --- VISIT STATISTICS ---
+// Daily counters of page views, visitors, referrers and tracked link clicks,
+// shown in the admin Analytics tab (see lib/analytics.js)
+const analytics = createAnalytics({ collection: repository.collection('analytics') });
+// --- GITHUB ---
+// Public repositories of GITHUB_USERNAME (or of the footer's GitHub profile)
+// can be imported as projects; linked projects are synced every
+// GITHUB_SYNC_HOURS hours (24 by default, 0 turns the scheduled sync off).
+// GITHUB_API_URL points to a local stand-in during tests; GITHUB_TOKEN raises
+// the API rate limit.
+const github = createGitHubClient({ apiUrl: process.env.GITHUB_API_URL, token: process.env.GITHUB_TOKEN });
+const GITHUB_SYNC_HOURS = process.env.GITHUB_SYNC_HOURS === undefined ? 24 : Number(process.env.GITHUB_SYNC_HOURS);
+
+const mailer = createMailer({
+    transport: MAIL_TRANSPORT,
+    smtp: {
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || undefined,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+    },
+    from: process.env.MAIL_FROM,
+    to: process.env.CONTACT_EMAIL
+});
+
+const PUBLISHED_PORTFOLIO_ID = 'portfolio_data';
+const DRAFT_PORTFOLIO_ID = 'portfolio_draft';
+
 let portfolioData = null;
+let publishedPortfolio = null;
+// Copy of the document as last persisted, used to compute what each save changed
+let lastSavedPortfolio = null;
+
+// --- FILE STORAGE CONFIGURATION ---
+const storage = createStorage({
+    driver: STORAGE_DRIVER,
+    uploadsDir: path.join(__dirname, 'public', 'uploads'),
+    cloudinary: {
+        cloudName: process.env.CLOUDINARY_CLOUD_NAME,
+        apiKey: process.env.CLOUDINARY_API_KEY,
+        apiSecret: process.env.CLOUDINARY_API_SECRET
+    }
+});
+
+// --- RESPONSIVE IMAGES ---
+// Width variants, size and placeholder of every stored image, used by the
+// views' srcset (see lib/images.js)
+const images = createImageLibrary({ collection: repository.collection('images'), storage });
+
+// Creates the variants of a stored image. A failure only costs the srcset (the
+// view falls back to a plain <img>; the next startup tries again), so it is logged.
+const processImage = async (url, buffer) => {
+    try {
+        await images.process(url, buffer);
+    } catch (error) {
+        console.error(`❌ Could not create the variants of ${url}:`, error.message);
+    }
+};
+
+// Creates the missing variants of the images used by the draft or the published
+// portfolio, in the background (at startup, after a restore and after API changes)
+const backfillImages = () => images.backfill([...collectAssetUrls([portfolioData, publishedPortfolio], storage.isStoredUrl)])
+    .then((processed) => {
+        if (processed > 0) console.log(`🖼️ Image variants created for ${processed} image(s).`);
+    })
+    .catch(error => console.error('❌ Image variants backfill failed:', error.message));
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+const PDF_EXTENSIONS = ['.pdf'];
+
+// Function to create an upload handler for a storage folder.
+// Multer keeps the file in memory (up to the folder's size limit); once its
+// content passed the checks of lib/uploads.js, the configured storage driver
+// stores it and `req.file.path` is set to its public URL, so routes work with
+// any driver. Images get their width variants before the route runs.
+// A refused file reaches the route as an UploadError.
+const createUpload = (folder) => {
+    const allowedExtensions = folder.includes('Pdf') ? PDF_EXTENSIONS : IMAGE_EXTENSIONS;
+    const limits = UPLOAD_LIMITS[folder];
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: limits.maxBytes, files: 1 },
+        fileFilter: (req, file, cb) => {
+            const extension = path.extname(file.originalname).toLowerCase();
+            if (!allowedExtensions.includes(extension)) {
+                return cb(uploadError(`File type ${extension || '(none)'} is not allowed. Allowed: ${allowedExtensions.join(', ')}`));
+            }
+            cb(null, true);
+        }
+    });
+
+    return {
+        limits: describeUploadLimits(limits, allowedExtensions),
+        single: (fieldName) => (req, res, callback) => {
+            // Errors thrown by the route's async callback go to Express (req.next),
+            // just like errors thrown by an async route handler
+            const done = (err) => Promise.resolve(callback(err)).catch(req.next);
+
+            upload.single(fieldName)(req, res, async (err) => {
+                if (err) return done(fromMulterError(err, limits.maxBytes));
+                if (!req.file) return done();
+                let stored;
+                try {
+                    checkUpload(req.file, limits);
+                    stored = await storage.put(folder, req.file);
+                } catch (error) {
+                    return done(error);
+                }
+                req.file.path = stored.url;
+                if (allowedExtensions === IMAGE_EXTENSIONS) await processImage(stored.url, req.file.buffer);
+                done();
+            });
+        }
+    };
+};
 
-// --- CLOUDINARY CONFIGURATION (New) ---
-cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET
+// Configure upload handlers for each storage folder
+const carouselUpload = createUpload('Carousel');
+const profilePhotoUpload = createUpload('Story');
+const certificateUpload = createUpload('Pdf');
+const galleryUpload = createUpload('Gallery');
+const projectImageUpload = createUpload('Project');
+const projectSummaryImageUpload = projectImageUpload;
+const educationLogoUpload = createUpload('Education');
+
+// Backup archives are only parsed in memory, never stored (BACKUP_MAX_MB, default 200)
+const BACKUP_MAX_BYTES = (parseInt(process.env.BACKUP_MAX_MB) || 200) * 1024 * 1024;
+const backupUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: BACKUP_MAX_BYTES },
+    fileFilter: (req, file, cb) => {
+        if (path.extname(file.originalname).toLowerCase() !== '.zip') {
+            return cb(uploadError('Backups must be .zip archives exported from this dashboard.'));
+        }
+        cb(null, true);
+    }
+});
+// --------------------------------------------------------------------------
+
+
+// --- REVISION HISTORY ---
+// Each save records what changed plus a full snapshot (see lib/revisions.js).
+// Stored files are only deleted once neither the current document nor any kept
+// revision references them, so restoring an old revision never shows a broken image.
+const revisionHistory = createRevisionHistory({
+    collection: repository.collection('revisions'),
+    limit: parseInt(process.env.REVISION_LIMIT) || 50
 });
 
-// Helper function to delete assets from Cloudinary (New)
-const deleteCloudinaryAsset = async (publicId) => {
+// `req` is the request that made the change, or the name of a background job
+const describeRoute = (req) => {
+    if (typeof req === 'string') return req;
+    return req.route ? `${req.method} ${req.baseUrl}${req.route.path}` : `${req.method} ${req.originalUrl}`;
+};
+
+// Deletes the given stored files (and their image variants) unless the draft,
+// the published portfolio or a kept revision still references them
+const releaseAssets = async (urls) => {
+    const candidates = [...new Set(urls.filter(Boolean))];
+    if (candidates.length === 0) return;
+
+    const inUse = collectAssetUrls([portfolioData, publishedPortfolio, ...await revisionHistory.snapshots()], storage.isStoredUrl);
+    // Files still referenced by either document or a kept revision stay put;
+    // they are released again when the last revision using them is pruned.
+    for (const url of candidates) {
+        if (inUse.has(url)) continue;
+        await storage.delete(url);
+        await images.release(url);
+    }
+};
+
+const recordRevision = async (req, changes) => {
     try {
-        if (!publicId) return;
-        const result = await cloudinary.uploader.destroy(publicId);
-        if (result.result === 'not found') {
-            console.warn(`Cloudinary asset not found: ${publicId}`);
-        } else if (result.result === 'ok') {
-            console.log(`Successfully deleted Cloudinary asset: ${publicId}`);
-        } else {
-            console.error(`Failed to delete Cloudinary asset ${publicId}:`, result);
+        await revisionHistory.record({
+            sections: [...new Set(changes.map(change => change.path.split('.')[0]))],
+            route: describeRoute(req),
+            url: typeof req === 'string' ? null : req.originalUrl,
+            changes,
+            snapshot: structuredClone(portfolioData)
+        });
+
+        // Files referenced only by pruned revisions are no longer needed for a restore
+        const pruned = await revisionHistory.prune();
+        if (pruned.length > 0) {
+            await releaseAssets([...collectAssetUrls(pruned.map(revision => revision.snapshot), storage.isStoredUrl)]);
         }
     } catch (error) {
-        console.error("Cloudinary Deletion Error:", error);
+        console.error("❌ Could not record revision:", error);
     }
 };
 
-// Function to extract the public ID from the Cloudinary URL
-// URL format: .../v123456789/folder/filename.ext
-// Public ID is: folder/filename
-const extractPublicId = (fileUrl) => {
-    if (!fileUrl || !fileUrl.includes('cloudinary.com')) {
-        return null;
+// Top-level sections present in any of the given documents
+const sectionsOf = (...documents) => [...new Set(documents.flatMap(doc => Object.keys(doc || {})))].filter(key => key !== '_id');
+
+// Persists the in-memory draft and records a revision of what changed.
+// `section` names the top-level key that changed; omit it to save the whole document.
+// `isRecorded(change)` can leave changes out of the revision; none left, no revision.
+// If the save fails, the draft is rolled back to its last saved state and the
+// files uploaded for the failed change are deleted. A document rejected by the
+// driver rethrows its PortfolioValidationError; any other failure (database
+// unreachable...) becomes a PortfolioSaveError naming the section.
+const savePortfolio = async (req, section, { isRecorded = () => true } = {}) => {
+    const sections = section ? [section] : sectionsOf(lastSavedPortfolio, portfolioData);
+
+    try {
+        await repository.savePortfolio(portfolioData, section ? [section] : undefined, DRAFT_PORTFOLIO_ID);
+    } catch (error) {
+        const failedAssets = collectAssetUrls(portfolioData, storage.isStoredUrl);
+        portfolioData = structuredClone(lastSavedPortfolio);
+        // Files uploaded for the failed change are not referenced anywhere now
+        try {
+            await releaseAssets([...failedAssets]);
+        } catch (releaseError) {
+            console.error("❌ Could not release the files of a failed save:", releaseError);
+        }
+
+        if (error.name === 'PortfolioValidationError') throw error;
+        console.error(`❌ Draft save failed (${section || 'all sections'}):`, error);
+        throw Object.assign(new Error('The change could not be saved to the database. Check server log.'), {
+            name: 'PortfolioSaveError',
+            section,
+            cause: error
+        });
     }
 
-    // This new regex is more robust. It looks for the path segment 
-    // immediately after /upload/ (optionally skipping the version 'vXXX/' part)
-    // and captures the rest, which is the folder/filename.ext.
-    const regex = /\/upload\/(?:v\d+\/)?(.*)/;
-    const match = fileUrl.match(regex);
+    const changes = diffSections(lastSavedPortfolio, portfolioData, sections);
+    lastSavedPortfolio = structuredClone(portfolioData);
 
-    if (match && match[1]) {
-        let publicIdWithExtension = match[1];
-        // Remove the file extension (e.g., '.png')
-        // Cloudinary only needs the path without the extension for the destroy method.
-        return publicIdWithExtension.substring(0, publicIdWithExtension.lastIndexOf('.'));
+    if (changes.some(isRecorded)) {
+        await recordRevision(req, changes);
     }
-    return null;
 };
 
+// Field-level differences between the published portfolio and the draft
+const unpublishedChanges = () => diffSections(publishedPortfolio, portfolioData, sectionsOf(publishedPortfolio, portfolioData));
+
+// --- GITHUB SYNC ---
+// Outcome of the last sync ({ at, linked, error }), shown in the admin Projects tab
+let lastGitHubSync = null;
+
+// The GitHub account whose repositories are listed
+const githubUsername = () => process.env.GITHUB_USERNAME ||
+    usernameFromProfile(portfolioData && portfolioData.footerInfo && portfolioData.footerInfo.githubLink);
 
-// Function to create Cloudinary storage configuration
-const createCloudinaryStorage = (folder) => new CloudinaryStorage({
-    cloudinary: cloudinary,
-    params: {
-        folder: `portfolio/${folder}`, // All files go into a 'portfolio' master folder
-        allowed_formats: folder.includes('Pdf') ? ['pdf'] : ['jpg', 'png', 'jpeg'],
-        transformation: [{ quality: 'auto', fetch_format: 'auto' }] // Optimization for images
+// The account's public repositories by lowercase full name ('octocat/hello-world')
+const listGitHubRepositories = async () => {
+    const username = githubUsername();
+    if (!username) {
+        throw new Error('No GitHub account: set GITHUB_USERNAME or a github.com profile as the footer GitHub link.');
     }
-});
+    const repositories = await github.listRepositories(username);
+    return new Map(repositories.map(repo => [repo.full_name.toLowerCase(), repo]));
+};
 
-// Configure Multer instances using Cloudinary storage
-const carouselUpload = multer({ storage: createCloudinaryStorage('Carousel') });
-const profilePhotoUpload = multer({ storage: createCloudinaryStorage('Story') });
-const certificateUpload = multer({ storage: createCloudinaryStorage('Pdf') });
-const galleryUpload = multer({ storage: createCloudinaryStorage('Gallery') });
-const projectImageUpload = multer({ storage: createCloudinaryStorage('Project') });
-const projectSummaryImageUpload = projectImageUpload;
-const educationLogoUpload = multer({ storage: createCloudinaryStorage('Education') });
-// --------------------------------------------------------------------------
+const repositoryKey = (project) => (linkedRepository(project) || '').toLowerCase();
+
+// Refreshes the projects linked to one of the account's repositories. The
+// statistics change in the draft and in the published portfolio, so visitors
+// see current stars without a publish; copied text only changes in the draft.
+// `req` is the admin request, or the name of the scheduled job.
+const syncGitHubProjects = async (req) => {
+    const repositories = await listGitHubRepositories();
+    const linked = [...new Set([...portfolioData.projects, ...publishedPortfolio.projects].map(repositoryKey))]
+        .filter(key => repositories.has(key));
+    const languages = new Map();
+    for (const key of linked) {
+        languages.set(key, await github.listLanguages(repositories.get(key).full_name));
+    }
 
+    const sync = (projects, syncLinked) => projects.map((project) => {
+        const key = repositoryKey(project);
+        return languages.has(key) ? syncLinked(project, repositories.get(key), languages.get(key)) : project;
+    });
 
-// Function to connect to DB and load/initialize data (Same as previous step)
+    // Copied text goes to the draft and waits for the next publish. A sync that
+    // only refreshed statistics is not worth a revision.
+    portfolioData.projects = sync(portfolioData.projects, syncProject);
+    await savePortfolio(req, 'projects', { isRecorded: change => !isStatsChange(change.path) });
+    // The live copy only gets the statistics, once the draft is saved
+    const published = { ...publishedPortfolio, projects: sync(publishedPortfolio.projects, syncProjectStats) };
+    await repository.savePortfolio(published, ['projects'], PUBLISHED_PORTFOLIO_ID);
+    publishedPortfolio = published;
+
+    lastGitHubSync = { at: new Date(), linked: linked.length, error: null };
+    console.log(`🔄 GitHub sync: ${linked.length} linked project(s) refreshed.`);
+};
+
+// Skipped while no GitHub account is configured
+const runScheduledGitHubSync = async () => {
+    if (!githubUsername()) return;
+    try {
+        await syncGitHubProjects('Scheduled GitHub sync');
+    } catch (error) {
+        lastGitHubSync = { at: new Date(), linked: 0, error: error.message };
+        console.error('❌ Scheduled GitHub sync failed:', error.message);
+    }
+};
+
+// Function to connect to the persistence driver and load/initialize data
 const connectDBAndLoadData = async () => {
     try {
-        await mongoose.connect(MONGO_URI);
-        console.log('✅ MongoDB Connected successfully.');
+        await repository.connect();
 
-        let data = await Portfolio.findById('portfolio_data');
+        let published = await repository.loadPortfolio(PUBLISHED_PORTFOLIO_ID);
 
-        if (!data) {
+        if (!published) {
             console.log('⚠️ Portfolio data not found. Initializing with mock data.');
             // This relies on having a data/initialPortfolioData.json file
-            // **ACTION REQUIRED: Create a 'data' folder and put your initial JSON structure in 'initialPortfolioData.json'**
             const initialData = require('./data/initialPortfolioData.json');
 
-            data = new Portfolio({
-                _id: 'portfolio_data',
-                ...initialData
-            });
-            await data.save();
-            console.log('✅ Initial portfolio data saved to MongoDB.');
+            published = migrateDocument({ _id: PUBLISHED_PORTFOLIO_ID, ...initialData });
+            await repository.savePortfolio(published, undefined, PUBLISHED_PORTFOLIO_ID);
+            console.log(`✅ Initial portfolio data saved (${repository.name} driver).`);
+        }
+
+        // The first start after upgrading has no draft yet: begin from the published version
+        const storedDraft = await repository.loadPortfolio(DRAFT_PORTFOLIO_ID);
+
+        // Bring both documents up to the current format (see lib/migrations)
+        const migrated = await runMigrations({
+            collection: repository.collection('migrations'),
+            documents: {
+                [PUBLISHED_PORTFOLIO_ID]: published,
+                [DRAFT_PORTFOLIO_ID]: storedDraft || { ...structuredClone(published), _id: DRAFT_PORTFOLIO_ID }
+            },
+            save: (id, document) => repository.savePortfolio(document, undefined, id)
+        });
+        const data = migrated[DRAFT_PORTFOLIO_ID];
+
+        if (!storedDraft) {
+            await repository.savePortfolio(data, undefined, DRAFT_PORTFOLIO_ID);
+            console.log('✅ Draft created from the published portfolio.');
         }
 
+        publishedPortfolio = migrated[PUBLISHED_PORTFOLIO_ID];
         portfolioData = data;
+        lastSavedPortfolio = structuredClone(data);
+        await images.load();
+
+        // Baseline revision so the very first admin change can be undone too
+        if (await revisionHistory.count() === 0) {
+            await revisionHistory.record({
+                sections: Object.keys(data).filter(key => key !== '_id'),
+                route: 'Initial snapshot',
+                url: null,
+                changes: [],
+                snapshot: structuredClone(data)
+            });
+        }
 
     } catch (err) {
         console.error(`❌ DB Connection Error: ${err.message}`);
@@ -161,15 +467,141 @@ app.use(express.static(path.join(__dirname, 'public')));
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
-// --- AUTHENTICATION CHECK (MOCK) ---
+// Long-form fields are Markdown; views render them with <%- renderMarkdown(text) %>
+app.locals.renderMarkdown = renderMarkdown;
+app.locals.markdownToText = markdownToText;
+
+// Stored images are rendered with <%- image(url, { alt, sizes }) %>: srcset from
+// their width variants, width and height, and the blurred placeholder
+app.locals.image = (url, options) => imageTag(url, images.get(url), options);
+app.locals.imageSrcset = (url) => imageSrcset(images.get(url));
+
+// Stylesheets and scripts are linked as <%= assetPath('/css/style.css') %>,
+// which adds a hash of the file's content (/css/style.css?v=1a2b3c4d) so that
+// browsers fetch it again after every change. Files are hashed once per process.
+const assetVersions = new Map();
+app.locals.assetPath = (file) => {
+    if (!assetVersions.has(file)) {
+        const content = fs.readFileSync(path.join(__dirname, 'public', file));
+        assetVersions.set(file, crypto.createHash('sha1').update(content).digest('hex').slice(0, 8));
+    }
+    return `${file}?v=${assetVersions.get(file)}`;
+};
+
+// --- SESSION CONFIGURATION ---
+// Sessions live in the persistence driver (MongoDB or JSON files) so admin
+// logins survive restarts. The cookie is refreshed on every request (idle
+// timeout); the absolute timeout is enforced in isAuthenticated from login.
+const SESSION_COOKIE_NAME = 'portfolio.sid';
+const SESSION_IDLE_TIMEOUT_MS = (parseInt(process.env.SESSION_IDLE_MINUTES) || 30) * 60 * 1000;
+const SESSION_ABSOLUTE_TIMEOUT_MS = (parseInt(process.env.SESSION_ABSOLUTE_HOURS) || 8) * 60 * 60 * 1000;
+
+if (process.env.TRUST_PROXY) {
+    // Needed for secure cookies when running behind a reverse proxy (Render, Heroku, nginx...)
+    app.set('trust proxy', 1);
+}
+
+app.use(session({
+    name: SESSION_COOKIE_NAME,
+    secret: process.env.SESSION_SECRET,
+    resave: false,
+    saveUninitialized: false,
+    rolling: true,
+    store: repository.createSessionStore(session),
+    cookie: {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: SESSION_IDLE_TIMEOUT_MS
+    }
+}));
+
+// --- CSRF PROTECTION ---
+// Synchronizer token stored in the session. Forms send it as a hidden `_csrf`
+// field; multipart forms put it in the query string because their body is only
+// parsed by multer inside the route, after the file has been uploaded.
+const CSRF_FIELD = '_csrf';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Constant-time comparison of two secrets
+const secretsMatch = (submitted, expected) => {
+    const actual = Buffer.from(String(submitted || ''));
+    const wanted = Buffer.from(String(expected || ''));
+    return wanted.length > 0 && actual.length === wanted.length && crypto.timingSafeEqual(actual, wanted);
+};
+
+const csrfProtection = (req, res, next) => {
+    if (!req.session.csrfToken) {
+        req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+    }
+    res.locals.csrfToken = req.session.csrfToken;
+
+    if (SAFE_METHODS.includes(req.method)) {
+        return next();
+    }
+
+    const submitted = (req.body && req.body[CSRF_FIELD]) || req.query[CSRF_FIELD] || req.get('x-csrf-token');
+
+    if (secretsMatch(submitted, req.session.csrfToken)) {
+        return next();
+    }
+
+    console.warn(`⚠️ Rejected ${req.method} ${req.originalUrl}: invalid CSRF token.`);
+    res.status(403).send('Invalid or missing security token. Please reload the page and try again.');
+};
+
+app.use(['/login', '/logout', '/admin'], csrfProtection);
+
+// --- LOGIN THROTTLING ---
+// Per-IP and per-username limits; either one locks the login temporarily.
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+const loginLimiterByIp = createAttemptLimiter({ maxAttempts: 10, windowMs: 15 * 60 * 1000, lockoutMs: LOGIN_LOCKOUT_MS });
+const loginLimiterByUsername = createAttemptLimiter({ maxAttempts: 5, windowMs: 15 * 60 * 1000, lockoutMs: LOGIN_LOCKOUT_MS });
+
+const recordLoginAttempt = async (req, username, outcome) => {
+    try {
+        await loginAttempts.insert({
+            username: String(username || '').slice(0, 100),
+            ip: req.ip,
+            userAgent: String(req.get('user-agent') || '').slice(0, 300),
+            outcome,
+            createdAt: new Date()
+        });
+        await loginAttempts.deleteMany({ createdAt: { $lt: new Date(Date.now() - LOGIN_ATTEMPT_RETENTION_MS) } });
+    } catch (error) {
+        console.error("❌ Could not record login attempt:", error);
+    }
+};
+
+// --- AUTHENTICATION CHECK ---
 const isAuthenticated = (req, res, next) => {
-    const isMockLoggedIn = app.locals.isLoggedIn === true;
-    if (isMockLoggedIn) {
+    if (req.session && req.session.isAdmin) {
+        // Absolute expiry: force a new login even if the session was kept alive
+        if (Date.now() - req.session.loginAt > SESSION_ABSOLUTE_TIMEOUT_MS) {
+            return req.session.destroy(() => {
+                res.clearCookie(SESSION_COOKIE_NAME);
+                res.redirect('/login?expired=1');
+            });
+        }
         return next();
     }
     res.redirect('/login');
 };
 
+// --- API AUTHENTICATION CHECK ---
+// Scripts send `Authorization: Bearer <API_TOKEN>`. Browser code running in a
+// logged-in admin session sends the session's CSRF token as `X-CSRF-Token`.
+const isApiAuthenticated = (req, res, next) => {
+    const authorization = req.get('authorization') || '';
+    if (process.env.API_TOKEN && authorization.startsWith('Bearer ') && secretsMatch(authorization.slice(7), process.env.API_TOKEN)) {
+        return next();
+    }
+    if (req.session && req.session.isAdmin && secretsMatch(req.get('x-csrf-token'), req.session.csrfToken)) {
+        return next();
+    }
+    res.status(401).json({ error: { message: 'Authentication required: send a Bearer API token or an admin session with X-CSRF-Token.' } });
+};
+
 // --- Middleware to ensure data is loaded before rendering pages ---
 const ensureDataLoaded = (req, res, next) => {
     if (portfolioData) {
@@ -181,115 +613,595 @@ const ensureDataLoaded = (req, res, next) => {
 app.use(ensureDataLoaded);
 
 
+// ------------------------------------
+// --- LANGUAGES ---
+// ------------------------------------
+// Public pages exist in every language of lib/i18n: English at the site root,
+// the others under their prefix (/fr, /fr/projects...). The home page sends
+// visitors to the language they picked in the switcher (remembered in a
+// cookie) or, on a first visit, to the one their browser prefers.
+const LOCALE_COOKIE_NAME = 'locale';
+const LOCALE_COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+
+// There is no cookie parser; this is the only cookie the app reads itself
+const readLocaleCookie = (req) => {
+    const match = (req.get('cookie') || '').match(new RegExp(`(?:^|;\\s*)${LOCALE_COOKIE_NAME}=([^;]*)`));
+    return match && LOCALES[match[1]] ? match[1] : null;
+};
+
+// Sets the request's language and the view helpers: t(key, values) for
+// catalog strings, localePath(path) for links, and what the switcher needs
+const useLocale = (locale) => (req, res, next) => {
+    req.locale = locale;
+    res.locals.locale = locale;
+    res.locals.t = (key, values) => translate(locale, key, values);
+    res.locals.localePath = (sitePath) => localePath(locale, sitePath);
+    // The page's path without the language prefix, to switch to its translation
+    res.locals.currentPath = req.url;
+    res.locals.languages = Object.keys(LOCALES).map(code => ({ code, name: translate(code, 'language.name') }));
+    next();
+};
+
+app.get('/', (req, res, next) => {
+    res.vary('Accept-Language').vary('Cookie');
+    const locale = readLocaleCookie(req) || req.acceptsLanguages(DEFAULT_LOCALE, ...TRANSLATED_LOCALES) || DEFAULT_LOCALE;
+    if (locale === DEFAULT_LOCALE) return next();
+    res.redirect(localePath(locale, '/'));
+});
+
+// Language switcher: remembers the choice and shows the same page in that
+// language. `return` is the page's path without its language prefix.
+app.get('/language/:locale', (req, res) => {
+    const { locale } = req.params;
+    if (!LOCALES[locale]) return res.status(404).send('Language not found.');
+
+    const returnPath = typeof req.query.return === 'string' && /^\/(?![/\\])/.test(req.query.return) ? req.query.return : '/';
+    res.cookie(LOCALE_COOKIE_NAME, locale, { maxAge: LOCALE_COOKIE_MAX_AGE_MS, httpOnly: true, sameSite: 'lax' });
+    res.redirect(localePath(locale, returnPath));
+});
+
 // ------------------------------------
 // --- PUBLIC ROUTES ---
 // ------------------------------------
-app.get('/', (req, res) => {
-    res.render('index', { portfolioData: portfolioData.toObject() });
+// Mounted once per language (see the end of this section); paths are relative
+// to the language prefix and redirects go through req.baseUrl.
+const publicSite = express.Router();
+
+// Visitors see the published portfolio. A logged-in admin who started a preview
+// from the dashboard sees the draft instead, on every public page, until they exit it.
+const isPreviewingDraft = (req) => Boolean(req.session && req.session.isAdmin && req.session.previewDraft);
+
+// The portfolio a public page shows: published or draft, in the request's language
+const publicPortfolio = (req) => localizePortfolio(isPreviewingDraft(req) ? portfolioData : publishedPortfolio, req.locale);
+
+// Absolute site URL for canonical links, sharing tags and the sitemap. Set
+// SITE_URL in production; otherwise it is taken from the request.
+const siteBaseUrl = (req) => (process.env.SITE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+
+// Title, description, sharing tags, language alternates and JSON-LD for
+// views/partials/seo-head.ejs. Draft previews are marked noindex.
+const pageMeta = (req, portfolio, page, project) => buildPageMeta({
+    portfolio,
+    page,
+    project,
+    baseUrl: siteBaseUrl(req),
+    path: req.path,
+    locale: req.locale,
+    noindex: isPreviewingDraft(req)
 });
-// ... (other public routes) ...
-app.get('/projects', (req, res) => {
-    res.render('projects', { portfolioData: portfolioData.toObject() });
+
+// The theme picked in the admin (draft theme while previewing), for
+// views/partials/theme-head.ejs: the custom properties and the font to load
+publicSite.use((req, res, next) => {
+    const portfolio = isPreviewingDraft(req) ? portfolioData : publishedPortfolio;
+    res.locals.theme = {
+        css: themeCss(portfolio),
+        fontStylesheet: fontStylesheetUrl(themeSettings(portfolio).font)
+    };
+    next();
 });
-app.get('/certificates', (req, res) => {
-    res.render('certificates', { portfolioData: portfolioData.toObject() });
+
+// --- VISIT STATISTICS ---
+// Bots and the logged-in admin (browsing the site or previewing the draft) are
+// not counted. Counting happens after the response, and a failure is only logged.
+const isCountedVisit = (req) => !(req.session && req.session.isAdmin) && !isBot(req.get('user-agent'));
+const logTrackingError = (error) => console.error('❌ Could not record visit statistics:', error.message);
+
+// A page view is a public page rendered successfully; the path is counted
+// without its language prefix. Requests this router passes on (/login, /admin...)
+// end on another route and are not counted.
+const isPublicRoute = (route) => publicSite.stack.some(layer => layer.route && layer.route === route);
+
+publicSite.use((req, res, next) => {
+    if (req.method !== 'GET' || !isCountedVisit(req)) return next();
+    const pagePath = req.path;
+    res.on('finish', () => {
+        if (res.statusCode !== 200 || !/^text\/html/.test(res.get('Content-Type') || '') || !isPublicRoute(req.route)) return;
+        analytics.trackPageView({
+            path: pagePath,
+            ip: req.ip,
+            userAgent: req.get('user-agent'),
+            referrer: req.get('referer'),
+            host: req.get('host')
+        }).catch(logTrackingError);
+    });
+    next();
+});
+
+// Tracked links point to /go/... routes, which count the click and redirect to
+// the link stored in the portfolio. `findTarget(portfolio, req)` returns that link.
+const trackedRedirect = (kind, findTarget) => (req, res) => {
+    const target = findTarget(publicPortfolio(req), req);
+    if (!target) return res.status(404).send('Link not found.');
+    if (isCountedVisit(req)) analytics.trackClick(kind, req.params.id).catch(logTrackingError);
+    res.redirect(target);
+};
+const findById = (items, id) => (items || []).find(item => item.id === id);
+
+publicSite.get('/go/project/:id/github', trackedRedirect('github', (portfolio, req) => {
+    const project = findById(portfolio.projects, req.params.id);
+    return project && project.githubLink;
+}));
+publicSite.get('/go/project/:id/demo', trackedRedirect('demo', (portfolio, req) => {
+    const project = findById(portfolio.projects, req.params.id);
+    return project && project.demoLink;
+}));
+publicSite.get('/go/certificate/:id', trackedRedirect('certificate', (portfolio, req) => {
+    const certificate = findById(portfolio.certificates, req.params.id);
+    return certificate && certificate.pdfUrl;
+}));
+publicSite.get('/go/slide/:id', trackedRedirect('slide', (portfolio, req) => {
+    const slide = findById(portfolio.carousel, req.params.id);
+    return slide && localePath(req.locale, slide.link);
+}));
+
+// `pageLocals(portfolio, req)` adds the view's own data
+const renderPublicPage = (view, page, pageLocals = () => ({})) => (req, res) => {
+    const portfolio = publicPortfolio(req);
+    res.render(view, {
+        portfolioData: portfolio,
+        previewing: isPreviewingDraft(req),
+        seo: pageMeta(req, portfolio, page),
+        ...pageLocals(portfolio, req)
+    });
+};
+
+// The home page shows the first gallery photos; the others are on /gallery
+publicSite.get('/', renderPublicPage('index', 'home', portfolio => ({
+    galleryPhotos: (portfolio.gallery || []).slice(0, HOME_GALLERY_SIZE),
+    galleryTotal: (portfolio.gallery || []).length
+})));
+publicSite.get('/projects', renderPublicPage('projects', 'projects'));
+
+// Project detail page. A slug the project had before a rename redirects
+// permanently to its current one, so shared links keep working.
+publicSite.get('/projects/:slug', (req, res) => {
+    const portfolio = publicPortfolio(req);
+    const projects = portfolio.projects || [];
+    const { slug } = req.params;
+
+    const index = projects.findIndex(p => p.slug === slug);
+    if (index === -1) {
+        const renamed = projects.find(p => (p.previousSlugs || []).includes(slug));
+        if (renamed) return res.redirect(301, `${req.baseUrl}/projects/${renamed.slug}`);
+        return res.status(404).send('Project not found.');
+    }
+
+    res.render('project', {
+        portfolioData: portfolio,
+        previewing: isPreviewingDraft(req),
+        project: projects[index],
+        previous: projects[index - 1] || null,
+        next: projects[index + 1] || null,
+        seo: pageMeta(req, portfolio, 'project', projects[index])
+    });
 });
-app.get('/about', (req, res) => {
-    res.render('about', { portfolioData: portfolioData.toObject() });
+
+publicSite.get('/certificates', renderPublicPage('certificates', 'certificates'));
+publicSite.get('/about', renderPublicPage('about', 'about'));
+
+// Gallery: one page of photos, optionally of one album (?album=<slug>&page=2)
+publicSite.get('/gallery', renderPublicPage('gallery', 'gallery', (portfolio, req) => ({
+    gallery: galleryPage(portfolio.gallery, req.query)
+})));
+
+// --- RÉSUMÉ ---
+// A printable page and a PDF of the same résumé; ?template= overrides the
+// template picked in the admin. Downloads of the PDF are counted like tracked links.
+const resumeFor = (req, portfolio) => buildResume({
+    portfolio,
+    locale: req.locale,
+    template: req.query.template,
+    absoluteUrl: url => absoluteUrl(url, siteBaseUrl(req))
 });
 
+publicSite.get('/resume', (req, res) => {
+    const portfolio = publicPortfolio(req);
+    res.render('resume', {
+        portfolioData: portfolio,
+        previewing: isPreviewingDraft(req),
+        seo: pageMeta(req, portfolio, 'resume'),
+        resume: resumeFor(req, portfolio),
+        templates: Object.keys(RESUME_TEMPLATES)
+    });
+});
+
+publicSite.get('/resume.pdf', async (req, res) => {
+    const resume = resumeFor(req, publicPortfolio(req));
+    const pdf = await renderResumePdf(resume);
+    const fileName = `${slugify(resume.name) || 'portfolio'}-${slugify(translate(req.locale, 'resume.fileName'))}.pdf`;
+
+    if (isCountedVisit(req)) analytics.trackClick('resume', resume.template).catch(logTrackingError);
+    res.set('Content-Disposition', `${req.query.download === '0' ? 'inline' : 'attachment'}; filename="${fileName}"`);
+    res.type('application/pdf').send(pdf);
+});
+
+// --- CONTACT FORM ---
+// Spam defenses: a hidden "website" field that only bots fill in (they are told
+// the message was sent, but nothing is stored) and a per-IP limit on messages.
+const CONTACT_HONEYPOT_FIELD = 'website';
+const contactLimiterByIp = createAttemptLimiter({ maxAttempts: 5, windowMs: 60 * 60 * 1000, lockoutMs: 60 * 60 * 1000 });
+
+// The contact form is public, so it is protected without a session: the page
+// embeds a signed, expiring token and the post must come from this site.
+const contactFormTokens = createFormTokens({ secret: process.env.SESSION_SECRET, maxAgeMs: 24 * 60 * 60 * 1000 });
+
+// True unless the browser says the post comes from another site (Origin, or
+// Referer for browsers that leave Origin out)
+const isSameOriginPost = (req) => {
+    const source = req.get('origin') || req.get('referer');
+    if (!source) return true;
+    try {
+        const { host } = new URL(source);
+        return [req.get('host'), process.env.SITE_URL && new URL(process.env.SITE_URL).host].includes(host);
+    } catch (error) {
+        return false;
+    }
+};
+
+// `errors` are { field, code, max } from validateContactMessage; the view
+// shows the catalog string contact.errors.<code>
+const renderContactPage = (req, res, { values = {}, errors = [], status = 200 } = {}) => {
+    const portfolio = publicPortfolio(req);
+    res.status(status).render('contact', {
+        portfolioData: portfolio,
+        previewing: isPreviewingDraft(req),
+        seo: pageMeta(req, portfolio, 'contact'),
+        values,
+        errors,
+        limits: MESSAGE_LIMITS,
+        sent: req.query.sent === '1',
+        csrfToken: contactFormTokens.issue()
+    });
+};
+
+publicSite.get('/contact', (req, res) => renderContactPage(req, res));
+
+publicSite.post('/contact', async (req, res) => {
+    if (!isSameOriginPost(req)) {
+        console.warn('⚠️ Rejected a contact message: posted from another site.');
+        return res.status(403).send('Invalid or missing security token. Please reload the page and try again.');
+    }
+    // An expired page keeps what the visitor typed and gets a fresh token
+    if (!contactFormTokens.verify(req.body[CSRF_FIELD])) {
+        const { values } = validateContactMessage(req.body);
+        return renderContactPage(req, res, { values, errors: [{ field: '', code: 'expired' }], status: 403 });
+    }
+    if (req.body[CONTACT_HONEYPOT_FIELD]) {
+        console.warn('⚠️ Dropped a contact message: honeypot field filled in.');
+        return res.redirect(`${req.baseUrl}/contact?sent=1`);
+    }
+
+    const { values, errors } = validateContactMessage(req.body);
+
+    if (contactLimiterByIp.lockedUntil(req.ip)) {
+        console.warn('⚠️ Rejected a contact message: too many messages from the same address.');
+        return renderContactPage(req, res, { values, errors: [{ field: '', code: 'rateLimited' }], status: 429 });
+    }
+    if (errors.length > 0) {
+        return renderContactPage(req, res, { values, errors, status: 422 });
+    }
+    // Every accepted message counts towards the limit
+    contactLimiterByIp.registerFailure(req.ip);
+
+    const stored = await messageInbox.receive({ ...values, ip: req.ip, userAgent: req.get('user-agent') });
+    console.log(`✉️ Contact message ${stored._id} received.`);
+
+    // A failed notification must not lose the message; it is in the inbox either way
+    try {
+        await mailer.notify({
+            subject: `New message from ${values.name}${values.subject ? `: ${values.subject}` : ''}`,
+            text: `${values.message}\n\n--\n${values.name} <${values.email}>\nSent from the portfolio contact form.`,
+            replyTo: values.email
+        });
+        if (mailer.enabled) await messageInbox.markNotified(stored._id);
+    } catch (error) {
+        console.error(`❌ Could not send the contact notification (${mailer.name}):`, error.message);
+    }
+
+    res.redirect(`${req.baseUrl}/contact?sent=1`);
+});
+
+TRANSLATED_LOCALES.forEach(locale => app.use(localePath(locale, '/'), useLocale(locale), publicSite));
+app.use(useLocale(DEFAULT_LOCALE), publicSite);
+
+// Search engines only see the published portfolio
+app.get('/sitemap.xml', (req, res) => {
+    res.type('application/xml').send(buildSitemap({ portfolio: publishedPortfolio, baseUrl: siteBaseUrl(req) }));
+});
+
+app.get('/robots.txt', (req, res) => {
+    res.type('text/plain').send(buildRobots({ baseUrl: siteBaseUrl(req) }));
+});
+
+// ------------------------------------
+// --- JSON API ---
+// ------------------------------------
+app.use('/api/v1', createApiV1Router({
+    getPortfolio: () => portfolioData,
+    getPublishedPortfolio: () => publishedPortfolio,
+    // Stored images set through the API get their variants in the background
+    savePortfolio: async (req, section) => {
+        await savePortfolio(req, section);
+        backfillImages();
+    },
+    releaseAssets,
+    isApiAuthenticated
+}));
+
 // ------------------------------------
 // --- LOGIN & ADMIN ROUTES ---
 // ------------------------------------
 app.get('/login', (req, res) => {
-    res.render('login', { error: null });
+    const error = req.query.expired ? 'Your session has expired. Please log in again.' : null;
+    res.render('login', { error });
 });
 
-// THIS IS THE CRITICAL DEBUGGING ROUTE
-app.post('/login', (req, res) => {
+app.post('/login', async (req, res, next) => {
     const { username, password } = req.body;
-    const ADMIN_USERNAME = process.env.ADMIN_USERNAME;
-    const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
-
-    // 🔑🔑🔑 START DEBUGGING LINES 🔑🔑🔑
-    console.log("\n--- Login Debugging ---");
-    console.log("Input Password:    ", password);
-    console.log("Expected Password: ", ADMIN_PASSWORD);
-    console.log("-----------------------\n");
-    // 🔑🔑🔑 END DEBUGGING LINES 🔑🔑🔑
-
-    if (username === ADMIN_USERNAME && password === ADMIN_PASSWORD) {
-        app.locals.isLoggedIn = true;
-        return res.redirect('/admin');
+    const usernameKey = String(username || '').toLowerCase();
+
+    const lockedUntil = Math.max(loginLimiterByIp.lockedUntil(req.ip), loginLimiterByUsername.lockedUntil(usernameKey));
+    if (lockedUntil) {
+        await recordLoginAttempt(req, username, 'locked');
+        const minutes = Math.ceil((lockedUntil - Date.now()) / 60000);
+        return res.status(429).render('login', { error: `Too many failed attempts. Try again in ${minutes} minute(s).` });
+    }
+
+    // Always run the bcrypt comparison so a wrong username takes as long as a wrong password
+    const passwordMatches = await bcrypt.compare(password || '', process.env.ADMIN_PASSWORD_HASH);
+
+    if (username !== process.env.ADMIN_USERNAME || !passwordMatches) {
+        loginLimiterByIp.registerFailure(req.ip);
+        loginLimiterByUsername.registerFailure(usernameKey);
+        await recordLoginAttempt(req, username, 'failed');
+        return res.status(401).render('login', { error: 'Invalid username or password.' });
     }
-    res.render('login', { error: 'Invalid username or password.' });
+
+    loginLimiterByIp.reset(req.ip);
+    loginLimiterByUsername.reset(usernameKey);
+
+    // Issue a fresh session ID on login to prevent session fixation
+    req.session.regenerate((err) => {
+        if (err) return next(err);
+
+        req.session.isAdmin = true;
+        req.session.username = username;
+        req.session.loginAt = Date.now();
+
+        req.session.save((saveErr) => {
+            if (saveErr) return next(saveErr);
+            res.redirect('/admin');
+        });
+    });
 });
 
-app.get('/admin', isAuthenticated, (req, res) => {
-    res.render('admin', { portfolioData: portfolioData.toObject() });
+app.get('/admin', isAuthenticated, async (req, res) => {
+    const recentLoginAttempts = await loginAttempts.find({}, { sort: { createdAt: -1 }, limit: 50 });
+    const revisions = await revisionHistory.list({ limit: 50 });
+    const [inboxMessages, archivedMessages, messageCounts] = await Promise.all([
+        messageInbox.list(),
+        messageInbox.list({ archived: true }),
+        messageInbox.counts()
+    ]);
+    // Messages from the previous request (e.g. validation errors) are shown once
+    const flash = req.session.flash || {};
+    delete req.session.flash;
+    // ?days=N or ?from=YYYY-MM-DD&to=YYYY-MM-DD pick the Analytics tab's period
+    const visitStats = await analytics.report(parseRange(req.query));
+
+    res.render('admin', {
+        portfolioData,
+        flash,
+        loginAttempts: recentLoginAttempts,
+        revisions,
+        messages: { inbox: inboxMessages, archived: archivedMessages, counts: messageCounts },
+        seoPages: SEO_PAGES,
+        resumeTemplates: RESUME_TEMPLATES,
+        resumeSections: RESUME_SECTIONS,
+        galleryAlbums: galleryAlbums(portfolioData.gallery),
+        galleryPageSize: GALLERY_PAGE_SIZE,
+        homeGallerySize: HOME_GALLERY_SIZE,
+        uploadLimits: {
+            carousel: carouselUpload.limits,
+            photo: profilePhotoUpload.limits,
+            project: projectImageUpload.limits,
+            certificate: certificateUpload.limits,
+            gallery: galleryUpload.limits,
+            education: educationLogoUpload.limits,
+            backup: describeUploadLimits({ maxBytes: BACKUP_MAX_BYTES }, ['.zip'])
+        },
+        theme: {
+            settings: themeSettings(portfolioData),
+            defaults: THEME_DEFAULTS,
+            limits: THEME_LIMITS,
+            fonts: Object.fromEntries(Object.entries(THEME_FONTS).map(([font, { label, family }]) => [
+                font, { label, family, stylesheet: fontStylesheetUrl(font) }
+            ]))
+        },
+        githubSync: { username: githubUsername(), last: lastGitHubSync, intervalHours: GITHUB_SYNC_HOURS },
+        analytics: visitStats,
+        trackedLinks: TRACKED_LINKS,
+        translations: {
+            fields: TRANSLATABLE_FIELDS,
+            locales: TRANSLATED_LOCALES.map(locale => ({
+                code: locale,
+                name: translate(locale, 'language.name'),
+                status: translationStatus(portfolioData, locale)
+            }))
+        },
+        draftChanges: unpublishedChanges()
+    });
 });
 
-app.post('/logout', (req, res) => {
-    app.locals.isLoggedIn = false;
-    res.redirect('/');
+app.post('/logout', (req, res, next) => {
+    // Only the caller's session is ended; other browsers stay logged in
+    req.session.destroy((err) => {
+        if (err) return next(err);
+        res.clearCookie(SESSION_COOKIE_NAME);
+        res.redirect('/');
+    });
 });
 
 
 // ------------------------------------
-// --- ADMIN POST ROUTES (Updated for Cloudinary) ---
+// --- ADMIN POST ROUTES ---
 // ------------------------------------
 
-// 1. CAROUSEL UPDATE
-app.post('/admin/update-carousel/:index', isAuthenticated, (req, res) => {
+// Admin tab that shows each section, used to redirect back after a change
+const SECTION_TABS = {
+    carousel: 'carousel',
+    about: 'general',
+    projectSummary: 'general',
+    education: 'general',
+    footerInfo: 'general',
+    seo: 'seo',
+    resume: 'resume',
+    theme: 'theme',
+    projects: 'projects',
+    certificates: 'certificates',
+    gallery: 'gallery'
+};
+
+// Brings the admin back to the tab of an upload form with the reason its file
+// was not stored. A refused file (UploadError) explains itself; other errors
+// (the storage service failing...) are logged and shown as `failure`.
+const rejectUpload = (req, res, error, tab, failure) => {
+    if (error.name === 'UploadError') {
+        console.warn(`⚠️ Upload refused on ${describeRoute(req)}: ${error.message}`);
+        req.session.flash = { errors: [error.message] };
+    } else {
+        console.error(`❌ ${failure}`, error.message || error);
+        req.session.flash = { errors: [`${failure} Check server log.`] };
+    }
+    res.redirect(`/admin#${tab}`);
+};
+
+// 1. CAROUSEL UPDATE (Slides are matched by their stable ID, not their position)
+app.post('/admin/update-carousel/:id', isAuthenticated, (req, res) => {
     carouselUpload.single('carouselImage')(req, res, async (err) => {
-        if (err) {
-            console.error("❌ Carousel Upload Error:", err.message || err);
-            return res.redirect('/admin?uploadError=' + encodeURIComponent('Carousel upload failed. Check server log.'));
-        }
+        if (err) return rejectUpload(req, res, err, 'carousel', 'Carousel upload failed.');
 
-        const index = parseInt(req.params.index);
-        const { title, description, link, buttonText } = req.body;
+        const slideId = req.params.id;
+        const { title, description, link, buttonText, alt } = req.body;
+        const slide = portfolioData.carousel.find(s => s.id === slideId);
 
-        if (index >= 0 && index < portfolioData.carousel.length) {
+        if (slide) {
+            const replacedUrl = req.file ? slide.url : null;
             if (req.file) {
-                // Delete old asset from Cloudinary
-                const publicId = extractPublicId(portfolioData.carousel[index].url);
-                await deleteCloudinaryAsset(publicId);
-
-                // Use the secure_url provided by Cloudinary
-                portfolioData.carousel[index].url = req.file.path;
+                // Use the public URL provided by the storage driver
+                slide.url = req.file.path;
             }
 
-            portfolioData.carousel[index].title = title;
-            portfolioData.carousel[index].description = description;
-            portfolioData.carousel[index].link = link;
-            portfolioData.carousel[index].buttonText = buttonText;
+            slide.title = title;
+            slide.description = description;
+            slide.link = link;
+            slide.buttonText = buttonText;
+            slide.alt = (alt || '').trim();
+
+            await savePortfolio(req, 'carousel');
+            // Old asset is deleted from storage once no revision needs it anymore
+            await releaseAssets([replacedUrl]);
+        } else if (req.file) {
+            // Nothing to attach the new image to
+            await releaseAssets([req.file.path]);
+        }
+        res.redirect('/admin#carousel');
+    });
+});
+
+// 1A. ADD NEW CAROUSEL SLIDE
+app.post('/admin/add-carousel', isAuthenticated, (req, res) => {
+    carouselUpload.single('carouselImage')(req, res, async (err) => {
+        if (err) return rejectUpload(req, res, err, 'carousel', 'Carousel upload failed.');
+
+        if (req.file) {
+            const { title, description, link, buttonText, alt } = req.body;
+
+            portfolioData.carousel.push({
+                id: uuidv4(),
+                url: req.file.path, // Stored file URL
+                alt: (alt || '').trim(),
+                title: title,
+                description: description,
+                link: link,
+                buttonText: buttonText
+            });
 
-            portfolioData.markModified('carousel');
-            await portfolioData.save();
+            await savePortfolio(req, 'carousel');
+        } else {
+            console.error("No image uploaded for new carousel slide.");
         }
         res.redirect('/admin#carousel');
     });
 });
 
+// 1B. DELETE CAROUSEL SLIDE
+app.post('/admin/delete-carousel/:id', isAuthenticated, async (req, res) => {
+    const slideId = req.params.id;
+    const slideIndex = portfolioData.carousel.findIndex(s => s.id === slideId);
 
-// 4. PROFILE PHOTO UPDATE
+    if (slideIndex !== -1) {
+        const slideToDelete = portfolioData.carousel[slideIndex];
+
+        portfolioData.carousel.splice(slideIndex, 1);
+        await savePortfolio(req, 'carousel');
+
+        // Release slide image from storage
+        await releaseAssets([slideToDelete.url]);
+        console.log(`Carousel slide with ID ${slideId} deleted.`);
+    }
+    res.redirect('/admin#carousel');
+});
+
+// 1C. MOVE CAROUSEL SLIDE (direction: 'up' shows it earlier, 'down' later)
+app.post('/admin/move-carousel/:id', isAuthenticated, async (req, res) => {
+    const slideId = req.params.id;
+    const slideIndex = portfolioData.carousel.findIndex(s => s.id === slideId);
+    const targetIndex = req.body.direction === 'up' ? slideIndex - 1 : slideIndex + 1;
+
+    if (slideIndex !== -1 && targetIndex >= 0 && targetIndex < portfolioData.carousel.length) {
+        const [slide] = portfolioData.carousel.splice(slideIndex, 1);
+        portfolioData.carousel.splice(targetIndex, 0, slide);
+        await savePortfolio(req, 'carousel');
+    }
+    res.redirect('/admin#carousel');
+});
+
+
+// 4. PROFILE PHOTO UPDATE (the new photo is optional; the alt text is always saved)
 app.post('/admin/upload-photo', isAuthenticated, (req, res) => {
     profilePhotoUpload.single('profilePhoto')(req, res, async (err) => {
-        if (err) {
-            console.error("❌ Profile Photo Upload Error:", err.message || err);
-            return res.redirect('/admin?uploadError=' + encodeURIComponent('Profile photo upload failed. Check server log.'));
-        }
+        if (err) return rejectUpload(req, res, err, 'general', 'Profile photo upload failed.');
 
+        const replacedUrl = req.file ? portfolioData.about.photoUrl : null;
         if (req.file) {
-            const publicId = extractPublicId(portfolioData.about.photoUrl);
-            await deleteCloudinaryAsset(publicId);
-
             portfolioData.about.photoUrl = req.file.path;
-
-            portfolioData.markModified('about');
-            await portfolioData.save();
         }
+        portfolioData.about.photoAlt = (req.body.photoAlt || '').trim();
+
+        await savePortfolio(req, 'about');
+        await releaseAssets([replacedUrl]);
         res.redirect('/admin#general');
     });
 });
@@ -297,17 +1209,12 @@ app.post('/admin/upload-photo', isAuthenticated, (req, res) => {
 // 3. COMBINED PROJECT SUMMARY TEXT & IMAGE UPDATE
 app.post('/admin/update-project-summary', isAuthenticated, (req, res) => {
     projectSummaryImageUpload.single('projectSummaryImage')(req, res, async (err) => {
-        if (err) {
-            console.error("❌ Project Summary Image Upload Error:", err.message || err);
-            return res.redirect('/admin?uploadError=' + encodeURIComponent('Project summary image upload failed. Check server log.'));
-        }
+        if (err) return rejectUpload(req, res, err, 'general', 'Project summary image upload failed.');
 
-        const { title, paragraph1, paragraph2, buttonLink } = req.body;
+        const { title, paragraph1, paragraph2, buttonLink, imageAlt } = req.body;
 
+        const replacedUrl = req.file ? portfolioData.projectSummary.image : null;
         if (req.file) {
-            const publicId = extractPublicId(portfolioData.projectSummary.image);
-            await deleteCloudinaryAsset(publicId);
-
             portfolioData.projectSummary.image = req.file.path;
         }
 
@@ -315,9 +1222,10 @@ app.post('/admin/update-project-summary', isAuthenticated, (req, res) => {
         portfolioData.projectSummary.paragraph1 = paragraph1;
         portfolioData.projectSummary.paragraph2 = paragraph2;
         portfolioData.projectSummary.buttonLink = buttonLink;
+        portfolioData.projectSummary.imageAlt = (imageAlt || '').trim();
 
-        portfolioData.markModified('projectSummary');
-        await portfolioData.save();
+        await savePortfolio(req, 'projectSummary');
+        await releaseAssets([replacedUrl]);
         res.redirect('/admin#general');
     });
 });
@@ -325,20 +1233,20 @@ app.post('/admin/update-project-summary', isAuthenticated, (req, res) => {
 // 7. UPLOAD PROJECT IMAGE
 app.post('/admin/upload-project-image/:id', isAuthenticated, (req, res) => {
     projectImageUpload.single('projectImage')(req, res, async (err) => {
-        if (err) {
-            console.error("❌ Project Image Upload Error:", err.message || err);
-            return res.redirect('/admin?uploadError=' + encodeURIComponent('Project image upload failed. Check server log.'));
-        }
+        if (err) return rejectUpload(req, res, err, 'projects', 'Project image upload failed.');
 
         const projectId = req.params.id;
         const project = portfolioData.projects.find(p => p.id === projectId);
 
         if (project && req.file) {
-            // Use req.file.path (the Cloudinary URL)
+            // Use req.file.path (the stored file URL); imageAlts follows images
             project.images.push(req.file.path);
+            project.imageAlts.push((req.body.alt || '').trim());
 
-            portfolioData.markModified('projects');
-            await portfolioData.save();
+            await savePortfolio(req, 'projects');
+        } else if (req.file) {
+            // Nothing to attach the new image to
+            await releaseAssets([req.file.path]);
         }
         res.redirect('/admin#projects');
     });
@@ -354,17 +1262,13 @@ app.post('/admin/delete-project-image/:id', isAuthenticated, async (req, res) =>
         const imageIndex = project.images.indexOf(imageUrl);
 
         if (imageIndex > -1) {
-            // Delete asset from Cloudinary first
-            const publicId = extractPublicId(imageUrl);
-            await deleteCloudinaryAsset(publicId);
-
-            // Remove the URL from the project's data array
+            // Remove the URL (and its alt text) from the project's data arrays
             project.images.splice(imageIndex, 1);
+            project.imageAlts.splice(imageIndex, 1);
 
-            portfolioData.markModified('projects');
-            await portfolioData.save();
-            // CRITICAL FIX: Reload data after save
-            portfolioData = await Portfolio.findById('portfolio_data');
+            await savePortfolio(req, 'projects');
+            // Then release the asset from storage
+            await releaseAssets([imageUrl]);
             console.log(`Image ${imageUrl} deleted from project ${projectId}.`);
         }
     }
@@ -380,84 +1284,151 @@ app.post('/admin/delete-project/:id', isAuthenticated, async (req, res) => {
     if (projectIndex !== -1) {
         const projectToDelete = portfolioData.projects[projectIndex];
 
-        // Delete all associated files from Cloudinary
-        for (const imgUrl of projectToDelete.images) {
-            const publicId = extractPublicId(imgUrl);
-            await deleteCloudinaryAsset(publicId);
-        }
-
         portfolioData.projects.splice(projectIndex, 1);
-        portfolioData.markModified('projects');
-        await portfolioData.save();
-        // CRITICAL FIX: Reload data after save
-        portfolioData = await Portfolio.findById('portfolio_data');
+        await savePortfolio(req, 'projects');
+
+        // Release all associated files from storage
+        await releaseAssets(projectToDelete.images);
         console.log(`Project with ID ${projectId} and its images deleted.`);
     }
     res.redirect('/admin#projects');
 });
 
+// 7C. UPDATE PROJECT IMAGE ALT TEXTS (`imageAlts`: one per image, in order)
+app.post('/admin/update-project-image-alts/:id', isAuthenticated, async (req, res) => {
+    const project = portfolioData.projects.find(p => p.id === req.params.id);
+
+    if (project) {
+        const alts = [].concat(req.body.imageAlts || []);
+        project.imageAlts = project.images.map((url, index) => String(alts[index] || '').trim());
+        await savePortfolio(req, 'projects');
+    }
+    res.redirect('/admin#projects');
+});
+
+
+// Metadata fields of the certificate forms (skills are comma-separated)
+const certificateDetailsFromForm = (body) => {
+    const skills = [];
+    String(body.skills || '').split(',').map(skill => skill.trim()).filter(Boolean).forEach((skill) => {
+        if (!skills.some(existing => existing.toLowerCase() === skill.toLowerCase())) skills.push(skill);
+    });
+
+    return {
+        title: (body.title || '').trim(),
+        issuer: (body.issuer || '').trim(),
+        issueDate: body.issueDate || '',
+        expiryDate: body.expiryDate || '',
+        credentialId: (body.credentialId || '').trim(),
+        verificationUrl: (body.verificationUrl || '').trim(),
+        thumbnailAlt: (body.thumbnailAlt || '').trim(),
+        skills
+    };
+};
+
+// Stores a JPEG of the PDF's first page and returns its URL, or '' if the PDF
+// cannot be rendered (the certificate is then shown with a PDF icon)
+const storeCertificateThumbnail = async (pdfBuffer, pdfName) => {
+    try {
+        const image = await renderPdfThumbnail(pdfBuffer);
+        const stored = await storage.put('Thumbnails', {
+            originalname: `${path.parse(pdfName).name}.jpg`,
+            mimetype: 'image/jpeg',
+            size: image.length,
+            buffer: image
+        });
+        await processImage(stored.url, image);
+        return stored.url;
+    } catch (error) {
+        console.error(`❌ Could not create a thumbnail for ${pdfName}:`, error.message);
+        return '';
+    }
+};
 
 // 8. UPLOAD NEW CERTIFICATE
 app.post('/admin/upload-certificate', isAuthenticated, (req, res) => {
     certificateUpload.single('certificateFile')(req, res, async (err) => {
-        if (err) {
-            console.error("❌ Certificate Upload Error:", err.message || err);
-            return res.redirect('/admin?uploadError=' + encodeURIComponent('Certificate upload failed. Check server log.'));
-        }
+        if (err) return rejectUpload(req, res, err, 'certificates', 'Certificate upload failed.');
 
         if (req.file) {
-            const { title, issuer } = req.body;
             const newId = uuidv4();
 
             portfolioData.certificates.push({
                 id: newId,
-                title: title,
-                issuer: issuer,
-                pdfUrl: req.file.path // Cloudinary URL
+                ...certificateDetailsFromForm(req.body),
+                pdfUrl: req.file.path, // Stored file URL
+                thumbnailUrl: await storeCertificateThumbnail(req.file.buffer, req.file.originalname)
             });
 
-            portfolioData.markModified('certificates');
-            await portfolioData.save();
-            // CRITICAL FIX: Reload data after save
-            portfolioData = await Portfolio.findById('portfolio_data');
+            await savePortfolio(req, 'certificates');
         }
         res.redirect('/admin#certificates');
     });
 });
 
+// 8A. UPDATE CERTIFICATE DETAILS
+app.post('/admin/update-certificate/:id', isAuthenticated, async (req, res) => {
+    const certificate = portfolioData.certificates.find(cert => cert.id === req.params.id);
+
+    if (certificate) {
+        Object.assign(certificate, certificateDetailsFromForm(req.body));
+        await savePortfolio(req, 'certificates');
+    }
+    res.redirect('/admin#certificates');
+});
+
+// 8B. CREATE THE CERTIFICATE THUMBNAIL AGAIN (from the stored PDF, e.g. for
+// certificates uploaded before thumbnails existed)
+app.post('/admin/certificate-thumbnail/:id', isAuthenticated, async (req, res) => {
+    const certificate = portfolioData.certificates.find(cert => cert.id === req.params.id);
+
+    if (certificate) {
+        let pdf;
+        try {
+            pdf = await storage.read(certificate.pdfUrl);
+        } catch (error) {
+            console.error(`❌ Could not read the PDF of certificate ${certificate.id}:`, error.message);
+            req.session.flash = { errors: [`The PDF of "${certificate.title}" could not be read. Check server log.`] };
+            return res.redirect('/admin#certificates');
+        }
+
+        const thumbnailUrl = await storeCertificateThumbnail(pdf, path.basename(decodeURIComponent(certificate.pdfUrl)));
+        if (!thumbnailUrl) {
+            req.session.flash = { errors: [`No thumbnail could be created from the PDF of "${certificate.title}".`] };
+            return res.redirect('/admin#certificates');
+        }
+        const replacedUrl = certificate.thumbnailUrl;
+        certificate.thumbnailUrl = thumbnailUrl;
+
+        await savePortfolio(req, 'certificates');
+        await releaseAssets([replacedUrl]);
+    }
+    res.redirect('/admin#certificates');
+});
+
 // 9. UPLOAD GALLERY PHOTO (New addition)
 app.post('/admin/upload-gallery', isAuthenticated, (req, res) => {
     galleryUpload.single('galleryImage')(req, res, async (err) => {
 
         // --- 1. HANDLE UPLOAD ERROR ---
-        if (err) {
-            console.error("❌ Gallery Upload Error:", err.message || err);
-            return res.redirect('/admin?uploadError=' + encodeURIComponent('Gallery photo upload failed. Check server log.'));
-        }
+        if (err) return rejectUpload(req, res, err, 'gallery', 'Gallery photo upload failed.');
 
         // --- 2. SUCCESS LOGIC ---
         if (req.file) {
-            const { caption } = req.body;
+            const { caption, album, alt } = req.body;
             const newId = uuidv4();
 
-            try {
-                portfolioData.gallery.push({
-                    id: newId,
-                    url: req.file.path, // Cloudinary URL
-                    caption: caption
-                });
-
-                portfolioData.markModified('gallery');
-                await portfolioData.save();
-
-                // --- CRITICAL FIX: Reload data after save ---
-                portfolioData = await Portfolio.findById('portfolio_data');
-                console.log(`✅ Gallery photo saved: ${req.file.path}`);
+            portfolioData.gallery.push({
+                id: newId,
+                url: req.file.path, // Stored file URL
+                alt: (alt || '').trim(),
+                caption: caption,
+                album: (album || '').trim()
+            });
 
-            } catch (dbError) {
-                console.error("❌ Database Save Error after Cloudinary upload:", dbError);
-                return res.status(500).send("Database save failed after successful file upload.");
-            }
+            // A failed save deletes the stored file again (see savePortfolio)
+            await savePortfolio(req, 'gallery');
+            console.log(`✅ Gallery photo saved: ${req.file.path}`);
         }
 
         // --- 3. FINAL SUCCESS REDIRECT ---
@@ -470,40 +1441,28 @@ app.post('/admin/update-gallery-photo/:id', isAuthenticated, (req, res) => {
     // FIX: Change 'galleryImageFile' to 'galleryImage' to match client expectations
     galleryUpload.single('galleryImage')(req, res, async (err) => {
         // --- 1. HANDLE UPLOAD ERROR ---
-        if (err) {
-            // The console error now occurs here if the client sends a file but Multer rejects the name
-            console.error("❌ Gallery Photo Update Upload Error:", err.message || err);
-            return res.redirect('/admin?uploadError=' + encodeURIComponent('Gallery photo replacement failed. Check server log.'));
-        }
+        if (err) return rejectUpload(req, res, err, 'gallery', 'Gallery photo replacement failed.');
 
         // --- 2. SUCCESS LOGIC ---
         const photoId = req.params.id;
-        // FIX APPLIED: Changed === to == to support old numerical IDs
-        const photo = portfolioData.gallery.find(p => p.id == photoId);
+        const photo = portfolioData.gallery.find(p => p.id === photoId);
 
         if (photo && req.file) {
-            try {
-                // A. Delete old asset from Cloudinary
-                const publicId = extractPublicId(photo.url);
-                await deleteCloudinaryAsset(publicId);
+            // A. Keep the old URL so the asset can be released after saving
+            const replacedUrl = photo.url;
 
-                // B. Update URL with the new Cloudinary path
-                photo.url = req.file.path; // Cloudinary URL
+            // B. Update URL with the new stored file path
+            photo.url = req.file.path; // Stored file URL
 
-                // C. Save to DB
-                portfolioData.markModified('gallery');
-                await portfolioData.save();
-
-                // D. CRITICAL: Reload data after save
-                portfolioData = await Portfolio.findById('portfolio_data');
-                console.log(`✅ Gallery photo with ID ${photoId} URL updated.`);
-
-            } catch (dbError) {
-                console.error("❌ Database Save Error after Cloudinary photo update:", dbError);
-                return res.status(500).send("Database save failed after successful file upload.");
-            }
+            // C. Save to DB (a failed save deletes the new file), then release the old asset
+            await savePortfolio(req, 'gallery');
+            await releaseAssets([replacedUrl]);
+            console.log(`✅ Gallery photo with ID ${photoId} URL updated.`);
         } else if (!req.file) {
             console.warn("Attempted to update gallery photo but no file was provided.");
+        } else {
+            // Nothing to attach the new image to
+            await releaseAssets([req.file.path]);
         }
 
         // --- 3. FINAL SUCCESS REDIRECT ---
@@ -514,22 +1473,16 @@ app.post('/admin/update-gallery-photo/:id', isAuthenticated, (req, res) => {
 // 10. DELETE CERTIFICATE
 app.post('/admin/delete-certificate/:id', isAuthenticated, async (req, res) => {
     const certId = req.params.id;
-    // FIX APPLIED: Changed === to == to support old numerical IDs
-    const certIndex = portfolioData.certificates.findIndex(cert => cert.id == certId);
+    const certIndex = portfolioData.certificates.findIndex(cert => cert.id === certId);
 
     if (certIndex !== -1) {
         const certToDelete = portfolioData.certificates[certIndex];
 
-        // Delete file from Cloudinary
-        const publicId = extractPublicId(certToDelete.pdfUrl);
-        await deleteCloudinaryAsset(publicId);
-
         portfolioData.certificates.splice(certIndex, 1);
-        portfolioData.markModified('certificates');
-        await portfolioData.save();
+        await savePortfolio(req, 'certificates');
 
-        // --- CRITICAL FIX: Reload data after save ---
-        portfolioData = await Portfolio.findById('portfolio_data');
+        // Release files from storage
+        await releaseAssets([certToDelete.pdfUrl, certToDelete.thumbnailUrl]);
         console.log(`Certificate with ID ${certId} deleted.`);
     }
     res.redirect('/admin#certificates');
@@ -538,22 +1491,16 @@ app.post('/admin/delete-certificate/:id', isAuthenticated, async (req, res) => {
 // 11. DELETE GALLERY PHOTO
 app.post('/admin/delete-gallery-photo/:id', isAuthenticated, async (req, res) => {
     const photoId = req.params.id;
-    // FIX APPLIED: Changed === to == to support old numerical IDs
-    const photoIndex = portfolioData.gallery.findIndex(photo => photo.id == photoId);
+    const photoIndex = portfolioData.gallery.findIndex(photo => photo.id === photoId);
 
     if (photoIndex !== -1) {
         const photoToDelete = portfolioData.gallery[photoIndex];
 
-        // Delete file from Cloudinary
-        const publicId = extractPublicId(photoToDelete.url);
-        await deleteCloudinaryAsset(publicId);
-
         portfolioData.gallery.splice(photoIndex, 1);
-        portfolioData.markModified('gallery');
-        await portfolioData.save();
+        await savePortfolio(req, 'gallery');
 
-        // --- CRITICAL FIX: Reload data after save ---
-        portfolioData = await Portfolio.findById('portfolio_data');
+        // Release file from storage
+        await releaseAssets([photoToDelete.url]);
         console.log(`Gallery photo with ID ${photoId} deleted.`);
     }
     res.redirect('/admin#gallery');
@@ -562,28 +1509,23 @@ app.post('/admin/delete-gallery-photo/:id', isAuthenticated, async (req, res) =>
 // 13. ADD NEW EDUCATION ENTRY (Refactored to use ID)
 app.post('/admin/add-education', isAuthenticated, (req, res) => {
     educationLogoUpload.single('educationLogo')(req, res, async (err) => {
-        if (err) {
-            console.error("❌ Education Logo Upload Error:", err.message || err);
-            return res.redirect('/admin?uploadError=' + encodeURIComponent('Education logo upload failed. Check server log.'));
-        }
+        if (err) return rejectUpload(req, res, err, 'general', 'Education logo upload failed.');
 
-        const { title, institution, years } = req.body;
+        const { title, institution, years, imageAlt } = req.body;
 
         if (req.file) {
             const newId = uuidv4(); // Generate a unique ID
 
             portfolioData.education.push({
                 id: newId, // Store the unique ID
-                imageUrl: req.file.path, // Cloudinary URL
+                imageUrl: req.file.path, // Stored file URL
+                imageAlt: (imageAlt || '').trim(),
                 title: title,
                 institution: institution,
                 years: years
             });
 
-            portfolioData.markModified('education');
-            await portfolioData.save();
-            // CRITICAL FIX: Reload data after save
-            portfolioData = await Portfolio.findById('portfolio_data');
+            await savePortfolio(req, 'education');
         } else {
             console.error("No file uploaded for new education entry.");
         }
@@ -591,38 +1533,30 @@ app.post('/admin/add-education', isAuthenticated, (req, res) => {
     });
 });
 
-// 14. DELETE EDUCATION ENTRY (Refactored to use ID)
+// 13A. UPDATE EDUCATION LOGO ALT TEXT
+app.post('/admin/update-education-alt/:id', isAuthenticated, async (req, res) => {
+    const edu = portfolioData.education.find(entry => entry.id === req.params.id);
+
+    if (edu) {
+        edu.imageAlt = (req.body.imageAlt || '').trim();
+        await savePortfolio(req, 'education');
+    }
+    res.redirect('/admin#general');
+});
+
+// 14. DELETE EDUCATION ENTRY
 app.post('/admin/delete-education/:id', isAuthenticated, async (req, res) => {
     const identifier = req.params.id;
-    let eduIndex = -1;
-
-    // 1. Try to find by UUID (for new entries)
-    // We use '==' to match string params to data fields
-    eduIndex = portfolioData.education.findIndex(edu => edu.id == identifier);
-
-    // 2. If not found, and the identifier looks like a number, treat it as an array index (for old, ID-less entries)
-    if (eduIndex === -1) {
-        const indexAsNumber = parseInt(identifier);
-        if (!isNaN(indexAsNumber) && indexAsNumber >= 0 && indexAsNumber < portfolioData.education.length) {
-            eduIndex = indexAsNumber;
-            console.log(`⚠️ Education entry deleted by array index: ${eduIndex}. Old entry likely had no UUID.`);
-        }
-    }
+    const eduIndex = portfolioData.education.findIndex(edu => edu.id === identifier);
 
-    // 3. Perform deletion if an index was found
     if (eduIndex !== -1) {
         const eduToDelete = portfolioData.education[eduIndex];
 
-        // Delete file from Cloudinary
-        const publicId = extractPublicId(eduToDelete.imageUrl);
-        await deleteCloudinaryAsset(publicId);
-
         portfolioData.education.splice(eduIndex, 1);
-        portfolioData.markModified('education');
-        await portfolioData.save();
+        await savePortfolio(req, 'education');
 
-        // --- CRITICAL FIX: Reload data after save ---
-        portfolioData = await Portfolio.findById('portfolio_data');
+        // Release file from storage
+        await releaseAssets([eduToDelete.imageUrl]);
         console.log(`Education entry deleted (Identifier: ${identifier}).`);
     } else {
         console.warn(`Could not find Education entry with identifier: ${identifier}`);
@@ -640,26 +1574,47 @@ app.post('/admin/update-text', isAuthenticated, async (req, res) => {
     portfolioData.about.fullStory = aboutFull;
     portfolioData.about.skills = aboutSkills.split('\n').map(s => s.trim()).filter(s => s.length > 0);
 
-    portfolioData.markModified('about');
-    await portfolioData.save();
+    await savePortfolio(req, 'about');
     res.redirect('/admin#general');
 });
 
+// Project fields from the admin forms besides title, description and GitHub link.
+// Tags are typed comma-separated; repeats (ignoring case) are dropped.
+const projectDetailsFromForm = (body) => {
+    const tags = [];
+    String(body.tags || '').split(',').map(tag => tag.trim()).filter(Boolean).forEach((tag) => {
+        if (!tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) tags.push(tag);
+    });
+
+    return {
+        tags,
+        category: (body.category || '').trim(),
+        startDate: body.startDate || '',
+        endDate: body.endDate || '',
+        demoLink: (body.demoLink || '').trim(),
+        featured: body.featured === 'on',
+        writeUp: body.writeUp || ''
+    };
+};
+
 // 5. ADD NEW PROJECT
 app.post('/admin/add-project', isAuthenticated, async (req, res) => {
     const { title, description, githubLink } = req.body;
     const newId = 'proj' + uuidv4();
 
-    portfolioData.projects.push({
+    const project = {
         id: newId,
         title: title,
         description: description,
         githubLink: githubLink,
-        images: []
-    });
-
-    portfolioData.markModified('projects');
-    await portfolioData.save();
+        images: [],
+        imageAlts: [],
+        ...projectDetailsFromForm(req.body)
+    };
+    portfolioData.projects.push(project);
+    assignProjectSlug(project, portfolioData.projects, req.body.slug);
+
+    await savePortfolio(req, 'projects');
     res.redirect('/admin#projects');
 });
 
@@ -673,25 +1628,26 @@ app.post('/admin/update-project/:id', isAuthenticated, async (req, res) => {
         project.title = title;
         project.description = description;
         project.githubLink = githubLink;
+        Object.assign(project, projectDetailsFromForm(req.body));
+        assignProjectSlug(project, portfolioData.projects, req.body.slug);
 
-        portfolioData.markModified('projects');
-        await portfolioData.save();
+        await savePortfolio(req, 'projects');
     }
     res.redirect('/admin#projects');
 });
 
-// 12. UPDATE GALLERY CAPTION 
+// 12. UPDATE GALLERY CAPTION, ALBUM AND ALT TEXT
 app.post('/admin/update-gallery-caption/:id', isAuthenticated, async (req, res) => {
     const photoId = req.params.id;
-    const { caption } = req.body;
+    const { caption, album, alt } = req.body;
 
-    // FIX APPLIED: Changed === to == to support old numerical IDs
-    const photo = portfolioData.gallery.find(p => p.id == photoId);
+    const photo = portfolioData.gallery.find(p => p.id === photoId);
     if (photo) {
         photo.caption = caption;
+        photo.album = (album || '').trim();
+        photo.alt = (alt || '').trim();
 
-        portfolioData.markModified('gallery');
-        await portfolioData.save();
+        await savePortfolio(req, 'gallery');
     }
     res.redirect('/admin#gallery');
 });
@@ -713,23 +1669,434 @@ app.post('/admin/update-footer', isAuthenticated, async (req, res) => {
         portfolioData.footerInfo.phoneLink = phoneLink;
         portfolioData.footerInfo.linkedinLink = linkedinLink;
 
-        portfolioData.markModified('footerInfo');
-        await portfolioData.save();
+        await savePortfolio(req, 'footerInfo');
         console.log("Footer text and links updated successfully.");
         res.redirect('/admin#general');
 
     } catch (error) {
+        if (error.name === 'PortfolioValidationError') throw error;
         console.error("Error updating footer info:", error);
         res.redirect('/admin#general');
     }
 });
 
+// 16. REORDER A LIST SECTION (order posted by the drag-and-drop panels)
+const REORDERABLE_SECTIONS = ['carousel', 'education', 'projects', 'certificates', 'gallery'];
+
+app.post('/admin/reorder/:section', isAuthenticated, async (req, res) => {
+    const section = req.params.section;
+    const tab = SECTION_TABS[section];
+
+    if (!REORDERABLE_SECTIONS.includes(section)) {
+        return res.status(404).send('This section cannot be reordered.');
+    }
+
+    const items = portfolioData[section] || [];
+    // Keys are the item IDs in their new order
+    const orderedIndexes = String(req.body.order || '').split(',').filter(key => key !== '')
+        .map(key => items.findIndex(item => item.id === key));
+
+    portfolioData[section] = reorderItems(items, orderedIndexes);
+    await savePortfolio(req, section);
+    console.log(`${section} reordered.`);
+    res.redirect(`/admin#${tab}`);
+});
+
+// 17. REVISION DETAIL: field-level diff and the stored files the revision references
+app.get('/admin/revisions/:id', isAuthenticated, async (req, res) => {
+    const revision = await revisionHistory.get(req.params.id);
+
+    if (!revision) {
+        return res.status(404).send('Revision not found. It may have been pruned from the history.');
+    }
+
+    const currentAssets = collectAssetUrls(portfolioData, storage.isStoredUrl);
+    const assets = [...collectAssetUrls(revision.snapshot, storage.isStoredUrl)].map(url => ({
+        url,
+        inUse: currentAssets.has(url)
+    }));
+
+    res.render('revision', {
+        revision,
+        assets,
+        sections: Object.keys(revision.snapshot).filter(key => key !== '_id')
+    });
+});
+
+// 18. RESTORE A SECTION (or 'all' sections) FROM A REVISION
+app.post('/admin/revisions/:id/restore', isAuthenticated, async (req, res) => {
+    const revision = await revisionHistory.get(req.params.id);
+    const section = req.body.section;
+
+    if (!revision) {
+        return res.status(404).send('Revision not found. It may have been pruned from the history.');
+    }
+
+    // Snapshots taken before a data migration are migrated before they are restored
+    if (section === 'all') {
+        const { _id, ...snapshot } = migrateDocument(structuredClone(revision.snapshot));
+        portfolioData = { _id: portfolioData._id, ...snapshot };
+        await savePortfolio(req);
+    } else if (section && Object.prototype.hasOwnProperty.call(revision.snapshot, section) && section !== '_id') {
+        portfolioData[section] = migrateDocument({ [section]: structuredClone(revision.snapshot[section]) })[section];
+        await savePortfolio(req, section);
+    } else {
+        return res.status(400).send('Unknown section to restore.');
+    }
+
+    console.log(`Restored ${section} from revision ${revision._id} (${new Date(revision.createdAt).toISOString()}).`);
+    backfillImages();
+    res.redirect('/admin#history');
+});
+
+// 19. EXPORT A FULL BACKUP (portfolio document + every stored image and PDF it references)
+app.get('/admin/backup/export', isAuthenticated, async (req, res) => {
+    const { buffer, manifest } = await createBackupArchive({ portfolio: publishedPortfolio, draft: portfolioData, storage });
+
+    if (manifest.missing.length > 0) {
+        console.warn(`⚠️ Backup exported without ${manifest.missing.length} unreadable file(s).`);
+    }
+    console.log(`✅ Backup exported with ${manifest.assets.length} file(s).`);
+
+    res.attachment(`portfolio-backup-${manifest.exportedAt.slice(0, 10)}.zip`);
+    res.type('application/zip').send(buffer);
+});
+
+// 20. IMPORT A BACKUP (re-uploads its files and replaces the whole portfolio)
+const importBackup = async (req, res, err) => {
+    if (err) return rejectUpload(req, res, fromMulterError(err, BACKUP_MAX_BYTES), 'backup', 'Backup upload failed.');
+    if (!req.file) return rejectUpload(req, res, uploadError('Choose a backup archive to import.'), 'backup');
+
+    let backup;
+    try {
+        backup = readBackupArchive(req.file.buffer);
+    } catch (archiveError) {
+        // The archive's problems are described for the admin
+        return rejectUpload(req, res, uploadError(archiveError.message), 'backup');
+    }
+
+    // Older backups are migrated, then both documents must pass validation before any file is uploaded
+    backup.portfolio = migrateDocument(backup.portfolio);
+    backup.draft = migrateDocument(backup.draft);
+    const errors = [...validatePortfolio(backup.portfolio), ...validatePortfolio(backup.draft)];
+    if (errors.length > 0) throw portfolioValidationError(errors);
+
+    let restored;
+    try {
+        restored = await restoreBackupAssets({ ...backup, storage });
+    } catch (storageError) {
+        return rejectUpload(req, res, storageError, 'backup', 'Backup files could not be uploaded. Nothing was changed.');
+    }
+
+    const { portfolio, draft, uploadedUrls } = restored;
+    const previousAssets = collectAssetUrls([portfolioData, publishedPortfolio], storage.isStoredUrl);
+
+    // Both the published site and the draft are replaced; the live copy only
+    // changes once its save succeeded
+    const { _id: publishedId, ...importedPublished } = portfolio;
+    const published = { _id: PUBLISHED_PORTFOLIO_ID, ...importedPublished };
+    await repository.savePortfolio(published, undefined, PUBLISHED_PORTFOLIO_ID);
+    publishedPortfolio = published;
+
+    const { _id: draftId, ...importedDraft } = draft;
+    portfolioData = { _id: DRAFT_PORTFOLIO_ID, ...importedDraft };
+    await savePortfolio(req);
+    // Files of the replaced documents stay available through the revision history
+    await releaseAssets([...previousAssets]);
+
+    console.log(`✅ Backup from ${backup.manifest.exportedAt} imported with ${uploadedUrls.length} file(s).`);
+    backfillImages();
+    res.redirect('/admin#backup');
+};
+
+app.post('/admin/backup/import', isAuthenticated, (req, res, next) => {
+    backupUpload.single('backupFile')(req, res, (err) => importBackup(req, res, err).catch(next));
+});
+
+// 21. PREVIEW THE DRAFT on the public pages (only this admin session sees it)
+const PREVIEWABLE_PAGES = ['/', '/projects', '/certificates', '/about', '/gallery', '/contact', '/resume'];
+
+app.get('/admin/preview', isAuthenticated, (req, res) => {
+    const page = PREVIEWABLE_PAGES.includes(req.query.page) ? req.query.page : '/';
+    req.session.previewDraft = true;
+    res.redirect(page);
+});
+
+app.get('/admin/preview/exit', isAuthenticated, (req, res) => {
+    req.session.previewDraft = false;
+    res.redirect('/admin');
+});
+
+// 22. PUBLISH THE DRAFT (the public pages show it from now on)
+app.post('/admin/publish', isAuthenticated, async (req, res) => {
+    const changes = unpublishedChanges();
+    const previousAssets = collectAssetUrls(publishedPortfolio, storage.isStoredUrl);
+
+    // The live site keeps its current copy until the new one is saved
+    const published = { ...structuredClone(portfolioData), _id: PUBLISHED_PORTFOLIO_ID };
+    try {
+        await repository.savePortfolio(published, undefined, PUBLISHED_PORTFOLIO_ID);
+    } catch (error) {
+        const rejected = error.name === 'PortfolioValidationError';
+        if (rejected) console.warn(`⚠️ Publish rejected: ${error.message}`);
+        else console.error('❌ Publish failed:', error);
+        req.session.flash = {
+            errors: [
+                'The draft could not be published; the live site is unchanged.',
+                ...(rejected ? error.details.map(describeValidationError) : ['Check server log.'])
+            ]
+        };
+        return res.redirect('/admin');
+    }
+    publishedPortfolio = published;
+    // Files removed in the draft were kept while the live site still showed them
+    await releaseAssets([...previousAssets]);
+
+    req.session.previewDraft = false;
+    console.log(`✅ Draft published (${changes.length} change(s)).`);
+    res.redirect('/admin');
+});
+
+// 23. DISCARD THE DRAFT (reset it to the published portfolio; undoable from the History tab)
+app.post('/admin/discard-draft', isAuthenticated, async (req, res) => {
+    const draftAssets = collectAssetUrls(portfolioData, storage.isStoredUrl);
+
+    portfolioData = { ...structuredClone(publishedPortfolio), _id: DRAFT_PORTFOLIO_ID };
+    await savePortfolio(req);
+    await releaseAssets([...draftAssets]);
+
+    req.session.previewDraft = false;
+    console.log('Draft discarded.');
+    res.redirect('/admin');
+});
+
+// 24. MARKDOWN PREVIEW for the admin editors (same renderer and sanitizer as the public pages)
+app.post('/admin/markdown-preview', isAuthenticated, (req, res) => {
+    res.json({ html: renderMarkdown(req.body.source) });
+});
+
+// 25. MARK A CONTACT MESSAGE READ OR UNREAD
+app.post('/admin/messages/:id/read', isAuthenticated, async (req, res) => {
+    await messageInbox.markRead(req.params.id, req.body.read !== 'false');
+    res.redirect('/admin#messages');
+});
+
+// 26. ARCHIVE A CONTACT MESSAGE (or move it back to the inbox)
+app.post('/admin/messages/:id/archive', isAuthenticated, async (req, res) => {
+    await messageInbox.archive(req.params.id, req.body.archived !== 'false');
+    res.redirect('/admin#messages');
+});
+
+// 27. DELETE A CONTACT MESSAGE
+app.post('/admin/messages/:id/delete', isAuthenticated, async (req, res) => {
+    if (await messageInbox.delete(req.params.id)) {
+        console.log(`Contact message ${req.params.id} deleted.`);
+    }
+    res.redirect('/admin#messages');
+});
+
+// 28. UPDATE SEO SETTINGS (site name, sharing defaults, each page's title and description)
+app.post('/admin/update-seo', isAuthenticated, async (req, res) => {
+    const fields = [
+        'siteName', 'jobTitle', 'twitterHandle', 'defaultImage', 'defaultDescription',
+        ...Object.keys(SEO_PAGES).flatMap(page => [`${page}Title`, `${page}Description`])
+    ];
+    portfolioData.seo = { ...portfolioData.seo };
+    fields.forEach((field) => {
+        portfolioData.seo[field] = String(req.body[field] || '').trim();
+    });
+
+    await savePortfolio(req, 'seo');
+    res.redirect('/admin#seo');
+});
+
+// 29. SAVE A TRANSLATION (one list item, or an object section, in one language).
+// Empty fields are kept empty, so the page shows the default-language text.
+app.post('/admin/translations/:section', isAuthenticated, async (req, res) => {
+    const { section } = req.params;
+    const { locale, id } = req.body;
+    const fields = TRANSLATABLE_FIELDS[section];
+
+    if (!fields || !TRANSLATED_LOCALES.includes(locale)) {
+        return res.status(404).send('This section cannot be translated.');
+    }
+
+    const items = portfolioData[section];
+    const isList = Array.isArray(items);
+    const index = isList ? items.findIndex(item => item.id === id) : -1;
+    if (isList && index === -1) return res.status(404).send('Item not found.');
+    const source = isList ? items[index] : (items || {});
+
+    const translation = {};
+    fields.forEach((field) => {
+        const input = String(req.body[field] || '');
+        // List fields (the about skills) are edited one entry per line
+        translation[field] = Array.isArray(source[field])
+            ? input.split('\n').map(s => s.trim()).filter(s => s.length > 0)
+            : input.trim();
+    });
+    const translated = { ...source, translations: { ...source.translations, [locale]: translation } };
+
+    portfolioData[section] = isList ? items.map((item, i) => (i === index ? translated : item)) : translated;
+
+    await savePortfolio(req, section);
+    res.redirect('/admin#translations');
+});
+
+// 30. UPDATE RÉSUMÉ SETTINGS (template, sections shown, items left out).
+// Every item has a checkbox `items` posting its id when it is included.
+app.post('/admin/update-resume', isAuthenticated, async (req, res) => {
+    const checked = (name) => [].concat(req.body[name] || []);
+    const included = new Set(checked('items'));
+    const itemIds = Object.values(RESUME_SECTIONS)
+        .filter(section => section.items)
+        .flatMap(section => (portfolioData[section.items] || []).map(item => item.id));
+
+    portfolioData.resume = {
+        template: req.body.template,
+        sections: Object.keys(RESUME_SECTIONS).filter(key => checked('sections').includes(key)),
+        hiddenItems: itemIds.filter(id => !included.has(id))
+    };
+
+    await savePortfolio(req, 'resume');
+    res.redirect('/admin#resume');
+});
+
+
+// 31. GITHUB REPOSITORIES: the account's public repositories, to pick the ones to import
+app.get('/admin/github', isAuthenticated, async (req, res) => {
+    let repositories = [];
+    let error = null;
+    try {
+        repositories = [...(await listGitHubRepositories()).values()];
+    } catch (listError) {
+        console.error('❌ Could not list GitHub repositories:', listError.message);
+        error = listError.message;
+    }
+
+    const linked = new Set(portfolioData.projects.map(repositoryKey));
+    res.render('github', {
+        username: githubUsername(),
+        apiUrl: github.apiUrl,
+        error,
+        repositories: repositories.map(repo => ({ ...repo, imported: linked.has(repo.full_name.toLowerCase()) }))
+    });
+});
+
+// 32. IMPORT GITHUB REPOSITORIES as projects (`repos`: full names). Repositories
+// already linked to a project are skipped.
+app.post('/admin/github/import', isAuthenticated, async (req, res) => {
+    const requested = [...new Set([].concat(req.body.repos || []).map(name => String(name).toLowerCase()))];
+    const imported = [];
+
+    try {
+        const repositories = await listGitHubRepositories();
+        const linked = new Set(portfolioData.projects.map(repositoryKey));
+
+        for (const key of requested.filter(name => repositories.has(name) && !linked.has(name))) {
+            const repo = repositories.get(key);
+            imported.push(projectFromRepository(repo, await github.listLanguages(repo.full_name)));
+        }
+    } catch (error) {
+        console.error('❌ GitHub import failed:', error.message);
+        req.session.flash = { errors: [`GitHub import failed: ${error.message}`] };
+        return res.redirect('/admin#projects');
+    }
+
+    if (imported.length > 0) {
+        imported.forEach((fields) => {
+            const project = { id: 'proj' + uuidv4(), ...fields };
+            portfolioData.projects.push(project);
+            assignProjectSlug(project, portfolioData.projects);
+        });
+        await savePortfolio(req, 'projects');
+        console.log(`✅ Imported ${imported.length} project(s) from GitHub.`);
+    }
+    res.redirect('/admin#projects');
+});
+
+// 33. SYNC LINKED PROJECTS WITH GITHUB NOW (stars, last push, languages)
+app.post('/admin/github/sync', isAuthenticated, async (req, res) => {
+    try {
+        await syncGitHubProjects(req);
+    } catch (error) {
+        if (error.name === 'PortfolioValidationError') throw error;
+        lastGitHubSync = { at: new Date(), linked: 0, error: error.message };
+        console.error('❌ GitHub sync failed:', error.message);
+        req.session.flash = { errors: [`GitHub sync failed: ${error.message}`] };
+    }
+    res.redirect('/admin#projects');
+});
+
+// 34. THEME: colors, font, corner radius and hero overlay of the public pages
+app.post('/admin/update-theme', isAuthenticated, async (req, res) => {
+    portfolioData.theme = {
+        primaryColor: req.body.primaryColor,
+        accentColor: req.body.accentColor,
+        font: req.body.font,
+        radius: Number(req.body.radius),
+        heroOverlay: Number(req.body.heroOverlay)
+    };
+
+    await savePortfolio(req, 'theme');
+    res.redirect('/admin#theme');
+});
+
+// 35. RENAME A GALLERY ALBUM (`album`: its slug) on all its photos. Renaming
+// to an existing album merges them; an empty name takes the photos out of albums.
+app.post('/admin/rename-gallery-album', isAuthenticated, async (req, res) => {
+    const name = (req.body.name || '').trim();
+    const photos = req.body.album ? portfolioData.gallery.filter(photo => slugify(photo.album) === req.body.album) : [];
+
+    if (photos.length > 0) {
+        photos.forEach((photo) => {
+            photo.album = name;
+        });
+        await savePortfolio(req, 'gallery');
+    }
+    res.redirect('/admin#gallery');
+});
+
+
+// --- ADMIN SAVE ERRORS ---
+// A save rejected by the schema, or that the database failed, brings the admin
+// back to the tab of the form, with the reasons shown at the top of the
+// dashboard, instead of an error page.
+const describeValidationError = ({ field, message }) => {
+    const [section, index] = field.split('.');
+    return /^\d+$/.test(index || '') ? `${section} item ${Number(index) + 1}: ${message}` : message;
+};
+
+app.use('/admin', (err, req, res, next) => {
+    if (err.name === 'PortfolioSaveError') {
+        req.session.flash = { errors: [err.message] };
+        return res.redirect(`/admin#${SECTION_TABS[err.section] || 'general'}`);
+    }
+    if (err.name !== 'PortfolioValidationError') return next(err);
+
+    console.warn(`⚠️ Rejected ${req.method} ${req.baseUrl}${req.path}: ${err.message}`);
+    req.session.flash = { errors: err.details.map(describeValidationError) };
+    const { field } = err.details[0];
+    // Translated fields are edited in their own tab (e.g. projects.0.translations.fr.title)
+    const tab = /(^|\.)translations\./.test(field) ? 'translations' : SECTION_TABS[field.split('.')[0]];
+    res.redirect(`/admin#${tab || 'general'}`);
+});
+
 
 // Start server only after connecting to DB and loading data
 const PORT = process.env.PORT || 3000;
 connectDBAndLoadData().then(() => {
     app.listen(PORT, () => {
         console.log(`🚀 Server running at http://localhost:${PORT}`);
-        console.log(`🔑 Admin Login: http://localhost:${PORT}/login (User: ${process.env.ADMIN_USERNAME}, Pass: <check your .env file>)`);
+        console.log(`🔑 Admin Login: http://localhost:${PORT}/login (User: ${process.env.ADMIN_USERNAME})`);
     });
+
+    // Images uploaded before variants existed, or whose variants failed
+    backfillImages();
+
+    if (GITHUB_SYNC_HOURS > 0) {
+        // Timers overflow past 2^31 - 1 ms (about 24 days)
+        setInterval(runScheduledGitHubSync, Math.min(GITHUB_SYNC_HOURS * 60 * 60 * 1000, 2 ** 31 - 1)).unref();
+        console.log(`🔄 GitHub projects sync every ${GITHUB_SYNC_HOURS} hour(s).`);
+    }
 });
\ No newline at end of file
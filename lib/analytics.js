@@ -0,0 +1,176 @@
+// ************************************************
+// Privacy-friendly visit statistics
+// ************************************************
+// Counts page views on the public site and clicks on tracked links, without
+// cookies and without storing anything about visitors. The collection only
+// holds daily counters, one document per day, kind and key:
+//   { date: '2026-10-19', kind: 'pageview', key: '/projects', count: 12 }
+// Kinds: pageview (key: page path), visitors (key: ''), referrer (key: the
+// referring site's host), and the tracked links of TRACKED_LINKS.
+//
+// Unique visitors are counted with a hash of the anonymized IP address and the
+// user agent, salted with a random value that changes every day and is never
+// stored, so a visitor cannot be recognized from one day to the next or from the
+// stored data. The hashes of the day are kept in memory only; after a restart a
+// returning visitor may be counted twice that day. Days are UTC days.
+const crypto = require('crypto');
+
+// Links that go through a tracking redirect, with the label of the admin dashboard
+const TRACKED_LINKS = {
+    github: 'GitHub link clicks',
+    demo: 'Live demo clicks',
+    certificate: 'Certificate PDF opens',
+    slide: 'Carousel button clicks',
+    resume: 'Résumé PDF downloads'
+};
+
+// Crawlers, link previews and uptime checks are not visitors
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|monitor|lighthouse|headless|facebookexternalhit|embedly|curl|wget|python-requests|node-fetch|axios/i;
+const isBot = (userAgent) => !userAgent || BOT_PATTERN.test(userAgent);
+
+// Drops the host part of the address: the last octet of an IPv4 address, all
+// but the first three groups (the /48 network) of an IPv6 address
+const anonymizeIp = (ip) => {
+    const address = String(ip || '').replace(/^::ffff:/, '');
+    if (/^\d{1,3}(\.\d{1,3}){3}$/.test(address)) return address.replace(/\.\d+$/, '.0');
+    if (address.includes(':')) {
+        // Groups left out by a '::' before the third one are zeros
+        const groups = address.split('::')[0].split(':').filter(Boolean);
+        return `${[...groups, '0', '0', '0'].slice(0, 3).join(':')}::`;
+    }
+    return '';
+};
+
+// 'YYYY-MM-DD' of a Date, in UTC
+const dayOf = (date) => date.toISOString().slice(0, 10);
+
+const addDays = (day, amount) => {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + amount);
+    return dayOf(date);
+};
+
+// Every day from `from` to `to`, both included
+const daysBetween = (from, to) => {
+    const days = [];
+    for (let day = from; day <= to; day = addDays(day, 1)) days.push(day);
+    return days;
+};
+
+// A real calendar day written YYYY-MM-DD (2026-02-30 is not)
+const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') &&
+    !Number.isNaN(Date.parse(`${value}T00:00:00Z`)) && dayOf(new Date(`${value}T00:00:00Z`)) === value;
+
+const MAX_RANGE_DAYS = 366;
+
+// Range of the admin dashboard from the query string: `days` (the last N days)
+// or `from` and `to`; the last 30 days by default. Ranges are capped at a year.
+const parseRange = ({ days, from, to } = {}, today = dayOf(new Date())) => {
+    let end = isDay(to) ? to : today;
+    let start = isDay(from) ? from : addDays(end, -((parseInt(days) || 30) - 1));
+    if (start > end) [start, end] = [end, start];
+    if (end > today) end = today;
+    if (start > end) start = end;
+    if (start < addDays(end, -(MAX_RANGE_DAYS - 1))) start = addDays(end, -(MAX_RANGE_DAYS - 1));
+    return { from: start, to: end };
+};
+
+// Counters of one kind, largest first, as [{ key, count }]
+const topKeys = (documents, kind, limit = 10) => {
+    const totals = new Map();
+    documents.filter(doc => doc.kind === kind).forEach((doc) => {
+        totals.set(doc.key, (totals.get(doc.key) || 0) + doc.count);
+    });
+    return [...totals.entries()]
+        .map(([key, count]) => ({ key, count }))
+        .sort((a, b) => b.count - a.count || String(a.key).localeCompare(String(b.key)))
+        .slice(0, limit);
+};
+
+const createAnalytics = ({ collection }) => {
+    let currentDay = null;
+    let salt = null;
+    let visitorsToday = new Set();
+
+    // The salt and the visitor hashes only live for one day
+    const rotate = (day) => {
+        if (day === currentDay) return;
+        currentDay = day;
+        salt = crypto.randomBytes(16).toString('hex');
+        visitorsToday = new Set();
+    };
+
+    const increment = (date, kind, key) => collection.updateOne(
+        { date, kind, key },
+        { $inc: { count: 1 } },
+        { upsert: true }
+    );
+
+    return {
+        // One view of a public page. `host` is the site's own host, so that
+        // navigation inside the site is not counted as a referrer.
+        async trackPageView({ path, ip, userAgent, referrer, host }) {
+            const date = dayOf(new Date());
+            rotate(date);
+
+            const updates = [increment(date, 'pageview', path)];
+
+            const visitor = crypto.createHash('sha256')
+                .update(`${salt}|${anonymizeIp(ip)}|${userAgent || ''}`)
+                .digest('hex');
+            if (!visitorsToday.has(visitor)) {
+                visitorsToday.add(visitor);
+                updates.push(increment(date, 'visitors', ''));
+            }
+
+            let referrerHost = '';
+            try {
+                referrerHost = referrer ? new URL(referrer).host : '';
+            } catch (error) {
+                referrerHost = '';
+            }
+            if (referrerHost && referrerHost !== host) {
+                updates.push(increment(date, 'referrer', referrerHost.replace(/^www\./, '')));
+            }
+
+            await Promise.all(updates);
+        },
+
+        // One click on a tracked link; `kind` is a key of TRACKED_LINKS and
+        // `key` the id of the project, certificate or slide (the template of a résumé download)
+        async trackClick(kind, key) {
+            if (!TRACKED_LINKS[kind]) throw new Error(`Unknown tracked link: ${kind}`);
+            await increment(dayOf(new Date()), kind, key);
+        },
+
+        // Totals for the admin dashboard over a range of days (see parseRange):
+        // { from, to, days: [{ date, pageViews, visitors }], totals, pages, referrers, links }
+        async report({ from, to }) {
+            const documents = await collection.find({ date: { $gte: from, $lte: to } });
+
+            const byDay = new Map(daysBetween(from, to).map(date => [date, { date, pageViews: 0, visitors: 0 }]));
+            documents.forEach((doc) => {
+                const day = byDay.get(doc.date);
+                if (!day) return;
+                if (doc.kind === 'pageview') day.pageViews += doc.count;
+                if (doc.kind === 'visitors') day.visitors += doc.count;
+            });
+            const days = [...byDay.values()];
+
+            return {
+                from,
+                to,
+                days,
+                totals: {
+                    pageViews: days.reduce((sum, day) => sum + day.pageViews, 0),
+                    visitors: days.reduce((sum, day) => sum + day.visitors, 0)
+                },
+                pages: topKeys(documents, 'pageview'),
+                referrers: topKeys(documents, 'referrer'),
+                links: Object.fromEntries(Object.keys(TRACKED_LINKS).map(kind => [kind, topKeys(documents, kind)]))
+            };
+        }
+    };
+};
+
+module.exports = { createAnalytics, parseRange, anonymizeIp, isBot, TRACKED_LINKS };
@@ -0,0 +1,227 @@
+// ************************************************
+// Portfolio section definitions for the JSON API
+// ************************************************
+// `list` sections are arrays of items with an `id`; `object` sections are a
+// single object. `assets` names the fields holding stored file URLs, so they
+// can be cleaned up from storage when an item is deleted or replaced.
+// `prepare(item, items, before)`, when present, runs on a created or updated
+// list item before it is saved, to fill in derived fields; `before` is the item
+// as it was before an update.
+// Sections with translatable text also accept `translations`, an object of
+// languages holding the translated fields (see lib/i18n).
+const { assignProjectSlug } = require('../slug');
+const { TRANSLATED_LOCALES, TRANSLATABLE_FIELDS } = require('../i18n');
+const { SEO_PAGES } = require('../seo');
+
+// Only the JSON types of the fields are checked here; what their values must
+// look like (required fields, lengths, link and date formats, allowed values)
+// is checked by the portfolio schema (lib/repository/schema.js) when the
+// change is saved, so the API and the admin forms follow the same rules.
+const string = () => ({ type: 'string' });
+const strings = () => ({ type: 'array', items: string() });
+const withDefault = (spec, value) => ({ ...spec, default: value });
+
+const SECTIONS = {
+    carousel: {
+        kind: 'list',
+        fields: {
+            title: string(),
+            description: string(),
+            buttonText: string(),
+            link: string(),
+            url: string(),
+            alt: string()
+        },
+        assets: ['url']
+    },
+    education: {
+        kind: 'list',
+        fields: {
+            title: string(),
+            institution: string(),
+            years: string(),
+            imageUrl: string(),
+            imageAlt: string()
+        },
+        assets: ['imageUrl']
+    },
+    certificates: {
+        kind: 'list',
+        fields: {
+            title: string(),
+            issuer: string(),
+            pdfUrl: string(),
+            thumbnailUrl: withDefault(string(), ''),
+            thumbnailAlt: withDefault(string(), ''),
+            issueDate: withDefault(string(), ''),
+            expiryDate: withDefault(string(), ''),
+            credentialId: withDefault(string(), ''),
+            verificationUrl: withDefault(string(), ''),
+            skills: withDefault(strings(), [])
+        },
+        assets: ['pdfUrl', 'thumbnailUrl']
+    },
+    gallery: {
+        kind: 'list',
+        fields: {
+            url: string(),
+            alt: string(),
+            caption: string(),
+            album: withDefault(string(), '')
+        },
+        assets: ['url']
+    },
+    projects: {
+        kind: 'list',
+        idPrefix: 'proj',
+        fields: {
+            title: string(),
+            slug: string(),
+            description: string(),
+            writeUp: withDefault(string(), ''),
+            githubLink: string(),
+            demoLink: withDefault(string(), ''),
+            images: withDefault(strings(), []),
+            imageAlts: withDefault(strings(), []),
+            tags: withDefault(strings(), []),
+            category: withDefault(string(), ''),
+            startDate: withDefault(string(), ''),
+            endDate: withDefault(string(), ''),
+            featured: withDefault({ type: 'boolean' }, false)
+        },
+        assets: ['images'],
+        // Normalizes (or generates) the slug and keeps replaced ones in previousSlugs
+        prepare: (item, items, before = {}) => {
+            const requested = item.slug;
+            item.slug = before.slug;
+            return assignProjectSlug(item, items, requested);
+        }
+    },
+    about: {
+        kind: 'object',
+        fields: {
+            summary: string(),
+            fullStory: string(),
+            skills: strings(),
+            photoUrl: string(),
+            photoAlt: string()
+        },
+        assets: ['photoUrl']
+    },
+    footerInfo: {
+        kind: 'object',
+        fields: {
+            name: string(),
+            line1: string(),
+            line2: string(),
+            githubLink: string(),
+            emailLink: string(),
+            phoneLink: string(),
+            linkedinLink: string()
+        },
+        assets: []
+    },
+    seo: {
+        kind: 'object',
+        fields: {
+            siteName: string(),
+            jobTitle: string(),
+            twitterHandle: string(),
+            defaultImage: string(),
+            defaultDescription: string(),
+            ...Object.fromEntries(Object.keys(SEO_PAGES)
+                .flatMap(page => [[`${page}Title`, string()], [`${page}Description`, string()]]))
+        },
+        assets: []
+    },
+    resume: {
+        kind: 'object',
+        fields: {
+            template: string(),
+            sections: strings(),
+            hiddenItems: strings()
+        },
+        assets: []
+    },
+    theme: {
+        kind: 'object',
+        fields: {
+            primaryColor: string(),
+            accentColor: string(),
+            font: string(),
+            radius: { type: 'number' },
+            heroOverlay: { type: 'number' }
+        },
+        assets: []
+    }
+};
+
+// { fr: { title: ... } }: every translatable field of the section
+Object.entries(TRANSLATABLE_FIELDS).filter(([sectionName]) => SECTIONS[sectionName]).forEach(([sectionName, translatable]) => {
+    const { fields } = SECTIONS[sectionName];
+    const translatedFields = Object.fromEntries(translatable.map(field => [field, fields[field]]));
+    fields.translations = {
+        type: 'object',
+        fields: Object.fromEntries(TRANSLATED_LOCALES.map(locale => [locale, { type: 'object', fields: translatedFields }]))
+    };
+});
+
+const checkValue = (field, spec, value) => {
+    if (spec.type === 'object') {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return `${field} must be an object.`;
+        for (const [key, item] of Object.entries(value)) {
+            if (!spec.fields[key]) return `Unknown field ${field}.${key}.`;
+            const error = checkValue(`${field}.${key}`, spec.fields[key], item);
+            if (error) return error;
+        }
+        return null;
+    }
+    if (spec.type === 'array') {
+        if (!Array.isArray(value)) return `${field} must be an array.`;
+        for (const item of value) {
+            const error = checkValue(`${field}[]`, spec.items, item);
+            if (error) return error;
+        }
+        return null;
+    }
+    if (spec.type === 'boolean') return typeof value === 'boolean' ? null : `${field} must be true or false.`;
+    if (spec.type === 'number') return Number.isFinite(value) ? null : `${field} must be a number.`;
+    return typeof value === 'string' ? null : `${field} must be a string.`;
+};
+
+// Checks the shape of a request body against a section; missing fields get the
+// section's default, unless `partial` (PATCH). Returns { values, errors } where
+// values only holds known fields.
+const validateSectionInput = (sectionName, body, { partial = false } = {}) => {
+    const section = SECTIONS[sectionName];
+    const values = {};
+    const errors = [];
+    const input = body && typeof body === 'object' ? body : {};
+
+    Object.keys(input).forEach((field) => {
+        if (!section.fields[field] && field !== 'id') {
+            errors.push({ field, message: `Unknown field ${field}.` });
+        }
+    });
+
+    Object.entries(section.fields).forEach(([field, spec]) => {
+        if (input[field] === undefined) {
+            if (!partial && spec.default !== undefined) values[field] = spec.default;
+            return;
+        }
+        const message = checkValue(field, spec, input[field]);
+        if (message) {
+            errors.push({ field, message });
+        } else {
+            values[field] = input[field];
+        }
+    });
+
+    return { values, errors };
+};
+
+// Every stored file URL referenced by an item of the section
+const assetUrlsOf = (sectionName, item) => SECTIONS[sectionName].assets
+    .flatMap(field => [].concat(item && item[field] ? item[field] : []));
+
+module.exports = { SECTIONS, validateSectionInput, assetUrlsOf };
@@ -0,0 +1,188 @@
+// ************************************************
+// Versioned JSON REST API (/api/v1)
+// ************************************************
+// Public (published content; add ?version=draft, authenticated, to read the draft):
+//   GET    /api/v1                      -> list of sections and endpoints
+//   GET    /api/v1/:section             -> section content
+//   GET    /api/v1/:section/:id         -> one item of a list section
+// Authenticated (Bearer API_TOKEN, or admin session + X-CSRF-Token header):
+//   POST   /api/v1/:section             -> create an item (list sections), 201
+//   PATCH  /api/v1/:section/:id         -> update fields of an item, 200
+//   PATCH  /api/v1/:section             -> update fields of an object section, 200
+//   PUT    /api/v1/:section/order       -> reorder a list section, body { ids: [...] }, 200
+//   DELETE /api/v1/:section/:id         -> delete an item and its stored files, 204
+// Writes change the draft, which goes live when it is published from the dashboard.
+// Errors are returned as { error: { message, details? } } with a matching status code.
+// See docs/api-v1.md for the field reference.
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { SECTIONS, validateSectionInput, assetUrlsOf } = require('./sections');
+const { reorderItems } = require('../reorder');
+
+const apiError = (status, message, details) => Object.assign(new Error(message), { status, details });
+
+const createApiV1Router = ({ getPortfolio, getPublishedPortfolio, savePortfolio, releaseAssets, isApiAuthenticated }) => {
+    const router = express.Router();
+    router.use(express.json({ limit: '1mb' }));
+
+    // Reads serve the published portfolio unless the draft is requested (and allowed)
+    const readVersion = (req, res, next) => {
+        if (req.query.version === 'draft') return isApiAuthenticated(req, res, next);
+        if (req.query.version && req.query.version !== 'published') {
+            return next(apiError(400, 'version must be "published" or "draft".'));
+        }
+        next();
+    };
+    const readablePortfolio = (req) => (req.query.version === 'draft' ? getPortfolio() : getPublishedPortfolio());
+
+    const findItem = (sectionName, id, portfolio = getPortfolio()) => {
+        const items = portfolio[sectionName] || [];
+        const index = items.findIndex(item => item.id === id);
+        if (index === -1) throw apiError(404, `No ${sectionName} item with id ${id}.`);
+        return { items, index, item: items[index] };
+    };
+
+    const requireList = (req) => {
+        if (SECTIONS[req.params.section].kind !== 'list') {
+            throw apiError(405, `${req.params.section} is a single object; use GET or PATCH /api/v1/${req.params.section}.`);
+        }
+    };
+
+    const validate = (sectionName, body, options) => {
+        const { values, errors } = validateSectionInput(sectionName, body, options);
+        if (errors.length > 0) throw apiError(422, 'Validation failed.', errors);
+        return values;
+    };
+
+    // Releases stored files that were referenced before a change and are not anymore
+    const cleanupAssets = async (sectionName, before, after) => {
+        const remaining = new Set(assetUrlsOf(sectionName, after));
+        await releaseAssets(assetUrlsOf(sectionName, before).filter(url => !remaining.has(url)));
+    };
+
+    router.get('/', (req, res) => {
+        res.json({
+            data: {
+                version: 'v1',
+                sections: Object.entries(SECTIONS).map(([name, section]) => ({
+                    name,
+                    kind: section.kind,
+                    fields: Object.keys(section.fields),
+                    href: `${req.baseUrl}/${name}`
+                }))
+            }
+        });
+    });
+
+    router.param('section', (req, res, next, sectionName) => {
+        if (!SECTIONS[sectionName]) return next(apiError(404, `Unknown section ${sectionName}.`));
+        next();
+    });
+
+    router.get('/:section', readVersion, (req, res) => {
+        const fallback = SECTIONS[req.params.section].kind === 'list' ? [] : {};
+        res.json({ data: readablePortfolio(req)[req.params.section] || fallback });
+    });
+
+    router.get('/:section/:id', readVersion, (req, res) => {
+        requireList(req);
+        res.json({ data: findItem(req.params.section, req.params.id, readablePortfolio(req)).item });
+    });
+
+    router.post('/:section', isApiAuthenticated, async (req, res) => {
+        requireList(req);
+        const { section } = req.params;
+        const values = validate(section, req.body);
+        const item = { id: (SECTIONS[section].idPrefix || '') + uuidv4(), ...values };
+
+        const portfolio = getPortfolio();
+        if (!Array.isArray(portfolio[section])) portfolio[section] = [];
+        portfolio[section].push(item);
+        if (SECTIONS[section].prepare) SECTIONS[section].prepare(item, portfolio[section]);
+        await savePortfolio(req, section);
+
+        res.status(201).location(`${req.baseUrl}/${section}/${item.id}?version=draft`).json({ data: item });
+    });
+
+    router.put('/:section/order', isApiAuthenticated, async (req, res) => {
+        requireList(req);
+        const { section } = req.params;
+        const ids = req.body && req.body.ids;
+        if (!Array.isArray(ids)) {
+            throw apiError(422, 'Validation failed.', [{ field: 'ids', message: 'ids must be an array of item ids.' }]);
+        }
+
+        const portfolio = getPortfolio();
+        const items = portfolio[section] || [];
+        const unknown = ids.filter(id => !items.some(item => item.id === id));
+        if (unknown.length > 0) {
+            throw apiError(422, 'Validation failed.', [{ field: 'ids', message: `Unknown ids: ${unknown.join(', ')}.` }]);
+        }
+
+        portfolio[section] = reorderItems(items, ids.map(id => items.findIndex(item => item.id === id)));
+        await savePortfolio(req, section);
+
+        res.json({ data: portfolio[section] });
+    });
+
+    router.patch('/:section/:id', isApiAuthenticated, async (req, res) => {
+        requireList(req);
+        const { section } = req.params;
+        const values = validate(section, req.body, { partial: true });
+        const { item } = findItem(section, req.params.id);
+
+        const before = { ...item };
+        Object.assign(item, values);
+        if (SECTIONS[section].prepare) SECTIONS[section].prepare(item, getPortfolio()[section], before);
+        await savePortfolio(req, section);
+        await cleanupAssets(section, before, item);
+
+        res.json({ data: item });
+    });
+
+    router.patch('/:section', isApiAuthenticated, async (req, res) => {
+        const { section } = req.params;
+        if (SECTIONS[section].kind !== 'object') {
+            throw apiError(405, `${section} is a list; use POST /api/v1/${section} or PATCH /api/v1/${section}/:id.`);
+        }
+        const values = validate(section, req.body, { partial: true });
+
+        const portfolio = getPortfolio();
+        const before = { ...portfolio[section] };
+        portfolio[section] = { ...portfolio[section], ...values };
+        await savePortfolio(req, section);
+        await cleanupAssets(section, before, portfolio[section]);
+
+        res.json({ data: portfolio[section] });
+    });
+
+    router.delete('/:section/:id', isApiAuthenticated, async (req, res) => {
+        requireList(req);
+        const { section } = req.params;
+        const { items, index, item } = findItem(section, req.params.id);
+
+        items.splice(index, 1);
+        await savePortfolio(req, section);
+        await cleanupAssets(section, item, null);
+
+        res.status(204).end();
+    });
+
+    router.use((req, res, next) => next(apiError(404, `No API endpoint for ${req.method} ${req.originalUrl}.`)));
+
+    router.use((err, req, res, next) => {
+        // body-parser errors (malformed JSON, payload too large) carry their own status
+        const status = err.status || err.statusCode || 500;
+        if (status >= 500) console.error("❌ API Error:", err);
+        res.status(status).json({
+            error: {
+                message: status >= 500 ? 'Internal server error.' : err.message,
+                ...(err.details ? { details: err.details } : {})
+            }
+        });
+    });
+
+    return router;
+};
+
+module.exports = { createApiV1Router };
@@ -0,0 +1,31 @@
+// ************************************************
+// Stored asset helpers
+// ************************************************
+
+// Collects every string inside `value` (any depth) that `isStoredUrl` recognises
+// as a stored file, e.g. all images and PDFs referenced by a portfolio document.
+const collectAssetUrls = (value, isStoredUrl, found = new Set()) => {
+    if (typeof value === 'string') {
+        if (isStoredUrl(value)) found.add(value);
+    } else if (value !== null && typeof value === 'object') {
+        Object.values(value).forEach(item => collectAssetUrls(item, isStoredUrl, found));
+    }
+    return found;
+};
+
+// Returns a deep copy of `value` with every string found in `urlMap` (a Map of
+// old URL -> new URL) replaced, e.g. after assets were re-uploaded elsewhere.
+const replaceAssetUrls = (value, urlMap) => {
+    if (typeof value === 'string') {
+        return urlMap.has(value) ? urlMap.get(value) : value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => replaceAssetUrls(item, urlMap));
+    }
+    if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, replaceAssetUrls(item, urlMap)]));
+    }
+    return value;
+};
+
+module.exports = { collectAssetUrls, replaceAssetUrls };
@@ -0,0 +1,54 @@
+// ************************************************
+// In-memory attempt limiter with temporary lockout
+// ************************************************
+// Counts failures per key (an IP address, a username...) inside a sliding
+// window. Once `maxAttempts` failures are reached the key is locked for
+// `lockoutMs`. State is per-process, which is fine for a single admin.
+
+const createAttemptLimiter = ({ maxAttempts, windowMs, lockoutMs }) => {
+    const entries = new Map();
+
+    // Drop entries whose window and lockout have both passed so the map cannot grow forever
+    const prune = (now) => {
+        for (const [key, entry] of entries) {
+            if (entry.lockedUntil <= now && now - entry.firstFailureAt > windowMs) {
+                entries.delete(key);
+            }
+        }
+    };
+
+    return {
+        // Returns the timestamp until which the key is locked, or 0 if it is not locked
+        lockedUntil(key) {
+            const entry = entries.get(key);
+            return entry && entry.lockedUntil > Date.now() ? entry.lockedUntil : 0;
+        },
+
+        // Records a failure and returns true if this failure triggered a lockout
+        registerFailure(key) {
+            const now = Date.now();
+            if (entries.size > 1000) prune(now);
+
+            let entry = entries.get(key);
+            if (!entry || now - entry.firstFailureAt > windowMs) {
+                entry = { count: 0, firstFailureAt: now, lockedUntil: 0 };
+                entries.set(key, entry);
+            }
+
+            entry.count += 1;
+            if (entry.count >= maxAttempts) {
+                entry.lockedUntil = now + lockoutMs;
+                entry.count = 0;
+                entry.firstFailureAt = now;
+                return true;
+            }
+            return false;
+        },
+
+        reset(key) {
+            entries.delete(key);
+        }
+    };
+};
+
+module.exports = { createAttemptLimiter };
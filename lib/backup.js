@@ -0,0 +1,156 @@
+// ************************************************
+// Portfolio backup archives
+// ************************************************
+// A backup is a zip file with:
+//   manifest.json   format, version, export date and the list of bundled files
+//   portfolio.json  the published Portfolio document
+//   draft.json      the admin's draft (optional; archives without it restore the
+//                   published document as the draft too)
+//   media/<Folder>/<n>-<file name>  every stored image and PDF either document references
+//
+// Importing uploads the bundled files to the current storage driver and
+// rewrites the documents' URLs, so an archive taken from a Cloudinary site can
+// be restored onto local disk (or another Cloudinary account) and vice versa.
+// Bundled files must pass the upload checks of their folder (lib/uploads.js).
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { collectAssetUrls, replaceAssetUrls } = require('./assets');
+const { STORAGE_FOLDERS } = require('./storage');
+const { UPLOAD_LIMITS, checkUpload } = require('./uploads');
+
+const BACKUP_FORMAT = 'portfolio-backup';
+const BACKUP_VERSION = 1;
+
+const ASSET_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.pdf'];
+
+// "/uploads/Gallery/1760012657665-gallery-1.png" -> { folder: 'Gallery', name: '1760012657665-gallery-1.png' }
+// ".../upload/v1/portfolio/Pdf/abc.pdf"          -> { folder: 'Pdf', name: 'abc.pdf' }
+const describeAssetUrl = (fileUrl) => {
+    const pathname = decodeURIComponent(new URL(fileUrl, 'http://localhost').pathname);
+    const segments = pathname.split('/').filter(Boolean);
+    const name = (segments.pop() || 'file').replace(/[^\w.-]+/g, '-');
+    const folder = [...segments].reverse().find(segment => STORAGE_FOLDERS.includes(segment))
+        || (path.extname(name).toLowerCase() === '.pdf' ? 'Pdf' : 'Gallery');
+    return { folder, name };
+};
+
+// Builds the archive for `portfolio` and `draft`. Files that cannot be downloaded
+// are listed in the manifest as missing and their URLs are left untouched.
+const createBackupArchive = async ({ portfolio, draft, storage }) => {
+    const zip = new AdmZip();
+    const assets = [];
+    const missing = [];
+
+    let index = 0;
+    for (const url of collectAssetUrls([portfolio, draft], storage.isStoredUrl)) {
+        const { folder, name } = describeAssetUrl(url);
+        try {
+            const data = await storage.read(url);
+            const file = `media/${folder}/${++index}-${name}`;
+            zip.addFile(file, data);
+            assets.push({ url, folder, file });
+        } catch (error) {
+            console.warn(`Backup: could not read ${url}: ${error.message}`);
+            missing.push(url);
+        }
+    }
+
+    const manifest = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        storageDriver: storage.name,
+        assets,
+        missing
+    };
+
+    zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+    zip.addFile('portfolio.json', Buffer.from(JSON.stringify(portfolio, null, 2)));
+    if (draft) zip.addFile('draft.json', Buffer.from(JSON.stringify(draft, null, 2)));
+
+    return { buffer: zip.toBuffer(), manifest };
+};
+
+// Reads and checks an archive made by createBackupArchive, bundled files
+// included. Throws an Error with a message fit for the admin when the file is
+// not a usable backup.
+const readBackupArchive = (buffer) => {
+    let zip;
+    try {
+        zip = new AdmZip(buffer);
+    } catch (error) {
+        throw new Error('The file is not a valid zip archive.');
+    }
+
+    const readJson = (name) => {
+        const entry = zip.getEntry(name);
+        if (!entry) throw new Error(`The archive has no ${name}.`);
+        try {
+            return JSON.parse(entry.getData().toString('utf8'));
+        } catch (error) {
+            throw new Error(`${name} in the archive is not valid JSON.`);
+        }
+    };
+
+    const manifest = readJson('manifest.json');
+    if (manifest.format !== BACKUP_FORMAT) {
+        throw new Error('The archive is not a portfolio backup.');
+    }
+    if (manifest.version > BACKUP_VERSION) {
+        throw new Error(`The archive uses backup version ${manifest.version}; this site reads up to version ${BACKUP_VERSION}.`);
+    }
+
+    const readDocument = (name) => {
+        const document = readJson(name);
+        if (document === null || typeof document !== 'object' || Array.isArray(document)) {
+            throw new Error(`${name} in the archive is not a portfolio document.`);
+        }
+        return document;
+    };
+
+    const portfolio = readDocument('portfolio.json');
+    const draft = zip.getEntry('draft.json') ? readDocument('draft.json') : portfolio;
+
+    const assets = (manifest.assets || []).map((asset) => {
+        const extension = path.extname(asset.file || '').toLowerCase();
+        if (!STORAGE_FOLDERS.includes(asset.folder) || !ASSET_EXTENSIONS.includes(extension)) {
+            throw new Error(`The archive lists an unsupported file: ${asset.file}`);
+        }
+        const entry = zip.getEntry(asset.file);
+        if (!entry) throw new Error(`The archive is missing ${asset.file}.`);
+        const data = entry.getData();
+        // Throws an UploadError naming the file
+        checkUpload({ originalname: asset.file, buffer: data }, UPLOAD_LIMITS[asset.folder]);
+        return { url: asset.url, folder: asset.folder, name: path.basename(asset.file), data };
+    });
+
+    return { manifest, portfolio, draft, assets };
+};
+
+// Uploads the archive's files through `storage` and returns both documents with
+// their URLs rewritten, plus the new URLs. If any upload fails, the files
+// uploaded so far are deleted again and the error is rethrown.
+const restoreBackupAssets = async ({ portfolio, draft, assets, storage }) => {
+    const urlMap = new Map();
+    try {
+        for (const asset of assets) {
+            const stored = await storage.put(asset.folder, {
+                originalname: asset.name.replace(/^\d+-/, ''),
+                buffer: asset.data,
+                size: asset.data.length
+            });
+            urlMap.set(asset.url, stored.url);
+        }
+    } catch (error) {
+        for (const url of urlMap.values()) await storage.delete(url);
+        throw error;
+    }
+
+    return {
+        portfolio: replaceAssetUrls(portfolio, urlMap),
+        draft: replaceAssetUrls(draft, urlMap),
+        uploadedUrls: [...urlMap.values()]
+    };
+};
+
+module.exports = { createBackupArchive, readBackupArchive, restoreBackupAssets };
@@ -0,0 +1,33 @@
+// ************************************************
+// Field-level diff between two portfolio values
+// ************************************************
+// Flattens both values into "path -> leaf value" maps (e.g. "projects.2.title")
+// and reports every path whose value was added, removed or changed.
+
+const flatten = (value, prefix, out = {}) => {
+    if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+        const entries = Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.entries(value);
+        if (entries.length === 0) {
+            out[prefix] = Array.isArray(value) ? [] : {};
+        }
+        entries.forEach(([key, item]) => flatten(item, prefix ? `${prefix}.${key}` : String(key), out));
+    } else if (value !== undefined) {
+        out[prefix] = value;
+    }
+    return out;
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Returns [{ path, before, after }] for the given top-level sections
+const diffSections = (before, after, sections) => sections.flatMap((section) => {
+    const left = flatten(before ? before[section] : undefined, section);
+    const right = flatten(after ? after[section] : undefined, section);
+    const paths = [...new Set([...Object.keys(left), ...Object.keys(right)])];
+
+    return paths
+        .filter(fieldPath => !sameValue(left[fieldPath], right[fieldPath]))
+        .map(fieldPath => ({ path: fieldPath, before: left[fieldPath], after: right[fieldPath] }));
+});
+
+module.exports = { diffSections };
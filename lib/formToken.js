@@ -0,0 +1,35 @@
+// ************************************************
+// Stateless form tokens
+// ************************************************
+// Public forms cannot use the session CSRF token without starting a session
+// (and setting a cookie) for every visitor. They carry a signed timestamp
+// instead: `<issuedAt>.<HMAC-SHA256 of issuedAt>`, valid for `maxAgeMs`.
+const crypto = require('crypto');
+
+const createFormTokens = ({ secret, maxAgeMs }) => {
+    if (!secret) {
+        throw new Error('Form tokens need a secret.');
+    }
+
+    const sign = (issuedAt) => crypto.createHmac('sha256', secret).update(`form-token|${issuedAt}`).digest('hex');
+
+    return {
+        issue() {
+            const issuedAt = String(Date.now());
+            return `${issuedAt}.${sign(issuedAt)}`;
+        },
+
+        // True for a token issued by this secret that has not expired yet
+        verify(token) {
+            const [issuedAt, signature] = String(token || '').split('.');
+            if (!/^\d+$/.test(issuedAt || '') || !/^[0-9a-f]{64}$/.test(signature || '')) return false;
+
+            const age = Date.now() - Number(issuedAt);
+            if (age < 0 || age > maxAgeMs) return false;
+
+            return crypto.timingSafeEqual(Buffer.from(signature, 'hex'), Buffer.from(sign(issuedAt), 'hex'));
+        }
+    };
+};
+
+module.exports = { createFormTokens };
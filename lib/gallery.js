@@ -0,0 +1,48 @@
+// ************************************************
+// Gallery page: albums and pagination
+// ************************************************
+// Gallery photos are { id, url, caption, album }. `album` is a free name typed
+// in the admin ('' for photos outside any album); albums are listed in the
+// order their first photo appears and are filtered by slug (/gallery?album=travel).
+// The /gallery page shows GALLERY_PAGE_SIZE photos per page and the home page
+// only the first HOME_GALLERY_SIZE, so neither loads every photo at once.
+const { slugify } = require('./slug');
+
+const GALLERY_PAGE_SIZE = 12;
+const HOME_GALLERY_SIZE = 6;
+
+// [{ name, slug, count }] of the albums used by `photos`
+const galleryAlbums = (photos) => {
+    const albums = new Map();
+    (photos || []).forEach((photo) => {
+        const name = (photo.album || '').trim();
+        const slug = slugify(name);
+        if (!slug) return;
+        const album = albums.get(slug) || { name, slug, count: 0 };
+        album.count += 1;
+        albums.set(slug, album);
+    });
+    return [...albums.values()];
+};
+
+// One page of the gallery, optionally limited to an album (by slug):
+// { photos, albums, album, page, pageCount, total }. `album` is null when the
+// slug matches no album; pages past the end show the last one.
+const galleryPage = (photos, { album: albumSlug, page } = {}) => {
+    const albums = galleryAlbums(photos);
+    const album = albums.find(candidate => candidate.slug === albumSlug) || null;
+    const shown = album ? (photos || []).filter(photo => slugify(photo.album) === album.slug) : (photos || []);
+
+    const pageCount = Math.max(1, Math.ceil(shown.length / GALLERY_PAGE_SIZE));
+    const current = Math.min(Math.max(parseInt(page, 10) || 1, 1), pageCount);
+    return {
+        photos: shown.slice((current - 1) * GALLERY_PAGE_SIZE, current * GALLERY_PAGE_SIZE),
+        albums,
+        album,
+        page: current,
+        pageCount,
+        total: shown.length
+    };
+};
+
+module.exports = { GALLERY_PAGE_SIZE, HOME_GALLERY_SIZE, galleryAlbums, galleryPage };
@@ -0,0 +1,157 @@
+// ************************************************
+// GitHub repositories: project import and sync
+// ************************************************
+// Projects can be imported from the owner's public GitHub repositories, and
+// projects linked to one of them are kept in sync. What comes from GitHub is
+// stored on the project under `github`:
+//   { repo: 'octocat/hello-world', stars: 12, pushedAt: '2026-10-01T08:00:00Z',
+//     languages: ['Java', 'CSS'], imported: { description, demoLink, tags } }
+// `imported` holds the values last copied from GitHub into the project's own
+// fields. A sync always refreshes the stars, the last push and the languages,
+// but only updates a copied field while the project still has the copied
+// value: text edited in the admin is never overwritten. The title is only set
+// on import, since it names the project's page. The published portfolio only
+// gets the statistics (syncProjectStats); copied text waits for the next publish.
+//
+// The API base URL is configurable (GITHUB_API_URL) so that tests can run
+// against a local stand-in instead of api.github.com.
+
+const DEFAULT_API_URL = 'https://api.github.com';
+const REQUEST_TIMEOUT_MS = 15000;
+// 100 repositories per page, at most 1000 repositories
+const PAGE_SIZE = 100;
+const MAX_PAGES = 10;
+// Languages (largest first) that become the tags of an imported project
+const MAX_LANGUAGE_TAGS = 5;
+
+const createGitHubClient = ({ apiUrl = DEFAULT_API_URL, token } = {}) => {
+    const baseUrl = apiUrl.replace(/\/+$/, '');
+
+    const request = async (path) => {
+        const response = await fetch(`${baseUrl}${path}`, {
+            headers: {
+                Accept: 'application/vnd.github+json',
+                'User-Agent': 'portfolio-github-sync',
+                ...(token ? { Authorization: `Bearer ${token}` } : {})
+            },
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+        if (!response.ok) {
+            throw Object.assign(new Error(`GitHub API answered ${response.status} for ${path}.`), { status: response.status });
+        }
+        return response.json();
+    };
+
+    return {
+        apiUrl: baseUrl,
+
+        // The user's public repositories, most recently pushed first
+        async listRepositories(username) {
+            const repositories = [];
+            for (let page = 1; page <= MAX_PAGES; page++) {
+                const batch = await request(`/users/${encodeURIComponent(username)}/repos?type=owner&sort=pushed&per_page=${PAGE_SIZE}&page=${page}`);
+                repositories.push(...batch);
+                if (batch.length < PAGE_SIZE) break;
+            }
+            return repositories;
+        },
+
+        // Language names of a repository ('owner/name'), largest first
+        async listLanguages(fullName) {
+            const bytes = await request(`/repos/${fullName.split('/').map(encodeURIComponent).join('/')}/languages`);
+            return Object.entries(bytes).sort((a, b) => b[1] - a[1]).map(([language]) => language);
+        }
+    };
+};
+
+// 'https://github.com/octocat' -> 'octocat'
+const usernameFromProfile = (link) => {
+    const match = String(link || '').match(/^https?:\/\/(www\.)?github\.com\/([A-Za-z0-9-]+)\/?$/i);
+    return match ? match[2] : null;
+};
+
+// 'https://github.com/octocat/hello-world' -> 'octocat/hello-world'
+const repositoryFromLink = (link) => {
+    const match = String(link || '').match(/^https?:\/\/(www\.)?github\.com\/([A-Za-z0-9-]+)\/([\w.-]+?)(\.git)?\/?([?#].*)?$/i);
+    return match ? `${match[2]}/${match[3]}` : null;
+};
+
+// The repository a project is linked to: the one it was imported from, or the
+// one its GitHub link points to
+const linkedRepository = (project) => (project.github && project.github.repo) || repositoryFromLink(project.githubLink);
+
+// The project fields copied from a repository
+const copiedFields = (repository, languages) => ({
+    description: (repository.description || '').trim() || repository.name,
+    demoLink: /^https?:\/\//i.test(repository.homepage || '') ? repository.homepage : '',
+    tags: languages.slice(0, MAX_LANGUAGE_TAGS)
+});
+
+const githubDetails = (repository, languages) => ({
+    repo: repository.full_name,
+    stars: repository.stargazers_count || 0,
+    pushedAt: repository.pushed_at || '',
+    languages
+});
+
+// A new project (without id and slug) from a repository
+const projectFromRepository = (repository, languages) => {
+    const copied = copiedFields(repository, languages);
+    return {
+        title: repository.name,
+        githubLink: repository.html_url,
+        ...copied,
+        writeUp: '',
+        images: [],
+        imageAlts: [],
+        category: '',
+        startDate: '',
+        endDate: '',
+        featured: false,
+        github: { ...githubDetails(repository, languages), imported: copied }
+    };
+};
+
+const sameValue = (a, b) => JSON.stringify(a === undefined ? '' : a) === JSON.stringify(b === undefined ? '' : b);
+
+// Copy of a linked project with the repository's current data. Projects that
+// were linked by their GitHub link rather than imported have no copied fields.
+const syncProject = (project, repository, languages) => {
+    const synced = { ...project };
+    const previous = project.github && project.github.imported;
+    let imported;
+
+    if (previous) {
+        imported = { ...previous };
+        Object.entries(copiedFields(repository, languages)).forEach(([field, value]) => {
+            if (!sameValue(project[field], previous[field])) return;
+            synced[field] = value;
+            imported[field] = value;
+        });
+    }
+
+    synced.github = { ...githubDetails(repository, languages), ...(imported ? { imported } : {}) };
+    return synced;
+};
+
+// Copy of a linked project with only the repository's statistics refreshed
+const syncProjectStats = (project, repository, languages) => ({
+    ...project,
+    github: { ...project.github, ...githubDetails(repository, languages) }
+});
+
+// True for a lib/diff change path of what syncProjectStats refreshes
+// ('projects.3.github.stars', 'projects.3.github.languages.1'...)
+const isStatsChange = changePath => /^projects\.\d+\.github\.(repo|stars|pushedAt|languages)(\.|$)/.test(changePath);
+
+module.exports = {
+    DEFAULT_API_URL,
+    createGitHubClient,
+    usernameFromProfile,
+    repositoryFromLink,
+    linkedRepository,
+    projectFromRepository,
+    syncProject,
+    syncProjectStats,
+    isStatsChange
+};
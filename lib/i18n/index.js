@@ -0,0 +1,127 @@
+// ************************************************
+// Languages: UI string catalogs and content translations
+// ************************************************
+// The site is written in the default language (English). UI strings live in
+// ./locales/<locale>.json. Portfolio content keeps the default-language text in
+// its usual fields; translations of the fields listed in TRANSLATABLE_FIELDS
+// are stored next to them, per item (or object section):
+//   { title: 'Quiz app', translations: { fr: { title: 'Application de quiz' } } }
+// A field without a translation is shown in the default language.
+
+const LOCALES = {
+    en: require('./locales/en.json'),
+    fr: require('./locales/fr.json')
+};
+const DEFAULT_LOCALE = 'en';
+const TRANSLATED_LOCALES = Object.keys(LOCALES).filter(locale => locale !== DEFAULT_LOCALE);
+
+// Sections with translatable text, and their translatable fields
+const TRANSLATABLE_FIELDS = {
+    carousel: ['title', 'description', 'buttonText', 'alt'],
+    about: ['summary', 'fullStory', 'skills', 'photoAlt'],
+    projectSummary: ['title', 'paragraph1', 'paragraph2', 'imageAlt'],
+    education: ['title', 'institution', 'years', 'imageAlt'],
+    projects: ['title', 'description', 'writeUp', 'category', 'imageAlts'],
+    footerInfo: ['line1', 'line2'],
+    seo: [
+        'defaultDescription',
+        'homeTitle', 'homeDescription',
+        'projectsTitle', 'projectsDescription',
+        'certificatesTitle', 'certificatesDescription',
+        'aboutTitle', 'aboutDescription',
+        'contactTitle', 'contactDescription',
+        'resumeTitle', 'resumeDescription',
+        'galleryTitle', 'galleryDescription'
+    ]
+};
+
+// Catalog lookup with {placeholder} substitution. Falls back to the default
+// language, then to the key itself, so a missing string is visible but harmless.
+const translate = (locale, key, values = {}) => {
+    const catalog = LOCALES[locale] || LOCALES[DEFAULT_LOCALE];
+    const template = catalog[key] !== undefined ? catalog[key] : (LOCALES[DEFAULT_LOCALE][key] !== undefined ? LOCALES[DEFAULT_LOCALE][key] : key);
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => (values[name] !== undefined ? values[name] : placeholder));
+};
+
+const isFilled = (value) => (Array.isArray(value) ? value.length > 0 : String(value || '').trim() !== '');
+
+// List fields whose entries go with another list by position (the alt text of
+// each project image): entries missing from a translation stay in the default language
+const POSITIONAL_FIELDS = ['imageAlts'];
+
+// Copy of `item` with its `locale` translations in place of the default text
+const localizeItem = (item, fields, locale) => {
+    const translation = item && item.translations && item.translations[locale];
+    if (!translation) return item;
+    const localized = { ...item };
+    fields.forEach((field) => {
+        if (!isFilled(translation[field])) return;
+        localized[field] = POSITIONAL_FIELDS.includes(field)
+            ? (item[field] || []).map((value, index) => (isFilled(translation[field][index]) ? translation[field][index] : value))
+            : translation[field];
+    });
+    return localized;
+};
+
+// Copy of the portfolio document as shown in `locale`
+const localizePortfolio = (portfolio, locale) => {
+    if (locale === DEFAULT_LOCALE || !portfolio) return portfolio;
+    const localized = { ...portfolio };
+    Object.entries(TRANSLATABLE_FIELDS).forEach(([section, fields]) => {
+        const value = portfolio[section];
+        if (Array.isArray(value)) {
+            localized[section] = value.map(item => localizeItem(item, fields, locale));
+        } else if (value) {
+            localized[section] = localizeItem(value, fields, locale);
+        }
+    });
+    return localized;
+};
+
+// Fields of `item` that have default-language text but no `locale` translation
+const missingTranslations = (item, fields, locale) => {
+    const translation = (item && item.translations && item.translations[locale]) || {};
+    return fields.filter(field => isFilled(item[field]) && !isFilled(translation[field]));
+};
+
+// For the admin: the missing fields of every section (and list item) in `locale`.
+// Returns { total, sections: { <section>: { count, fields, items: { <id>: fields } } } }
+const translationStatus = (portfolio, locale) => {
+    const sections = {};
+    let total = 0;
+    Object.entries(TRANSLATABLE_FIELDS).forEach(([section, fields]) => {
+        const value = portfolio[section];
+        const status = { count: 0, fields: [], items: {} };
+        if (Array.isArray(value)) {
+            value.forEach((item) => {
+                const missing = missingTranslations(item, fields, locale);
+                status.items[item.id] = missing;
+                status.count += missing.length;
+            });
+        } else if (value) {
+            status.fields = missingTranslations(value, fields, locale);
+            status.count = status.fields.length;
+        }
+        sections[section] = status;
+        total += status.count;
+    });
+    return { total, sections };
+};
+
+// '/projects' -> '/fr/projects' for French. Links that are not site paths
+// (external URLs, mailto:, #anchors) are returned unchanged.
+const localePath = (locale, path) => {
+    if (locale === DEFAULT_LOCALE || !/^\/(?!\/)/.test(path || '')) return path;
+    return path === '/' ? `/${locale}` : `/${locale}${path}`;
+};
+
+module.exports = {
+    LOCALES,
+    DEFAULT_LOCALE,
+    TRANSLATED_LOCALES,
+    TRANSLATABLE_FIELDS,
+    translate,
+    localizePortfolio,
+    translationStatus,
+    localePath
+};
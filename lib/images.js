@@ -0,0 +1,190 @@
+// ************************************************
+// Responsive images: width variants and placeholders
+// ************************************************
+// Every stored image gets a record in the `images` collection:
+//   { url, width, height, placeholder, variants: [{ width, url }], files: [url] }
+// `variants` are smaller copies (IMAGE_WIDTHS narrower than the original) used
+// for srcset, and `placeholder` is a tiny WebP data URI shown blurred while the
+// image loads. Images stored on Cloudinary get their variants as transformation
+// URLs; other images (public/uploads) get WebP files stored in the Variants
+// folder, listed in `files` so they are deleted with the image.
+//
+// Records are derived data: the portfolio only holds the original URLs, and a
+// missing record is created again at startup (backfill) while the view falls
+// back to a plain <img>.
+const path = require('path');
+const { loadImage, createCanvas } = require('@napi-rs/canvas');
+
+const IMAGE_WIDTHS = [320, 640, 960, 1280, 1920];
+const PLACEHOLDER_WIDTH = 16;
+const VARIANT_FOLDER = 'Variants';
+const VARIANT_QUALITY = 80;
+
+// Stored URLs of images (as opposed to PDFs) have one of these extensions
+const isImageUrl = (url) => /\.(jpe?g|png|webp)$/i.test(String(url || '').split(/[?#]/)[0]);
+
+// `image` scaled to `width` pixels and encoded as WebP
+const resize = (image, width, quality) => {
+    const canvas = createCanvas(width, Math.max(1, Math.round(image.height * width / image.width)));
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvas.encode('webp', quality);
+};
+
+// WebP without its ICC color profile chunk, which is most of a placeholder's
+// bytes. A WebP file is a RIFF container: 'RIFF' <size> 'WEBP' followed by
+// chunks of <fourCC> <size> <data, padded to an even length>; the VP8X chunk
+// flags the profile with bit 0x20 of its first byte.
+const withoutColorProfile = (webp) => {
+    const chunks = [];
+    for (let offset = 12; offset + 8 <= webp.length;) {
+        const size = webp.readUInt32LE(offset + 4);
+        const end = Math.min(offset + 8 + size + (size % 2), webp.length);
+        const chunk = Buffer.from(webp.subarray(offset, end));
+        const type = chunk.toString('ascii', 0, 4);
+        if (type === 'VP8X') chunk[8] &= ~0x20;
+        if (type !== 'ICCP') chunks.push(chunk);
+        offset = end;
+    }
+    const body = Buffer.concat([Buffer.from('WEBP'), ...chunks]);
+    const header = Buffer.from('RIFF0000');
+    header.writeUInt32LE(body.length, 4);
+    return Buffer.concat([header, body]);
+};
+
+const createImageLibrary = ({ collection, storage }) => {
+    // Records by original URL, so views can look them up synchronously
+    const records = new Map();
+    // Images being processed, so two uploads of the same URL share the work
+    const processing = new Map();
+
+    const build = async (url, buffer) => {
+        const image = await loadImage(buffer || await storage.read(url));
+        const placeholder = withoutColorProfile(await resize(image, Math.min(PLACEHOLDER_WIDTH, image.width), 40));
+        const name = path.parse(decodeURIComponent(url.split(/[?#]/)[0])).name;
+
+        const variants = [];
+        const files = [];
+        for (const width of IMAGE_WIDTHS.filter(candidate => candidate < image.width)) {
+            const resizedUrl = storage.resizedUrl(url, width);
+            if (resizedUrl) {
+                variants.push({ width, url: resizedUrl });
+                continue;
+            }
+            const variant = await resize(image, width, VARIANT_QUALITY);
+            const stored = await storage.put(VARIANT_FOLDER, {
+                originalname: `${name}-${width}w.webp`,
+                mimetype: 'image/webp',
+                size: variant.length,
+                buffer: variant
+            });
+            variants.push({ width, url: stored.url });
+            files.push(stored.url);
+        }
+
+        return {
+            url,
+            width: image.width,
+            height: image.height,
+            placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+            variants,
+            files
+        };
+    };
+
+    const deleteFiles = async (urls) => {
+        for (const url of urls) await storage.delete(url);
+    };
+
+    return {
+        async load() {
+            (await collection.find({})).forEach(record => records.set(record.url, record));
+            return records.size;
+        },
+
+        get: (url) => records.get(url) || null,
+
+        // Creates (or recreates) the record of a stored image. `buffer` is the
+        // image when it was just uploaded; otherwise it is read from storage.
+        process(url, buffer) {
+            if (!processing.has(url)) {
+                const task = (async () => {
+                    const record = await build(url, buffer);
+                    const previous = records.get(url);
+                    await collection.updateOne({ url }, { $set: record }, { upsert: true });
+                    records.set(url, record);
+                    if (previous) await deleteFiles(previous.files.filter(file => !record.files.includes(file)));
+                    return record;
+                })().finally(() => processing.delete(url));
+                processing.set(url, task);
+            }
+            return processing.get(url);
+        },
+
+        // Forgets an image whose file was deleted, along with its variant files
+        async release(url) {
+            const record = records.get(url) || await collection.findOne({ url });
+            if (!record) return;
+            records.delete(url);
+            await collection.deleteOne({ url });
+            await deleteFiles(record.files || []);
+        },
+
+        // Processes the images among `urls` that have no record yet, one at a
+        // time. Failures are logged and retried at the next backfill.
+        async backfill(urls) {
+            const missing = [...new Set(urls)].filter(url => isImageUrl(url) && !records.has(url));
+            let processed = 0;
+            for (const url of missing) {
+                try {
+                    await this.process(url);
+                    processed += 1;
+                } catch (error) {
+                    console.error(`❌ Could not create the variants of ${url}:`, error.message);
+                }
+            }
+            return processed;
+        }
+    };
+};
+
+const escapeAttribute = (value) => String(value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// srcset candidates are separated by commas and end at whitespace
+const srcsetUrl = (url) => url.replace(/ /g, '%20').replace(/,/g, '%2C');
+
+// The srcset of an image record: its variants and the original at full width
+const imageSrcset = (record) => (record && record.variants.length > 0
+    ? [...record.variants, { width: record.width, url: record.url }]
+        .map(candidate => `${srcsetUrl(candidate.url)} ${candidate.width}w`).join(', ')
+    : '');
+
+// The <img> tag of an image. `record` is its entry in the library (or null,
+// which gives a plain tag); `sizes` describes the width the image is shown at,
+// as in the sizes attribute. Images are lazy unless `loading` is 'eager'.
+const imageTag = (url, record, { alt = '', sizes = '100vw', className = '', loading = 'lazy', attributes = {} } = {}) => {
+    const srcset = imageSrcset(record);
+    const classes = [className, record ? 'image-placeholder' : ''].filter(Boolean).join(' ');
+    const attributeList = {
+        src: url,
+        ...(srcset ? { srcset, sizes } : {}),
+        ...(record ? { width: record.width, height: record.height } : {}),
+        alt,
+        ...(classes ? { class: classes } : {}),
+        ...(record ? { style: `--placeholder: url('${record.placeholder}')` } : {}),
+        loading,
+        decoding: 'async',
+        ...attributes
+    };
+    return `<img ${Object.entries(attributeList).map(([name, value]) => `${name}="${escapeAttribute(value)}"`).join(' ')}>`;
+};
+
+module.exports = {
+    IMAGE_WIDTHS,
+    PLACEHOLDER_WIDTH,
+    VARIANT_FOLDER,
+    isImageUrl,
+    createImageLibrary,
+    imageSrcset,
+    imageTag
+};
@@ -0,0 +1,40 @@
+// ************************************************
+// Mail transport selection
+// ************************************************
+// Every transport implements the same interface:
+//   send({ to, from, replyTo, subject, text })  -> Promise<void>
+//   delivers                                    true if sent messages reach an inbox
+//
+//   smtp  delivers through an SMTP server (a mail provider in production, or a
+//         local stand-in such as MailHog or smtp4dev during tests)
+//   log   prints a summary of the message (no addresses or body) instead of sending it
+//   none  drops the message
+const { createSmtpTransport } = require('./smtp');
+const { createLogTransport } = require('./log');
+
+const createMailer = ({ transport, smtp, from, to }) => {
+    const transports = {
+        smtp: () => createSmtpTransport(smtp),
+        log: () => createLogTransport(),
+        none: () => ({ name: 'none', delivers: false, send: async () => {} })
+    };
+    if (!transports[transport]) {
+        throw new Error(`Unknown mail transport "${transport}". Use "smtp", "log" or "none".`);
+    }
+    const active = transports[transport]();
+
+    return {
+        name: active.name,
+
+        // True when notifications reach someone; the log and none transports never do
+        enabled: active.delivers && Boolean(to),
+
+        // Sends a notification to the site owner. Throws if the transport fails.
+        async notify({ subject, text, replyTo }) {
+            if (!to) return;
+            await active.send({ to, from: from || to, replyTo, subject, text });
+        }
+    };
+};
+
+module.exports = { createMailer };
@@ -0,0 +1,19 @@
+// ************************************************
+// Console mail transport
+// ************************************************
+// Prints a one-line summary instead of sending the message; the default in
+// development so the contact form works without an SMTP server. Addresses and
+// bodies are left out, as they would otherwise end up in production logs.
+
+const recipientCount = (to) => (Array.isArray(to) ? to : String(to || '').split(',')).filter(address => String(address).trim()).length;
+
+const createLogTransport = () => ({
+    name: 'log',
+    delivers: false,
+
+    async send({ to, subject, text }) {
+        console.log(`📧 Mail not sent (log transport) to ${recipientCount(to)} recipient(s): "${subject}" (${(text || '').length} characters)`);
+    }
+});
+
+module.exports = { createLogTransport };
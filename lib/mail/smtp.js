@@ -0,0 +1,30 @@
+// ************************************************
+// SMTP mail transport
+// ************************************************
+// Sends through any SMTP server with nodemailer. Without credentials it talks
+// plain SMTP, which is what local stand-ins (MailHog, smtp4dev: port 1025) expect.
+const nodemailer = require('nodemailer');
+
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+    if (!host) {
+        throw new Error('The smtp mail transport needs SMTP_HOST.');
+    }
+
+    const transporter = nodemailer.createTransport({
+        host,
+        port: port || (secure ? 465 : 587),
+        secure: Boolean(secure),
+        auth: user ? { user, pass } : undefined
+    });
+
+    return {
+        name: 'smtp',
+        delivers: true,
+
+        async send({ to, from, replyTo, subject, text }) {
+            await transporter.sendMail({ to, from, replyTo, subject, text });
+        }
+    };
+};
+
+module.exports = { createSmtpTransport };
@@ -0,0 +1,54 @@
+// ************************************************
+// Markdown rendering for long-form fields
+// ************************************************
+// The about story and summary, project descriptions and write-ups and the
+// project summary paragraphs are written in Markdown. They are rendered on the
+// server and the HTML is sanitized, so nothing typed in the admin (or sent
+// through the API) can inject scripts or styles into the public pages.
+const { Marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+// GitHub-flavoured Markdown; single line breaks are kept, as the fields were
+// plain text with one line per paragraph before they became Markdown
+const markdown = new Marked({ gfm: true, breaks: true });
+
+const SANITIZE_OPTIONS = {
+    allowedTags: [
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote',
+        'strong', 'em', 'del', 'code', 'pre', 'ul', 'ol', 'li', 'a', 'img',
+        'table', 'thead', 'tbody', 'tr', 'th', 'td'
+    ],
+    allowedAttributes: {
+        a: ['href', 'title', 'target', 'rel'],
+        img: ['src', 'alt', 'title'],
+        ol: ['start'],
+        code: ['class'],
+        th: ['align'],
+        td: ['align']
+    },
+    allowedClasses: { code: [/^language-[\w-]+$/] },
+    allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+    allowedSchemesByTag: { img: ['http', 'https'] },
+    transformTags: {
+        // Links to other sites open in a new tab
+        a: (tagName, attribs) => {
+            if (!/^https?:\/\//i.test(attribs.href || '')) return { tagName, attribs };
+            return { tagName, attribs: { ...attribs, target: '_blank', rel: 'noopener noreferrer' } };
+        }
+    }
+};
+
+// Markdown source -> sanitized HTML, safe to output unescaped with <%- %>
+const renderMarkdown = (source) => sanitizeHtml(markdown.parse(String(source || '')), SANITIZE_OPTIONS);
+
+// Markdown source -> plain text, for search indexes and attribute values.
+// Line breaks and block ends become spaces so words are not glued together.
+const markdownToText = (source) => sanitizeHtml(
+    markdown.parse(String(source || '')).replace(/<br\s*\/?>|<\/(p|li|h[1-6]|blockquote|pre|th|td)>/gi, '$& '),
+    { allowedTags: [], allowedAttributes: {} }
+)
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+module.exports = { renderMarkdown, markdownToText };
@@ -0,0 +1,89 @@
+// ************************************************
+// Contact form messages
+// ************************************************
+// Messages sent through the public contact form are stored in the `messages`
+// collection with read and archived flags, and listed in the admin Messages tab.
+
+const MESSAGE_LIMITS = { name: 100, email: 200, subject: 150, message: 5000 };
+const isEmail = (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+
+// Checks a contact form submission. Returns { values, errors } where values
+// holds the trimmed fields and errors is a list of { field, code, message }; the
+// code (with `max` for length errors) picks the translated message on the page.
+const validateContactMessage = (body) => {
+    const input = body && typeof body === 'object' ? body : {};
+    const values = {};
+    const errors = [];
+
+    Object.entries(MESSAGE_LIMITS).forEach(([field, max]) => {
+        values[field] = typeof input[field] === 'string' ? input[field].trim() : '';
+        if (values[field].length > max) {
+            errors.push({ field, code: 'tooLong', max, message: `The ${field} must be at most ${max} characters.` });
+        }
+    });
+
+    if (!values.name) {
+        errors.push({ field: 'name', code: 'name.required', message: 'Please enter your name.' });
+    }
+    if (!isEmail(values.email)) {
+        errors.push({ field: 'email', code: 'email.invalid', message: 'Please enter a valid email address.' });
+    }
+    if (values.message.length < 10) {
+        errors.push({ field: 'message', code: 'message.tooShort', message: 'Please write a message of at least 10 characters.' });
+    }
+
+    return { values, errors };
+};
+
+const createMessageInbox = ({ collection }) => ({
+    async receive({ name, email, subject, message, ip, userAgent }) {
+        return collection.insert({
+            name,
+            email,
+            subject,
+            message,
+            ip,
+            userAgent: String(userAgent || '').slice(0, 300),
+            read: false,
+            archived: false,
+            notified: false,
+            createdAt: new Date()
+        });
+    },
+
+    // Newest first; the inbox, or the archive with `archived: true`
+    list({ archived = false, limit = 200 } = {}) {
+        return collection.find({ archived }, { sort: { createdAt: -1 }, limit });
+    },
+
+    async counts() {
+        const [unread, inbox, archived] = await Promise.all([
+            collection.count({ archived: false, read: false }),
+            collection.count({ archived: false }),
+            collection.count({ archived: true })
+        ]);
+        return { unread, inbox, archived };
+    },
+
+    // The update helpers resolve to false when no message has that id
+    async markRead(id, read = true) {
+        const result = await collection.updateOne({ _id: id }, { $set: { read } });
+        return result.matchedCount > 0;
+    },
+
+    async archive(id, archived = true) {
+        const result = await collection.updateOne({ _id: id }, { $set: { archived } });
+        return result.matchedCount > 0;
+    },
+
+    async markNotified(id) {
+        await collection.updateOne({ _id: id }, { $set: { notified: true } });
+    },
+
+    async delete(id) {
+        const result = await collection.deleteOne({ _id: id });
+        return result.deletedCount > 0;
+    }
+});
+
+module.exports = { createMessageInbox, validateContactMessage, MESSAGE_LIMITS };
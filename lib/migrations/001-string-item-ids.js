@@ -0,0 +1,40 @@
+// Gives every list item a unique string id. Old carousel, certificate and
+// gallery entries have numeric ids, and old education entries have none, which
+// forced routes to match with `==` or fall back to array positions.
+const { v5: uuidv5 } = require('uuid');
+
+// List sections and the prefix their new ids get (projects have always used 'proj')
+const LIST_SECTIONS = { carousel: '', education: '', certificates: '', gallery: '', projects: 'proj' };
+
+// New ids are derived from the item's content, so the same legacy entry gets
+// the same id in the published document, the draft and old revision snapshots
+const ID_NAMESPACE = '9b654867-a9e4-441c-96ed-d33d25f106d2';
+
+const hasId = (item) => item.id !== undefined && item.id !== null && String(item.id) !== '';
+
+module.exports = {
+    version: 1,
+    name: 'string-item-ids',
+
+    up(document) {
+        const migrated = { ...document };
+        Object.entries(LIST_SECTIONS).forEach(([section, prefix]) => {
+            if (!Array.isArray(document[section])) return;
+
+            const seen = new Set();
+            const occurrences = new Map();
+            migrated[section] = document[section].map((item) => {
+                let id = hasId(item) ? String(item.id) : null;
+                if (!id || seen.has(id)) {
+                    const content = JSON.stringify(item);
+                    const occurrence = (occurrences.get(content) || 0) + 1;
+                    occurrences.set(content, occurrence);
+                    id = prefix + uuidv5(`${section}:${content}:${occurrence}`, ID_NAMESPACE);
+                }
+                seen.add(id);
+                return { ...item, id };
+            });
+        });
+        return migrated;
+    }
+};
@@ -0,0 +1,23 @@
+// Adds the project fields introduced with tags and filtering, so views and the
+// API can rely on them: tags, category, date range, live-demo link and the
+// featured flag.
+module.exports = {
+    version: 2,
+    name: 'project-details',
+
+    up(document) {
+        if (!Array.isArray(document.projects)) return document;
+        return {
+            ...document,
+            projects: document.projects.map(project => ({
+                tags: [],
+                category: '',
+                startDate: '',
+                endDate: '',
+                demoLink: '',
+                featured: false,
+                ...project
+            }))
+        };
+    }
+};
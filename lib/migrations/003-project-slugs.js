@@ -0,0 +1,19 @@
+// Gives every project a URL slug (from its title) for the /projects/:slug
+// pages, plus the fields those pages use: previousSlugs and the long write-up.
+const { assignProjectSlug } = require('../slug');
+
+module.exports = {
+    version: 3,
+    name: 'project-slugs',
+
+    up(document) {
+        if (!Array.isArray(document.projects)) return document;
+
+        const projects = document.projects.map(project => ({ previousSlugs: [], writeUp: '', ...project }));
+        projects
+            .filter(project => !project.slug)
+            .forEach(project => assignProjectSlug(project, projects, project.title));
+
+        return { ...document, projects };
+    }
+};
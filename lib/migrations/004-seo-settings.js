@@ -0,0 +1,29 @@
+// Adds the `seo` section: site name, page titles and descriptions, sharing
+// defaults. Page titles start empty, so each language gets its default
+// "<page> | <site name>" title from its catalog until the admin writes one.
+const SEO_DEFAULTS = {
+    siteName: "Richard's Portfolio",
+    jobTitle: '',
+    twitterHandle: '',
+    defaultImage: '',
+    defaultDescription: '',
+    homeTitle: '',
+    homeDescription: '',
+    projectsTitle: '',
+    projectsDescription: '',
+    certificatesTitle: '',
+    certificatesDescription: '',
+    aboutTitle: '',
+    aboutDescription: '',
+    contactTitle: '',
+    contactDescription: ''
+};
+
+module.exports = {
+    version: 4,
+    name: 'seo-settings',
+
+    up(document) {
+        return { ...document, seo: { ...SEO_DEFAULTS, ...document.seo } };
+    }
+};
@@ -0,0 +1,31 @@
+// Adds the certificate fields introduced with the richer certificates page:
+// issue and expiry months, credential ID, verification link, skills and the
+// PDF thumbnail. Issuers were typed with a decorative emoji and a trailing
+// period ("FreeCodeCamp 🔥."), which the page used to strip with a regex; the
+// names are cleaned once here instead.
+const cleanIssuer = (issuer) => String(issuer || '')
+    .replace(/[\p{Extended_Pictographic}\uFE0F]/gu, '')
+    .replace(/[\s.]+$/, '')
+    .trim();
+
+module.exports = {
+    version: 5,
+    name: 'certificate-details',
+
+    up(document) {
+        if (!Array.isArray(document.certificates)) return document;
+        return {
+            ...document,
+            certificates: document.certificates.map(certificate => ({
+                issueDate: '',
+                expiryDate: '',
+                credentialId: '',
+                verificationUrl: '',
+                skills: [],
+                thumbnailUrl: '',
+                ...certificate,
+                issuer: cleanIssuer(certificate.issuer)
+            }))
+        };
+    }
+};
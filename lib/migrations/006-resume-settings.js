@@ -0,0 +1,16 @@
+// Adds the `resume` section (template, shown sections, hidden items) and the
+// SEO title and description of the new /resume page
+const { RESUME_DEFAULTS } = require('../resume');
+
+module.exports = {
+    version: 6,
+    name: 'resume-settings',
+
+    up(document) {
+        return {
+            ...document,
+            resume: { ...RESUME_DEFAULTS, ...document.resume },
+            seo: { resumeTitle: '', resumeDescription: '', ...document.seo }
+        };
+    }
+};
@@ -0,0 +1,12 @@
+// Adds the `theme` section (colors, font, corner radius, hero overlay) with
+// the values the stylesheet used before it was configurable
+const { THEME_DEFAULTS } = require('../theme');
+
+module.exports = {
+    version: 7,
+    name: 'theme-settings',
+
+    up(document) {
+        return { ...document, theme: { ...THEME_DEFAULTS, ...document.theme } };
+    }
+};
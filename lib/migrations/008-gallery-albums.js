@@ -0,0 +1,14 @@
+// Adds the `album` of gallery photos (none for existing photos) and the SEO
+// title and description of the new /gallery page
+module.exports = {
+    version: 8,
+    name: 'gallery-albums',
+
+    up(document) {
+        return {
+            ...document,
+            gallery: (document.gallery || []).map(photo => ({ album: '', ...photo })),
+            seo: { galleryTitle: '', galleryDescription: '', ...document.seo }
+        };
+    }
+};
@@ -0,0 +1,42 @@
+// Adds the alt text of every image, which the pages used to derive from titles
+// ("{title} Logo", "{title} Image 2"...). Existing images get that same text as
+// a starting point; it is edited in the admin from now on.
+const isBlank = (value) => !String(value || '').trim();
+
+// `item` with `alt` as its `field` unless it already has one. Alt texts the
+// schema requires on every item are filled in whether or not an image is set;
+// optional images (`imageField`) only get one when they are there.
+const withAlt = (item, field, alt, imageField) => (isBlank(item[field]) && (!imageField || item[imageField])
+    ? { ...item, [field]: alt }
+    : item);
+
+// One alt text per project image, keeping those already written
+const projectImageAlts = (project) => (project.images || []).map((url, index) => {
+    const alt = (project.imageAlts || [])[index];
+    return isBlank(alt) ? `${project.title || 'Project'} Image ${index + 1}` : alt;
+});
+
+module.exports = {
+    version: 9,
+    name: 'image-alt-text',
+
+    up(document) {
+        const name = ((document.footerInfo && document.footerInfo.name) || '').trim();
+        const migrated = {
+            ...document,
+            carousel: (document.carousel || []).map(slide => withAlt(slide, 'alt', slide.title || 'Slide image')),
+            education: (document.education || []).map(edu => withAlt(edu, 'imageAlt', edu.title ? `${edu.title} Logo` : 'Institution logo')),
+            certificates: (document.certificates || []).map(cert => withAlt(cert, 'thumbnailAlt',
+                cert.title ? `First page of the ${cert.title} certificate` : 'First page of the certificate', 'thumbnailUrl')),
+            gallery: (document.gallery || []).map(photo => withAlt(photo, 'alt', photo.caption || 'Photo')),
+            projects: (document.projects || []).map(project => ({ ...project, imageAlts: projectImageAlts(project) }))
+        };
+        if (document.about) {
+            migrated.about = withAlt(document.about, 'photoAlt', name ? `Photo of ${name}` : 'My Photo', 'photoUrl');
+        }
+        if (document.projectSummary) {
+            migrated.projectSummary = withAlt(document.projectSummary, 'imageAlt', 'Project Preview', 'image');
+        }
+        return migrated;
+    }
+};
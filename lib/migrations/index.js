@@ -0,0 +1,58 @@
+// ************************************************
+// Portfolio data migrations
+// ************************************************
+// Each migration is { version, name, up(document) -> document }, numbered in
+// the order it must run. At startup, migrations not yet listed in the
+// `migrations` collection are applied to the stored documents, which are saved
+// before the versions are recorded.
+//
+// `up` must not mutate its input and must be idempotent: the same migrations
+// are also applied to old revision snapshots and imported backups, which can
+// come from any version.
+const { validatePortfolio, portfolioValidationError } = require('../repository/schema');
+
+const MIGRATIONS = [
+    require('./001-string-item-ids'),
+    require('./002-project-details'),
+    require('./003-project-slugs'),
+    require('./004-seo-settings'),
+    require('./005-certificate-details'),
+    require('./006-resume-settings'),
+    require('./007-theme-settings'),
+    require('./008-gallery-albums'),
+    require('./009-image-alt-text')
+];
+
+// Brings any portfolio document up to the current format
+const migrateDocument = (document) => MIGRATIONS.reduce((migrated, migration) => migration.up(migrated), document);
+
+// Applies the pending migrations to `documents` ({ name: document }) and
+// persists them through `save(name, document)`. Returns the migrated documents.
+// Every pending migration runs in memory first: intermediate formats are never
+// saved, as the schema only accepts the current one. The migrations are recorded
+// once all documents are valid and saved, so a failed start retries them all.
+const runMigrations = async ({ collection, documents, save }) => {
+    const applied = new Set((await collection.find({})).map(record => record.version));
+    const pending = MIGRATIONS.filter(m => !applied.has(m.version));
+    if (pending.length === 0) return { ...documents };
+
+    const migrated = Object.fromEntries(Object.entries(documents).map(([name, document]) => [
+        name,
+        pending.reduce((current, migration) => migration.up(current), document)
+    ]));
+
+    const errors = Object.values(migrated).flatMap(validatePortfolio);
+    if (errors.length > 0) throw portfolioValidationError(errors);
+
+    for (const [name, document] of Object.entries(migrated)) {
+        await save(name, document);
+    }
+    for (const migration of pending) {
+        await collection.insert({ version: migration.version, name: migration.name, appliedAt: new Date() });
+        console.log(`✅ Migration ${migration.version} (${migration.name}) applied.`);
+    }
+
+    return migrated;
+};
+
+module.exports = { migrateDocument, runMigrations };
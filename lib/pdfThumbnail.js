@@ -0,0 +1,34 @@
+// ************************************************
+// PDF thumbnails
+// ************************************************
+// Renders the first page of a PDF to a JPEG image with pdf.js and the
+// @napi-rs/canvas backend it uses under Node. Used for the certificate previews.
+
+// pdf.js is an ES module; it is loaded on first use
+let pdfjsLoading = null;
+const loadPdfjs = () => {
+    pdfjsLoading = pdfjsLoading || import('pdfjs-dist/legacy/build/pdf.mjs');
+    return pdfjsLoading;
+};
+
+// PDF bytes -> JPEG of the first page, `width` pixels wide
+const renderPdfThumbnail = async (pdfBuffer, { width = 480, quality = 85 } = {}) => {
+    const pdfjs = await loadPdfjs();
+    const document = await pdfjs.getDocument({
+        data: new Uint8Array(pdfBuffer),
+        isEvalSupported: false,
+        verbosity: pdfjs.VerbosityLevel.ERRORS
+    }).promise;
+
+    try {
+        const page = await document.getPage(1);
+        const viewport = page.getViewport({ scale: width / page.getViewport({ scale: 1 }).width });
+        const { canvas, context } = document.canvasFactory.create(Math.round(viewport.width), Math.round(viewport.height));
+        await page.render({ canvas, canvasContext: context, viewport }).promise;
+        return canvas.toBuffer('image/jpeg', quality);
+    } finally {
+        await document.destroy();
+    }
+};
+
+module.exports = { renderPdfThumbnail };
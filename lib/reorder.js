@@ -0,0 +1,24 @@
+// ************************************************
+// Reordering helper for the array sections
+// ************************************************
+// Returns a new array following `orderedIndexes`. Invalid or duplicate indexes
+// are ignored and items missing from the order keep their relative position at
+// the end, so a stale order (e.g. from an old browser tab) never loses items.
+const reorderItems = (items, orderedIndexes) => {
+    const seen = new Set();
+    const reordered = [];
+
+    orderedIndexes.forEach((index) => {
+        if (Number.isInteger(index) && index >= 0 && index < items.length && !seen.has(index)) {
+            seen.add(index);
+            reordered.push(items[index]);
+        }
+    });
+    items.forEach((item, index) => {
+        if (!seen.has(index)) reordered.push(item);
+    });
+
+    return reordered;
+};
+
+module.exports = { reorderItems };
@@ -0,0 +1,41 @@
+// ************************************************
+// express-session store backed by a repository collection
+// ************************************************
+// Used by the JSON-file driver so admin sessions survive restarts without
+// MongoDB. Expired sessions are ignored on read and removed on write.
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+const createCollectionSessionStore = (session, collection) => {
+    class CollectionSessionStore extends session.Store {
+        get(sid, callback) {
+            collection.findOne({ sid })
+                .then((record) => {
+                    if (!record || record.expires <= new Date()) return callback(null, null);
+                    callback(null, JSON.parse(record.session));
+                })
+                .catch(callback);
+        }
+
+        set(sid, sess, callback = () => { }) {
+            const expires = sess.cookie && sess.cookie.expires ? new Date(sess.cookie.expires) : new Date(Date.now() + DEFAULT_TTL_MS);
+            collection.deleteMany({ expires: { $lte: new Date() } })
+                .then(() => collection.updateOne({ sid }, { $set: { session: JSON.stringify(sess), expires } }, { upsert: true }))
+                .then(() => callback(null))
+                .catch(callback);
+        }
+
+        touch(sid, sess, callback) {
+            this.set(sid, sess, callback);
+        }
+
+        destroy(sid, callback = () => { }) {
+            collection.deleteOne({ sid })
+                .then(() => callback(null))
+                .catch(callback);
+        }
+    }
+
+    return new CollectionSessionStore();
+};
+
+module.exports = { createCollectionSessionStore };
@@ -0,0 +1,164 @@
+// ************************************************
+// JSON-file persistence driver
+// ************************************************
+// Stores each portfolio document in data/<id>.json and every other collection
+// in data/collections/<name>.json (all git-ignored). Writes go to a temporary
+// file that is then renamed over the original, so a crash never leaves half a file.
+//
+// data/portfolioData.json is the seed content tracked in the repository, and
+// where the published document used to be written: it is only read, as the
+// published document until a first save creates data/portfolio_data.json.
+const fs = require('fs/promises');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { matches, applyUpdate, sortDocuments } = require('./query');
+const { createCollectionSessionStore } = require('./collectionSessionStore');
+const { validatePortfolio, portfolioValidationError } = require('./schema');
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+const reviveDates = (key, value) => (typeof value === 'string' && ISO_DATE.test(value) ? new Date(value) : value);
+
+const readJson = async (filePath, revive) => {
+    try {
+        return JSON.parse(await fs.readFile(filePath, 'utf8'), revive ? reviveDates : undefined);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+};
+
+const LEGACY_PORTFOLIO_FILE = 'portfolioData.json';
+
+// One pending write chain per file so concurrent saves cannot interleave
+const writeQueues = new Map();
+
+const writeJsonAtomic = (filePath, data) => {
+    const previous = writeQueues.get(filePath) || Promise.resolve();
+    const next = previous.catch(() => { }).then(async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+        await fs.rename(tempPath, filePath);
+    });
+    writeQueues.set(filePath, next);
+    return next;
+};
+
+const createFileRepository = ({ dataDir }) => {
+    const portfolioFile = (id) => path.join(dataDir, `${id}.json`);
+    const collections = new Map();
+
+    const createCollection = (name) => {
+        const filePath = path.join(dataDir, 'collections', `${name}.json`);
+        let documents = null;
+        let loading = null;
+
+        // Concurrent first calls share one read, so none of them works on a copy that another replaces
+        const load = async () => {
+            if (!documents) {
+                loading = loading || readJson(filePath, true).then((stored) => { documents = stored || []; });
+                await loading;
+            }
+            return documents;
+        };
+        const persist = () => writeJsonAtomic(filePath, documents);
+        const copy = (doc) => (doc ? JSON.parse(JSON.stringify(doc), reviveDates) : null);
+
+        return {
+            async insert(doc) {
+                const stored = { _id: uuidv4(), ...doc };
+                (await load()).push(stored);
+                await persist();
+                return copy(stored);
+            },
+
+            async find(filter = {}, { sort, skip = 0, limit } = {}) {
+                let results = (await load()).filter(doc => matches(doc, filter));
+                if (sort) results = sortDocuments(results, sort);
+                results = results.slice(skip, limit ? skip + limit : undefined);
+                return results.map(copy);
+            },
+
+            async findOne(filter = {}) {
+                return copy((await load()).find(doc => matches(doc, filter)));
+            },
+
+            async count(filter = {}) {
+                return (await load()).filter(doc => matches(doc, filter)).length;
+            },
+
+            async updateOne(filter, update, { upsert = false } = {}) {
+                const docs = await load();
+                const existing = docs.find(doc => matches(doc, filter));
+                if (existing) {
+                    applyUpdate(existing, update);
+                } else if (upsert) {
+                    // Like MongoDB, plain equality conditions of the filter become fields of the new document
+                    const base = Object.fromEntries(Object.entries(filter).filter(([, value]) => typeof value !== 'object' || value instanceof Date));
+                    docs.push(applyUpdate({ _id: uuidv4(), ...base }, update, true));
+                } else {
+                    return { matchedCount: 0 };
+                }
+                await persist();
+                return { matchedCount: existing ? 1 : 0 };
+            },
+
+            async deleteOne(filter) {
+                const docs = await load();
+                const index = docs.findIndex(doc => matches(doc, filter));
+                if (index === -1) return { deletedCount: 0 };
+                docs.splice(index, 1);
+                await persist();
+                return { deletedCount: 1 };
+            },
+
+            async deleteMany(filter = {}) {
+                const docs = await load();
+                const remaining = docs.filter(doc => !matches(doc, filter));
+                const deletedCount = docs.length - remaining.length;
+                if (deletedCount > 0) {
+                    documents = remaining;
+                    await persist();
+                }
+                return { deletedCount };
+            }
+        };
+    };
+
+    const repository = {
+        name: 'file',
+
+        async connect() {
+            await fs.mkdir(dataDir, { recursive: true });
+            console.log(`✅ Using JSON file storage in ${dataDir}`);
+        },
+
+        async loadPortfolio(id = 'portfolio_data') {
+            const stored = await readJson(portfolioFile(id), false);
+            if (stored || id !== 'portfolio_data') return stored;
+            return readJson(path.join(dataDir, LEGACY_PORTFOLIO_FILE), false);
+        },
+
+        // The file driver always rewrites the whole document; `sections` is only a hint for other drivers.
+        // Documents are checked against the same schema as the Mongo driver's.
+        async savePortfolio(data, sections, id = 'portfolio_data') {
+            const errors = validatePortfolio(data);
+            if (errors.length > 0) throw portfolioValidationError(errors);
+
+            await writeJsonAtomic(portfolioFile(id), { ...data, _id: id });
+        },
+
+        collection(name) {
+            if (!collections.has(name)) collections.set(name, createCollection(name));
+            return collections.get(name);
+        },
+
+        createSessionStore(session) {
+            return createCollectionSessionStore(session, repository.collection('sessions'));
+        }
+    };
+
+    return repository;
+};
+
+module.exports = { createFileRepository };
@@ -0,0 +1,22 @@
+// ************************************************
+// Persistence driver selection
+// ************************************************
+// Every route reads and saves through this interface:
+//   connect()                                  -> Promise<void>
+//   loadPortfolio(id?)                         -> Promise<object|null>  (plain object)
+//   savePortfolio(data, sections?, id?)        -> Promise<void>
+//   collection(name)                           -> { insert, find, findOne, count, updateOne, deleteOne, deleteMany }
+//   createSessionStore(session)                -> express-session Store
+// savePortfolio() rejects documents that do not match ./schema.js with a
+// PortfolioValidationError ({ status: 422, details: [{ field, message }] }).
+const { createMongoRepository } = require('./mongo');
+const { createFileRepository } = require('./file');
+const { validatePortfolio, portfolioValidationError } = require('./schema');
+
+const createRepository = ({ driver, mongoUri, dataDir }) => {
+    if (driver === 'mongo') return createMongoRepository({ mongoUri });
+    if (driver === 'file') return createFileRepository({ dataDir });
+    throw new Error(`Unknown persistence driver "${driver}". Use "mongo" or "file".`);
+};
+
+module.exports = { createRepository, validatePortfolio, portfolioValidationError };
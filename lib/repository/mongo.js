@@ -0,0 +1,88 @@
+// ************************************************
+// MongoDB persistence driver
+// ************************************************
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const { MongoStore } = require('connect-mongo');
+const { Portfolio, validatePortfolio, portfolioValidationError } = require('./schema');
+
+const createMongoRepository = ({ mongoUri }) => {
+    const db = () => mongoose.connection.db;
+
+    const createCollection = (name) => ({
+        async insert(doc) {
+            const stored = { _id: uuidv4(), ...doc };
+            await db().collection(name).insertOne(stored);
+            return stored;
+        },
+
+        find(filter = {}, { sort, skip = 0, limit } = {}) {
+            let cursor = db().collection(name).find(filter);
+            if (sort) cursor = cursor.sort(sort);
+            if (skip) cursor = cursor.skip(skip);
+            if (limit) cursor = cursor.limit(limit);
+            return cursor.toArray();
+        },
+
+        findOne(filter = {}) {
+            return db().collection(name).findOne(filter);
+        },
+
+        count(filter = {}) {
+            return db().collection(name).countDocuments(filter);
+        },
+
+        async updateOne(filter, update, { upsert = false } = {}) {
+            // New upserted documents get a string _id, like inserted ones
+            const withId = upsert ? { ...update, $setOnInsert: { _id: uuidv4(), ...update.$setOnInsert } } : update;
+            const result = await db().collection(name).updateOne(filter, withId, { upsert });
+            return { matchedCount: result.matchedCount };
+        },
+
+        async deleteOne(filter) {
+            const result = await db().collection(name).deleteOne(filter);
+            return { deletedCount: result.deletedCount };
+        },
+
+        async deleteMany(filter = {}) {
+            const result = await db().collection(name).deleteMany(filter);
+            return { deletedCount: result.deletedCount };
+        }
+    });
+
+    return {
+        name: 'mongo',
+
+        async connect() {
+            await mongoose.connect(mongoUri);
+            console.log('✅ MongoDB Connected successfully.');
+        },
+
+        loadPortfolio(id = 'portfolio_data') {
+            return Portfolio.findById(id).lean();
+        },
+
+        // Only the listed top-level sections are written when given; otherwise the whole document is replaced.
+        // The whole document is validated either way, so no invalid state is ever stored.
+        async savePortfolio(data, sections, id = 'portfolio_data') {
+            const errors = validatePortfolio(data);
+            if (errors.length > 0) throw portfolioValidationError(errors);
+
+            if (sections && sections.length > 0) {
+                const changes = Object.fromEntries(sections.map(section => [section, data[section]]));
+                await Portfolio.updateOne({ _id: id }, { $set: changes }, { upsert: true });
+            } else {
+                const { _id, ...fields } = data;
+                await Portfolio.replaceOne({ _id: id }, fields, { upsert: true });
+            }
+        },
+
+        collection: createCollection,
+
+        createSessionStore() {
+            return MongoStore.create({ mongoUrl: mongoUri, collectionName: 'sessions' });
+        }
+    };
+};
+
+module.exports = { createMongoRepository };
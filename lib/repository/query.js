@@ -0,0 +1,69 @@
+// ************************************************
+// Minimal MongoDB-style query helpers
+// ************************************************
+// Lets the JSON-file driver understand the same filters, updates and sort
+// options the routes pass to the MongoDB driver. Only the operators the app
+// actually uses are supported.
+
+const toComparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+const OPERATORS = {
+    $eq: (actual, expected) => toComparable(actual) === toComparable(expected),
+    $ne: (actual, expected) => toComparable(actual) !== toComparable(expected),
+    $gt: (actual, expected) => actual != null && toComparable(actual) > toComparable(expected),
+    $gte: (actual, expected) => actual != null && toComparable(actual) >= toComparable(expected),
+    $lt: (actual, expected) => actual != null && toComparable(actual) < toComparable(expected),
+    $lte: (actual, expected) => actual != null && toComparable(actual) <= toComparable(expected),
+    $in: (actual, expected) => expected.map(toComparable).includes(toComparable(actual))
+};
+
+const getPath = (doc, fieldPath) => fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const setPath = (doc, fieldPath, value) => {
+    const keys = fieldPath.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((obj, key) => {
+        if (obj[key] == null || typeof obj[key] !== 'object') obj[key] = {};
+        return obj[key];
+    }, doc);
+    target[last] = value;
+};
+
+const isOperatorObject = (value) => value && typeof value === 'object' && !(value instanceof Date) &&
+    !Array.isArray(value) && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+
+const matches = (doc, filter = {}) => Object.entries(filter).every(([fieldPath, condition]) => {
+    const actual = getPath(doc, fieldPath);
+    if (isOperatorObject(condition)) {
+        return Object.entries(condition).every(([operator, expected]) => {
+            if (!OPERATORS[operator]) throw new Error(`Unsupported query operator: ${operator}`);
+            return OPERATORS[operator](actual, expected);
+        });
+    }
+    return OPERATORS.$eq(actual, condition);
+});
+
+// Applies $set, $inc and $setOnInsert to a document in place
+const applyUpdate = (doc, update, isInsert = false) => {
+    Object.entries(update.$set || {}).forEach(([fieldPath, value]) => setPath(doc, fieldPath, value));
+    Object.entries(update.$inc || {}).forEach(([fieldPath, amount]) => setPath(doc, fieldPath, (getPath(doc, fieldPath) || 0) + amount));
+    if (isInsert) {
+        Object.entries(update.$setOnInsert || {}).forEach(([fieldPath, value]) => setPath(doc, fieldPath, value));
+    }
+    return doc;
+};
+
+const sortDocuments = (docs, sort = {}) => {
+    const fields = Object.entries(sort);
+    return docs.sort((a, b) => {
+        for (const [fieldPath, direction] of fields) {
+            const left = toComparable(getPath(a, fieldPath));
+            const right = toComparable(getPath(b, fieldPath));
+            if (left < right) return -direction;
+            if (left > right) return direction;
+        }
+        return 0;
+    });
+};
+
+module.exports = { matches, applyUpdate, sortDocuments, setPath };
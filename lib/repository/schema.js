@@ -0,0 +1,322 @@
+// ************************************************
+// Portfolio document schema
+// ************************************************
+// Typed Mongoose schemas for every section. The Mongo driver uses the model to
+// store the document; both drivers call validatePortfolio() before saving so an
+// invalid document is never persisted, whichever driver is configured.
+const mongoose = require('mongoose');
+const { TRANSLATED_LOCALES, TRANSLATABLE_FIELDS } = require('../i18n');
+const { RESUME_TEMPLATES, RESUME_SECTIONS, RESUME_DEFAULTS } = require('../resume');
+const { THEME_FONTS, THEME_DEFAULTS, THEME_LIMITS, COLOR_PATTERN } = require('../theme');
+const { SLUG_MAX_LENGTH } = require('../slug');
+
+const isLink = (value) => /^(https?:\/\/|\/|mailto:|tel:)/i.test(value);
+const isAssetUrl = (value) => /^(https?:\/\/|\/)/i.test(value);
+
+const text = (label, maxlength, required = false) => ({
+    type: String,
+    required: required ? [true, `${label} is required.`] : false,
+    maxlength: [maxlength, `${label} must be at most ${maxlength} characters.`]
+});
+
+const link = (label, required = false) => ({
+    ...text(label, 2048, required),
+    validate: {
+        validator: value => !value || isLink(value),
+        message: `${label} must be an http(s) URL, a site path, a mailto: or a tel: link.`
+    }
+});
+
+const asset = (label, required = false) => ({
+    ...text(label, 2048, required),
+    validate: {
+        validator: value => !value || isAssetUrl(value),
+        message: `${label} must be an http(s) URL or a site path.`
+    }
+});
+
+// Months are stored as 'YYYY-MM' (the value of an <input type="month">)
+const month = (label) => ({
+    type: String,
+    validate: {
+        validator: value => !value || /^\d{4}-(0[1-9]|1[0-2])$/.test(value),
+        message: `${label} must be a month in the form YYYY-MM.`
+    }
+});
+
+const itemId = { type: String, required: [true, 'Every item needs an id.'] };
+
+// Alternative text of an image, read out instead of it by screen readers
+const altText = (label, required = false) => text(label, 200, required);
+
+// Alt text that is required while the image next to it (`imageField`) is set
+const requireAltWithImage = (schema, altField, imageField, label) => {
+    schema.path(altField).validate(function (alt) {
+        return !this[imageField] || Boolean(alt && alt.trim());
+    }, `${label} is required.`);
+};
+
+// Lowercase words joined by single hyphens, as produced by lib/slug.js
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const slug = (label, required = false) => ({
+    ...text(label, SLUG_MAX_LENGTH, required),
+    match: [SLUG_PATTERN, `${label} may only contain lowercase letters, digits and single hyphens.`]
+});
+
+// Section items are embedded without their own Mongo _id; `id` is the stable key
+const subdocument = (definition) => new mongoose.Schema(definition, { _id: false });
+
+// A section's item (or object) schema plus its `translations`: one optional
+// subdocument per translated language, with the section's translatable fields
+// under the same limits as the default-language text (see lib/i18n)
+const translatable = (section, definition) => {
+    const translatedFields = Object.fromEntries(TRANSLATABLE_FIELDS[section]
+        .map(field => [field, { ...definition[field], required: false }]));
+    const translations = subdocument(Object.fromEntries(TRANSLATED_LOCALES
+        .map(locale => [locale, subdocument(translatedFields)])));
+    return subdocument({ ...definition, translations });
+};
+
+const carouselSlideSchema = translatable('carousel', {
+    id: itemId,
+    title: text('Slide title', 120, true),
+    description: text('Slide description', 500, true),
+    buttonText: text('Button text', 40, true),
+    link: link('Button link', true),
+    url: asset('Slide image', true),
+    alt: altText('Slide image alt text', true)
+});
+
+const educationSchema = translatable('education', {
+    id: itemId,
+    title: text('Degree title', 150, true),
+    institution: text('Institution', 150, true),
+    years: text('Years', 40, true),
+    imageUrl: asset('Institution logo', true),
+    imageAlt: altText('Institution logo alt text', true)
+});
+
+const certificateSchema = subdocument({
+    id: itemId,
+    title: text('Certificate title', 150, true),
+    issuer: text('Issuer', 150, true),
+    pdfUrl: asset('Certificate PDF', true),
+    thumbnailUrl: asset('Certificate thumbnail'),
+    thumbnailAlt: altText('Certificate thumbnail alt text'),
+    issueDate: month('Issue date'),
+    expiryDate: month('Expiry date'),
+    credentialId: text('Credential ID', 100),
+    verificationUrl: link('Verification link'),
+    skills: {
+        type: [text('Skill', 60, true)],
+        default: [],
+        validate: { validator: skills => skills.length <= 20, message: 'A certificate can list at most 20 skills.' }
+    }
+});
+
+certificateSchema.path('expiryDate').validate(function (expiryDate) {
+    return !expiryDate || !this.issueDate || expiryDate >= this.issueDate;
+}, 'Expiry date cannot be before the issue date.');
+requireAltWithImage(certificateSchema, 'thumbnailAlt', 'thumbnailUrl', 'Certificate thumbnail alt text');
+
+const galleryPhotoSchema = subdocument({
+    id: itemId,
+    url: asset('Photo', true),
+    alt: altText('Photo alt text', true),
+    caption: text('Caption', 200, true),
+    album: { ...text('Album', 60), default: '' }
+});
+
+// What a project linked to a GitHub repository keeps from it (see lib/github.js)
+const githubRepositorySchema = subdocument({
+    repo: text('GitHub repository', 200, true),
+    stars: { type: Number, min: [0, 'Stars cannot be negative.'], default: 0 },
+    pushedAt: text('Last push date', 40),
+    languages: { type: [text('Language', 60)], default: [] },
+    imported: subdocument({
+        description: text('Imported description', 5000),
+        demoLink: text('Imported demo link', 2048),
+        tags: { type: [text('Imported tag', 30)], default: undefined }
+    })
+});
+
+const projectSchema = translatable('projects', {
+    id: itemId,
+    title: text('Project title', 150, true),
+    slug: slug('Project URL slug', true),
+    previousSlugs: { type: [slug('Previous slug')], default: [] },
+    description: text('Project description', 5000, true),
+    writeUp: text('Project write-up', 20000),
+    githubLink: link('GitHub link', true),
+    demoLink: link('Live demo link'),
+    images: { type: [asset('Project image')], default: [] },
+    // Alt text of each image, in the same order
+    imageAlts: { type: [altText('Project image alt text', true)], default: [] },
+    tags: {
+        type: [text('Tag', 30, true)],
+        default: [],
+        validate: { validator: tags => tags.length <= 20, message: 'A project can have at most 20 tags.' }
+    },
+    category: text('Category', 60),
+    startDate: month('Start date'),
+    endDate: month('End date'),
+    featured: { type: Boolean, default: false },
+    github: githubRepositorySchema
+});
+
+projectSchema.path('endDate').validate(function (endDate) {
+    return !endDate || !this.startDate || endDate >= this.startDate;
+}, 'End date cannot be before the start date.');
+
+projectSchema.path('imageAlts').validate(function (imageAlts) {
+    return imageAlts.length === this.images.length;
+}, 'Every project image needs its alt text.');
+
+const aboutSchema = translatable('about', {
+    summary: text('Summary', 2000),
+    fullStory: text('Full story', 10000),
+    skills: { type: [text('Skill', 300)], default: [] },
+    photoUrl: asset('Profile photo'),
+    photoAlt: altText('Profile photo alt text')
+});
+requireAltWithImage(aboutSchema, 'photoAlt', 'photoUrl', 'Profile photo alt text');
+
+const projectSummarySchema = translatable('projectSummary', {
+    title: text('Summary title', 150),
+    image: asset('Summary image'),
+    imageAlt: altText('Summary image alt text'),
+    paragraph1: text('First paragraph', 2000),
+    paragraph2: text('Second paragraph', 2000),
+    buttonLink: link('Button link')
+});
+requireAltWithImage(projectSummarySchema, 'imageAlt', 'image', 'Summary image alt text');
+
+const footerInfoSchema = translatable('footerInfo', {
+    name: text('Name', 100),
+    line1: text('Footer line 1', 150),
+    line2: text('Footer line 2', 150),
+    githubLink: link('GitHub link'),
+    emailLink: link('Email link'),
+    phoneLink: link('Phone link'),
+    linkedinLink: link('LinkedIn link')
+});
+
+// Search engine and social sharing settings. Each public page has its own
+// title and description; empty ones fall back to defaults built from the data.
+const seoText = (label) => text(label, 300);
+const seoSchema = translatable('seo', {
+    siteName: text('Site name', 80),
+    jobTitle: text('Job title', 100),
+    twitterHandle: {
+        ...text('Twitter handle', 16),
+        match: [/^(@?\w{1,15})?$/, 'Twitter handle must look like @name.']
+    },
+    defaultImage: asset('Default sharing image'),
+    defaultDescription: seoText('Default description'),
+    homeTitle: text('Home page title', 120),
+    homeDescription: seoText('Home page description'),
+    projectsTitle: text('Projects page title', 120),
+    projectsDescription: seoText('Projects page description'),
+    certificatesTitle: text('Certificates page title', 120),
+    certificatesDescription: seoText('Certificates page description'),
+    aboutTitle: text('About page title', 120),
+    aboutDescription: seoText('About page description'),
+    contactTitle: text('Contact page title', 120),
+    contactDescription: seoText('Contact page description'),
+    resumeTitle: text('Résumé page title', 120),
+    resumeDescription: seoText('Résumé page description'),
+    galleryTitle: text('Gallery page title', 120),
+    galleryDescription: seoText('Gallery page description')
+});
+
+// What the /resume page and PDF include (see lib/resume.js)
+const resumeSchema = subdocument({
+    template: {
+        type: String,
+        enum: { values: Object.keys(RESUME_TEMPLATES), message: 'Unknown résumé template: {VALUE}.' },
+        default: RESUME_DEFAULTS.template
+    },
+    sections: {
+        type: [{
+            type: String,
+            enum: { values: Object.keys(RESUME_SECTIONS), message: 'Unknown résumé section: {VALUE}.' }
+        }],
+        default: RESUME_DEFAULTS.sections
+    },
+    hiddenItems: { type: [String], default: [] }
+});
+
+// The site's colors, font, corner radius and hero overlay (see lib/theme.js)
+const color = (label, defaultValue) => ({
+    type: String,
+    match: [COLOR_PATTERN, `${label} must be a hex color like #4a90e2.`],
+    default: defaultValue
+});
+const wholeNumber = (label, { min, max }, defaultValue) => ({
+    type: Number,
+    min: [min, `${label} must be between ${min} and ${max}.`],
+    max: [max, `${label} must be between ${min} and ${max}.`],
+    validate: { validator: Number.isInteger, message: `${label} must be a whole number.` },
+    default: defaultValue
+});
+const themeSchema = subdocument({
+    primaryColor: color('Primary color', THEME_DEFAULTS.primaryColor),
+    accentColor: color('Accent color', THEME_DEFAULTS.accentColor),
+    font: {
+        type: String,
+        enum: { values: Object.keys(THEME_FONTS), message: 'Unknown font: {VALUE}.' },
+        default: THEME_DEFAULTS.font
+    },
+    radius: wholeNumber('Corner radius', THEME_LIMITS.radius, THEME_DEFAULTS.radius),
+    heroOverlay: wholeNumber('Hero overlay', THEME_LIMITS.heroOverlay, THEME_DEFAULTS.heroOverlay)
+});
+
+const portfolioSchema = new mongoose.Schema({
+    _id: { type: String, default: 'portfolio_data' },
+    carousel: [carouselSlideSchema],
+    about: aboutSchema,
+    projectSummary: projectSummarySchema,
+    education: [educationSchema],
+    certificates: [certificateSchema],
+    gallery: [galleryPhotoSchema],
+    projects: [projectSchema],
+    footerInfo: footerInfoSchema,
+    seo: seoSchema,
+    resume: resumeSchema,
+    theme: themeSchema
+});
+
+// Item ids must be unique within their list, or routes could edit the wrong item
+const hasUniqueIds = (items) => {
+    const ids = (items || []).map(item => item && item.id);
+    return new Set(ids).size === ids.length;
+};
+['carousel', 'education', 'certificates', 'gallery', 'projects'].forEach((section) => {
+    portfolioSchema.path(section).validate(hasUniqueIds, `Item ids in ${section} must be unique.`);
+});
+
+// Project pages live at /projects/:slug, so two projects cannot share a slug
+portfolioSchema.path('projects').validate((projects) => {
+    const slugs = (projects || []).map(project => project && project.slug);
+    return new Set(slugs).size === slugs.length;
+}, 'Project URL slugs must be unique.');
+
+const Portfolio = mongoose.model('Portfolio', portfolioSchema);
+
+// Checks a plain portfolio document against the schema. Returns a list of
+// { field, message } (e.g. { field: 'gallery.1.caption', message: 'Caption is required.' }),
+// empty when the document is valid.
+const validatePortfolio = (data) => {
+    const result = new Portfolio(data).validateSync();
+    if (!result) return [];
+    return Object.entries(result.errors).map(([field, error]) => ({ field, message: error.message }));
+};
+
+// Error thrown by the drivers' savePortfolio(); `status` and `details` follow
+// the JSON API's error format, so API routes answer 422 without extra handling.
+const portfolioValidationError = (details) => Object.assign(
+    new Error(`Portfolio validation failed: ${details.map(detail => `${detail.field}: ${detail.message}`).join(' ')}`),
+    { name: 'PortfolioValidationError', status: 422, details }
+);
+
+module.exports = { Portfolio, validatePortfolio, portfolioValidationError };
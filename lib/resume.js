@@ -0,0 +1,236 @@
+// ************************************************
+// Résumé built from the portfolio
+// ************************************************
+// The /resume page and its PDF show the same résumé, built from the portfolio
+// document: the about summary and skills, projects, education and
+// certificates, with the footer's contact links in the header. The `resume`
+// section of the portfolio holds the settings edited in the admin:
+//   { template: 'classic', sections: ['summary', 'projects'], hiddenItems: ['<item id>'] }
+// `sections` lists the sections shown (always in the order of RESUME_SECTIONS)
+// and `hiddenItems` the ids of the projects, education entries and
+// certificates left out.
+const PDFDocument = require('pdfkit');
+const { markdownToText } = require('./markdown');
+const { translate } = require('./i18n');
+
+// Templates, with the label of the admin's selector
+const RESUME_TEMPLATES = {
+    classic: 'Classic',
+    modern: 'Modern'
+};
+
+// Sections, with the label of the admin's checkboxes and, for list sections,
+// the portfolio section holding their items
+const RESUME_SECTIONS = {
+    summary: { label: 'Summary' },
+    skills: { label: 'Skills' },
+    projects: { label: 'Projects', items: 'projects' },
+    education: { label: 'Education', items: 'education' },
+    certificates: { label: 'Certificates', items: 'certificates' }
+};
+
+const RESUME_DEFAULTS = {
+    template: 'classic',
+    sections: Object.keys(RESUME_SECTIONS),
+    hiddenItems: []
+};
+
+// Entries stay short on a résumé; the project pages have the full story
+const ENTRY_TEXT_LENGTH = 300;
+const shorten = (text) => (text.length <= ENTRY_TEXT_LENGTH
+    ? text
+    : `${text.slice(0, ENTRY_TEXT_LENGTH - 1).replace(/\s+\S*$/, '')}…`);
+
+// The template asked for (?template=modern), or the one picked in the admin
+const resumeTemplate = (portfolio, requested) => {
+    if (RESUME_TEMPLATES[requested]) return requested;
+    const settings = portfolio.resume || {};
+    return RESUME_TEMPLATES[settings.template] ? settings.template : RESUME_DEFAULTS.template;
+};
+
+// Header links from the footer: the text shown is the address without its scheme
+const contactLinks = (footer) => [footer.emailLink, footer.phoneLink, footer.githubLink, footer.linkedinLink]
+    .filter(link => /^(https?:\/\/|mailto:|tel:)/i.test(link || ''))
+    .map(link => ({
+        label: link.replace(/^(https?:\/\/(www\.)?|mailto:|tel:)/i, '').split('?')[0].replace(/\/$/, ''),
+        url: link
+    }));
+
+// Everything the page and the PDF print, in the portfolio's language (the
+// portfolio is already localized; `locale` picks the catalog strings):
+// { name, headline, contacts, template, sections: [{ key, title, text, list, entries }] }
+// Entries are { title, subtitle, period, text, tags, links: [{ label, url }] }.
+// `absoluteUrl(url)` turns site paths into links that work outside the site.
+const buildResume = ({ portfolio, locale, absoluteUrl, template }) => {
+    const settings = { ...RESUME_DEFAULTS, ...portfolio.resume };
+    const t = (key, values) => translate(locale, key, values);
+    const hidden = new Set(settings.hiddenItems);
+    const about = portfolio.about || {};
+    const footer = portfolio.footerInfo || {};
+
+    const formatMonth = (value) => new Date(`${value}-01T00:00:00Z`)
+        .toLocaleDateString(t('dateLocale'), { month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+    const builders = {
+        summary: () => ({ text: markdownToText(about.summary) }),
+        skills: () => ({ list: (about.skills || []).filter(skill => skill.trim()) }),
+        projects: items => ({
+            entries: items.map(project => ({
+                title: project.title,
+                subtitle: project.category || '',
+                period: project.startDate
+                    ? `${formatMonth(project.startDate)} – ${project.endDate ? formatMonth(project.endDate) : t('projects.present')}`
+                    : '',
+                text: shorten(markdownToText(project.description)),
+                tags: project.tags || [],
+                links: [
+                    project.githubLink && { label: t('project.sourceCode'), url: absoluteUrl(project.githubLink) },
+                    project.demoLink && { label: t('projects.liveDemo'), url: absoluteUrl(project.demoLink) }
+                ].filter(Boolean)
+            }))
+        }),
+        education: items => ({
+            entries: items.map(entry => ({
+                title: entry.title,
+                subtitle: entry.institution,
+                period: entry.years,
+                text: '',
+                tags: [],
+                links: []
+            }))
+        }),
+        certificates: items => ({
+            entries: items.map(certificate => ({
+                title: certificate.title,
+                subtitle: certificate.issuer,
+                period: certificate.issueDate ? formatMonth(certificate.issueDate) : '',
+                text: certificate.credentialId ? t('certificates.credentialId', { id: certificate.credentialId }) : '',
+                tags: certificate.skills || [],
+                links: certificate.verificationUrl
+                    ? [{ label: t('certificates.verify'), url: absoluteUrl(certificate.verificationUrl) }]
+                    : []
+            }))
+        })
+    };
+
+    const sections = Object.entries(RESUME_SECTIONS)
+        .filter(([key]) => settings.sections.includes(key))
+        .map(([key, section]) => {
+            const items = section.items ? (portfolio[section.items] || []).filter(item => !hidden.has(item.id)) : undefined;
+            return { key, title: t(`resume.sections.${key}`), text: '', list: [], entries: [], ...builders[key](items) };
+        })
+        .filter(section => section.text || section.list.length > 0 || section.entries.length > 0);
+
+    return {
+        name: (footer.name || (portfolio.seo && portfolio.seo.siteName) || '').trim(),
+        headline: (portfolio.seo && portfolio.seo.jobTitle) || '',
+        contacts: contactLinks(footer),
+        template: resumeTemplate(portfolio, template),
+        sections
+    };
+};
+
+// ------------------------------------
+// --- PDF ---
+// ------------------------------------
+// The PDF uses the standard PDF fonts, which only cover Western European
+// characters; anything else (emoji, other scripts) is left out.
+const pdfText = (value) => String(value || '').replace(/[^\n\x20-\x7E\xA0-\xFF–—‘’“”•…€]/g, '').trim();
+
+const PDF_STYLES = {
+    classic: {
+        font: 'Times-Roman',
+        bold: 'Times-Bold',
+        italic: 'Times-Italic',
+        accent: '#222222',
+        headerAlign: 'center',
+        band: false
+    },
+    modern: {
+        font: 'Helvetica',
+        bold: 'Helvetica-Bold',
+        italic: 'Helvetica-Oblique',
+        accent: '#4a90e2',
+        headerAlign: 'left',
+        band: true
+    }
+};
+
+// Renders a résumé from buildResume() as an A4 PDF; resolves to a Buffer
+const renderResumePdf = (resume) => new Promise((resolve, reject) => {
+    const style = PDF_STYLES[resume.template] || PDF_STYLES.classic;
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: { Title: pdfText(`${resume.name} – ${resume.headline}`.replace(/ – $/, '')), Author: pdfText(resume.name) }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    // Starts a new page when less than `space` points are left on this one
+    const keepTogether = (space) => {
+        if (doc.y + space > doc.page.height - doc.page.margins.bottom) doc.addPage();
+    };
+
+    // Header: name, headline and contact links
+    const headerColor = style.band ? '#ffffff' : '#222222';
+    if (style.band) doc.rect(0, 0, doc.page.width, 120).fill(style.accent);
+    doc.y = style.band ? 35 : 50;
+    doc.font(style.bold).fontSize(24).fillColor(headerColor).text(pdfText(resume.name), left, doc.y, { width, align: style.headerAlign });
+    if (resume.headline) {
+        doc.font(style.italic).fontSize(12).text(pdfText(resume.headline), { width, align: style.headerAlign });
+    }
+    if (resume.contacts.length > 0) {
+        doc.moveDown(0.3).font(style.font).fontSize(9)
+            .text(pdfText(resume.contacts.map(contact => contact.label).join('   |   ')), { width, align: style.headerAlign });
+    }
+    doc.y = style.band ? Math.max(doc.y, 120) + 10 : doc.y + 5;
+
+    resume.sections.forEach((section) => {
+        keepTogether(60);
+        doc.moveDown(0.8).font(style.bold).fontSize(12).fillColor(style.accent)
+            .text(pdfText(section.title).toUpperCase(), left, doc.y, { width, characterSpacing: 1 });
+        const ruleY = doc.y + 1;
+        doc.moveTo(left, ruleY).lineTo(left + width, ruleY).lineWidth(0.5).strokeColor(style.accent).stroke();
+        doc.y = ruleY + 6;
+
+        if (section.text) {
+            doc.font(style.font).fontSize(10).fillColor('#333333').text(pdfText(section.text), left, doc.y, { width, align: 'justify' });
+        }
+        if (section.list.length > 0) {
+            doc.font(style.font).fontSize(10).fillColor('#333333')
+                .list(section.list.map(pdfText), left + 5, doc.y, { width: width - 5, bulletRadius: 1.5 });
+        }
+
+        section.entries.forEach((entry) => {
+            keepTogether(50);
+            const top = doc.y + 4;
+            if (entry.period) {
+                doc.font(style.font).fontSize(9).fillColor('#666666').text(pdfText(entry.period), left, top + 1, { width, align: 'right' });
+            }
+            doc.font(style.bold).fontSize(11).fillColor('#222222').text(pdfText(entry.title), left, top, { width: width - 140 });
+            if (entry.subtitle) {
+                doc.font(style.italic).fontSize(10).fillColor('#555555').text(pdfText(entry.subtitle), { width });
+            }
+            if (entry.text) {
+                doc.font(style.font).fontSize(10).fillColor('#333333').text(pdfText(entry.text), { width });
+            }
+            if (entry.tags.length > 0) {
+                doc.font(style.font).fontSize(9).fillColor('#666666').text(pdfText(entry.tags.join(' • ')), { width });
+            }
+            entry.links.forEach((link) => {
+                doc.font(style.font).fontSize(9).fillColor(style.accent)
+                    .text(pdfText(`${link.label}: ${link.url}`), { width, link: link.url });
+            });
+            doc.moveDown(0.4);
+        });
+    });
+
+    doc.end();
+});
+
+module.exports = { RESUME_TEMPLATES, RESUME_SECTIONS, RESUME_DEFAULTS, resumeTemplate, buildResume, renderResumePdf };
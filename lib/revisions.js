@@ -0,0 +1,57 @@
+// ************************************************
+// Revision history of the portfolio document
+// ************************************************
+// Every admin save records a revision holding the field-level changes, the
+// sections and route that made them, and a full snapshot of the document so any
+// section (or the whole document) can be restored later. Only the newest
+// `limit` revisions are kept; older ones are returned by prune() so the stored
+// files that only they referenced can be released.
+
+const createRevisionHistory = ({ collection, limit }) => ({
+    async record({ sections, route, url, changes, snapshot }) {
+        return collection.insert({
+            createdAt: new Date(),
+            sections,
+            route,
+            url,
+            changes,
+            snapshot
+        });
+    },
+
+    // Newest first, without the (large) snapshots
+    async list({ limit: max = 50 } = {}) {
+        const revisions = await collection.find({}, { sort: { createdAt: -1 }, limit: max });
+        return revisions.map(({ snapshot, ...summary }) => summary);
+    },
+
+    get(id) {
+        return collection.findOne({ _id: id });
+    },
+
+    // The revision recorded just before the given one, if it is still kept
+    async previous(revision) {
+        const [previous] = await collection.find({ createdAt: { $lt: revision.createdAt } }, { sort: { createdAt: -1 }, limit: 1 });
+        return previous || null;
+    },
+
+    async count() {
+        return collection.count();
+    },
+
+    async snapshots() {
+        const revisions = await collection.find({});
+        return revisions.map(revision => revision.snapshot);
+    },
+
+    // Deletes revisions beyond the limit and returns them
+    async prune() {
+        const excess = await collection.find({}, { sort: { createdAt: -1 }, skip: limit });
+        for (const revision of excess) {
+            await collection.deleteOne({ _id: revision._id });
+        }
+        return excess;
+    }
+});
+
+module.exports = { createRevisionHistory };
@@ -0,0 +1,180 @@
+// ************************************************
+// Search engine and social sharing metadata
+// ************************************************
+// Builds, from the portfolio document, what the public pages put in their
+// <head> (title, description, canonical URL, Open Graph and Twitter cards, the
+// schema.org ProfilePage JSON-LD, hreflang alternates) plus the /sitemap.xml and
+// /robots.txt bodies.
+const { markdownToText } = require('./markdown');
+const { LOCALES, DEFAULT_LOCALE, translate, localePath } = require('./i18n');
+
+// Public pages with their own title and description in the `seo` section.
+// `navKey` is the catalog string used in the default title of translated pages.
+const SEO_PAGES = {
+    home: { path: '/', label: 'Home', navKey: 'nav.home' },
+    projects: { path: '/projects', label: 'Projects', navKey: 'nav.projects' },
+    certificates: { path: '/certificates', label: 'Certificates', navKey: 'nav.certificates' },
+    about: { path: '/about', label: 'About Me', navKey: 'nav.story' },
+    contact: { path: '/contact', label: 'Contact Me', navKey: 'nav.contact' },
+    resume: { path: '/resume', label: 'Résumé', navKey: 'nav.resume' },
+    gallery: { path: '/gallery', label: 'Gallery', navKey: 'nav.gallery' }
+};
+
+// Pages that carry the ProfilePage JSON-LD block
+const PROFILE_PAGES = ['home', 'about'];
+
+// Search engines show about 160 characters of a description
+const truncate = (text, max = 160) => {
+    const value = String(text || '').replace(/\s+/g, ' ').trim();
+    return value.length <= max ? value : `${value.slice(0, max - 1).replace(/\s+\S*$/, '')}…`;
+};
+
+// Sharing tags and JSON-LD need absolute URLs; stored files may be site paths,
+// and older uploads have spaces in their names
+const absoluteUrl = (url, baseUrl) => {
+    if (!url) return '';
+    const encoded = url.replace(/ /g, '%20');
+    if (/^https?:\/\//i.test(encoded)) return encoded;
+    return `${baseUrl}${encoded.startsWith('/') ? '' : '/'}${encoded}`;
+};
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+
+// The image shown when a page is shared: the project's first image on project
+// pages, the profile photo on the about page, the first photo on the gallery
+// page, otherwise the default sharing image or the first carousel slide
+const pageImage = (portfolio, page, project) => {
+    const seo = portfolio.seo || {};
+    const firstSlide = (portfolio.carousel || [])[0];
+    const candidates = [
+        project && (project.images || [])[0],
+        page === 'about' && portfolio.about && portfolio.about.photoUrl,
+        page === 'gallery' && (portfolio.gallery || [])[0] && portfolio.gallery[0].url,
+        seo.defaultImage,
+        firstSlide && firstSlide.url
+    ];
+    return candidates.find(Boolean) || '';
+};
+
+// The page at `path` (without a language prefix) in every language, plus the
+// x-default version search engines offer to other languages
+const buildAlternates = (path, baseUrl) => [
+    ...Object.keys(LOCALES).map(locale => ({ hreflang: locale, url: absoluteUrl(localePath(locale, path), baseUrl) })),
+    { hreflang: 'x-default', url: absoluteUrl(path, baseUrl) }
+];
+
+// Returns the values views/partials/seo-head.ejs renders. `page` is a key of
+// SEO_PAGES, or 'project' together with `project`. `portfolio` is already
+// localized; `path` is the page's path without the language prefix.
+const buildPageMeta = ({ portfolio, page, project, baseUrl, path, locale = DEFAULT_LOCALE, noindex = false }) => {
+    const seo = portfolio.seo || {};
+    const siteName = seo.siteName || (portfolio.footerInfo && portfolio.footerInfo.name) || 'Portfolio';
+    const fallbackDescription = seo.defaultDescription || markdownToText(portfolio.about && portfolio.about.summary);
+
+    let title;
+    let description;
+    if (project) {
+        title = `${project.title} | ${siteName}`;
+        description = markdownToText(project.description) || fallbackDescription;
+    } else {
+        const label = locale === DEFAULT_LOCALE ? SEO_PAGES[page].label : translate(locale, SEO_PAGES[page].navKey);
+        title = seo[`${page}Title`] || `${label} | ${siteName}`;
+        description = seo[`${page}Description`] || fallbackDescription;
+    }
+
+    return {
+        title,
+        description: truncate(description),
+        url: absoluteUrl(localePath(locale, path), baseUrl),
+        alternates: buildAlternates(path, baseUrl),
+        ogLocale: translate(locale, 'ogLocale'),
+        ogLocaleAlternates: Object.keys(LOCALES).filter(code => code !== locale).map(code => translate(code, 'ogLocale')),
+        type: project ? 'article' : (page === 'about' ? 'profile' : 'website'),
+        siteName,
+        image: absoluteUrl(pageImage(portfolio, page, project), baseUrl),
+        twitterHandle: seo.twitterHandle ? `@${seo.twitterHandle.replace(/^@/, '')}` : '',
+        noindex,
+        jsonLd: PROFILE_PAGES.includes(page) ? serializeJsonLd(buildProfileJsonLd({ portfolio, baseUrl })) : ''
+    };
+};
+
+// schema.org ProfilePage whose main entity is the Person behind the portfolio,
+// with their education (alumniOf) and certificates (hasCredential)
+const buildProfileJsonLd = ({ portfolio, baseUrl }) => {
+    const seo = portfolio.seo || {};
+    const about = portfolio.about || {};
+    const footer = portfolio.footerInfo || {};
+    const profileLinks = [footer.githubLink, footer.linkedinLink].filter(link => /^https?:\/\//i.test(link || ''));
+    const email = /^mailto:/i.test(footer.emailLink || '') ? footer.emailLink.replace(/^mailto:/i, '').split('?')[0] : '';
+
+    const person = {
+        '@type': 'Person',
+        name: (footer.name || seo.siteName || '').trim(),
+        url: absoluteUrl('/', baseUrl),
+        description: truncate(markdownToText(about.summary), 300) || undefined,
+        jobTitle: seo.jobTitle || undefined,
+        image: absoluteUrl(about.photoUrl, baseUrl) || undefined,
+        email: email || undefined,
+        sameAs: profileLinks.length > 0 ? profileLinks : undefined,
+        alumniOf: (portfolio.education || []).map(entry => ({
+            '@type': 'EducationalOrganization',
+            name: entry.institution
+        })),
+        hasCredential: (portfolio.certificates || []).map(certificate => ({
+            '@type': 'EducationalOccupationalCredential',
+            name: certificate.title,
+            recognizedBy: { '@type': 'Organization', name: certificate.issuer },
+            url: absoluteUrl(certificate.verificationUrl || certificate.pdfUrl, baseUrl) || undefined,
+            identifier: certificate.credentialId || undefined,
+            dateCreated: certificate.issueDate || undefined,
+            expires: certificate.expiryDate || undefined
+        }))
+    };
+
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'ProfilePage',
+        url: absoluteUrl('/about', baseUrl),
+        mainEntity: person
+    };
+};
+
+// JSON for a <script type="application/ld+json"> block; "<" is escaped so the
+// data can never close the script element
+const serializeJsonLd = (data) => JSON.stringify(data).replace(/</g, '\\u003c');
+
+// Every page in every language, each listing its translations
+const buildSitemap = ({ portfolio, baseUrl }) => {
+    const paths = [
+        ...Object.values(SEO_PAGES).map(page => page.path),
+        ...(portfolio.projects || []).filter(project => project.slug).map(project => `/projects/${project.slug}`)
+    ];
+    const urls = paths.flatMap((path) => {
+        const links = buildAlternates(path, baseUrl)
+            .map(alternate => `<xhtml:link rel="alternate" hreflang="${alternate.hreflang}" href="${escapeXml(alternate.url)}"/>`)
+            .join('');
+        return Object.keys(LOCALES).map(locale => `  <url><loc>${escapeXml(absoluteUrl(localePath(locale, path), baseUrl))}</loc>${links}</url>`);
+    });
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+        ...urls,
+        '</urlset>',
+        ''
+    ].join('\n');
+};
+
+const buildRobots = ({ baseUrl }) => [
+    'User-agent: *',
+    'Disallow: /admin',
+    'Disallow: /login',
+    'Disallow: /api/',
+    // Tracked link redirects (see lib/analytics.js), in every language
+    ...Object.keys(LOCALES).map(locale => `Disallow: ${localePath(locale, '/go/')}`),
+    '',
+    `Sitemap: ${absoluteUrl('/sitemap.xml', baseUrl)}`,
+    ''
+].join('\n');
+
+module.exports = { SEO_PAGES, absoluteUrl, buildPageMeta, buildProfileJsonLd, buildSitemap, buildRobots };
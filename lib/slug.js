@@ -0,0 +1,51 @@
+// ************************************************
+// URL slug helpers
+// ************************************************
+
+// Longest slug the portfolio schema accepts
+const SLUG_MAX_LENGTH = 80;
+
+// "Food Delivery Workflow in Java!" -> "food-delivery-workflow-in-java"
+const slugify = (text) => String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // drop accents: "é" -> "e"
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, SLUG_MAX_LENGTH)
+    .replace(/^-+|-+$/g, '');
+
+// Returns `base`, or `base-2`, `base-3`... for the first one `isTaken` rejects.
+// The base is shortened to keep a suffixed slug within SLUG_MAX_LENGTH.
+const uniqueSlug = (base, isTaken) => {
+    let slug = base;
+    for (let n = 2; isTaken(slug); n++) {
+        const suffix = `-${n}`;
+        slug = `${base.slice(0, SLUG_MAX_LENGTH - suffix.length).replace(/-+$/, '')}${suffix}`;
+    }
+    return slug;
+};
+
+// Gives `project` a slug unique among `projects`, from `requested` or else the
+// title. The slug it replaces is kept in previousSlugs so old links can
+// redirect; no other project keeps the new slug as one of its old ones.
+const assignProjectSlug = (project, projects, requested) => {
+    const others = projects.filter(other => other !== project && other.id !== project.id);
+    const base = slugify(requested) || slugify(project.title) || 'project';
+    const slug = uniqueSlug(base, candidate => others.some(other => other.slug === candidate));
+
+    const previousSlugs = new Set(project.previousSlugs || []);
+    if (project.slug && project.slug !== slug) previousSlugs.add(project.slug);
+    previousSlugs.delete(slug);
+
+    project.slug = slug;
+    project.previousSlugs = [...previousSlugs];
+
+    others.forEach((other) => {
+        if ((other.previousSlugs || []).includes(slug)) {
+            other.previousSlugs = other.previousSlugs.filter(old => old !== slug);
+        }
+    });
+    return project;
+};
+
+module.exports = { SLUG_MAX_LENGTH, slugify, uniqueSlug, assignProjectSlug };
@@ -0,0 +1,82 @@
+// ************************************************
+// Cloudinary storage driver
+// ************************************************
+const cloudinary = require('cloudinary').v2;
+
+const createCloudinaryDriver = ({ cloudName, apiKey, apiSecret }) => {
+    cloudinary.config({
+        cloud_name: cloudName,
+        api_key: apiKey,
+        api_secret: apiSecret
+    });
+
+    return {
+        name: 'cloudinary',
+
+        put(folder, file) {
+            return new Promise((resolve, reject) => {
+                const uploadStream = cloudinary.uploader.upload_stream({
+                    folder: `portfolio/${folder}`, // All files go into a 'portfolio' master folder
+                    resource_type: 'auto',
+                    allowed_formats: folder.includes('Pdf') ? ['pdf'] : ['jpg', 'png', 'jpeg', 'webp'], // webp: image variants
+                    transformation: [{ quality: 'auto', fetch_format: 'auto' }] // Optimization for images
+                }, (error, result) => {
+                    if (error) return reject(error);
+                    resolve({ key: result.public_id, url: result.secure_url });
+                });
+                uploadStream.end(file.buffer);
+            });
+        },
+
+        async delete(publicId) {
+            const result = await cloudinary.uploader.destroy(publicId);
+            if (result.result === 'not found') {
+                console.warn(`Cloudinary asset not found: ${publicId}`);
+            } else if (result.result === 'ok') {
+                console.log(`Successfully deleted Cloudinary asset: ${publicId}`);
+            } else {
+                console.error(`Failed to delete Cloudinary asset ${publicId}:`, result);
+            }
+        },
+
+        // The public ID has no extension, so download the delivery URL itself
+        async read(publicId, fileUrl) {
+            const response = await fetch(fileUrl || cloudinary.url(publicId, { secure: true }));
+            if (!response.ok) {
+                throw new Error(`Cloudinary download failed for ${publicId}: HTTP ${response.status}`);
+            }
+            return Buffer.from(await response.arrayBuffer());
+        },
+
+        publicUrl(publicId) {
+            return cloudinary.url(publicId, { secure: true });
+        },
+
+        // Adds a delivery transformation after /upload/:
+        // .../upload/v123/portfolio/Gallery/photo.png -> .../upload/c_limit,w_640,f_auto,q_auto/v123/portfolio/Gallery/photo.png
+        resizedUrl(fileUrl, width) {
+            return fileUrl.replace('/upload/', `/upload/c_limit,w_${width},f_auto,q_auto/`);
+        },
+
+        // Extracts the public ID from a Cloudinary URL
+        // URL format: .../v123456789/folder/filename.ext
+        // Public ID is: folder/filename
+        keyFromUrl(fileUrl) {
+            if (!fileUrl || !fileUrl.includes('cloudinary.com')) {
+                return null;
+            }
+
+            // Capture the path segment after /upload/ (optionally skipping the version 'vXXX/' part)
+            const match = fileUrl.match(/\/upload\/(?:v\d+\/)?(.*)/);
+
+            if (match && match[1]) {
+                const publicIdWithExtension = match[1];
+                // Cloudinary only needs the path without the extension for the destroy method.
+                return publicIdWithExtension.substring(0, publicIdWithExtension.lastIndexOf('.'));
+            }
+            return null;
+        }
+    };
+};
+
+module.exports = { createCloudinaryDriver };
@@ -0,0 +1,84 @@
+// ************************************************
+// Storage driver selection
+// ************************************************
+// Every driver implements the same interface:
+//   put(folder, file)  -> Promise<{ key, url }>   file is a multer memory file
+//   delete(key)        -> Promise<void>
+//   read(key, url)     -> Promise<Buffer>            url is the stored URL the key came from
+//   publicUrl(key)     -> string
+//   keyFromUrl(url)    -> key, or null if the URL does not belong to the driver
+// and may implement:
+//   resizedUrl(url, width) -> URL of the image scaled down to `width` pixels,
+//                             served by the driver itself (Cloudinary transformations)
+//
+// New uploads always go to the configured driver. Deletion looks at the URL
+// instead, because the data can mix Cloudinary URLs with /uploads/... paths.
+const path = require('path');
+const { createLocalDriver } = require('./local');
+const { createCloudinaryDriver } = require('./cloudinary');
+
+// Folders files are stored in: one per admin upload form, plus the certificate
+// thumbnails and the image variants (lib/images.js) the app generates
+const STORAGE_FOLDERS = ['Carousel', 'Story', 'Project', 'Education', 'Pdf', 'Gallery', 'Thumbnails', 'Variants'];
+
+const createStorage = ({ driver, uploadsDir, cloudinary }) => {
+    const drivers = {
+        local: createLocalDriver({ rootDir: uploadsDir || path.join(__dirname, '..', '..', 'public', 'uploads') })
+    };
+    if (cloudinary && cloudinary.cloudName && cloudinary.apiKey && cloudinary.apiSecret) {
+        drivers.cloudinary = createCloudinaryDriver(cloudinary);
+    }
+
+    const active = drivers[driver];
+    if (!active) {
+        throw new Error(`Storage driver "${driver}" is not available. Use "local", or "cloudinary" with its credentials set.`);
+    }
+
+    const findDriverFor = (fileUrl) => Object.values(drivers).find(d => d.keyFromUrl(fileUrl));
+
+    return {
+        name: active.name,
+
+        put: (folder, file) => active.put(folder, file),
+
+        publicUrl: (key) => active.publicUrl(key),
+
+        // True if the URL points to a file managed by one of the drivers
+        isStoredUrl: (fileUrl) => Boolean(findDriverFor(fileUrl)),
+
+        // URL of a stored image scaled down to `width` pixels, or null when the
+        // driver that owns it cannot resize on delivery (see lib/images.js)
+        resizedUrl(fileUrl, width) {
+            const owner = findDriverFor(fileUrl);
+            return owner && owner.resizedUrl ? owner.resizedUrl(fileUrl, width) : null;
+        },
+
+        // Downloads the file behind a stored URL (used by backups). Throws if
+        // no driver owns the URL or the file cannot be read.
+        async read(fileUrl) {
+            const owner = findDriverFor(fileUrl);
+            if (!owner) {
+                throw new Error(`No storage driver can read asset: ${fileUrl}`);
+            }
+            return owner.read(owner.keyFromUrl(fileUrl), fileUrl);
+        },
+
+        // Deletes the asset behind a stored URL. Never throws: a failed cleanup
+        // must not break the admin action that triggered it.
+        async delete(fileUrl) {
+            if (!fileUrl) return;
+            const owner = findDriverFor(fileUrl);
+            if (!owner) {
+                console.warn(`No storage driver can delete asset: ${fileUrl}`);
+                return;
+            }
+            try {
+                await owner.delete(owner.keyFromUrl(fileUrl));
+            } catch (error) {
+                console.error(`Storage Deletion Error (${owner.name}):`, error);
+            }
+        }
+    };
+};
+
+module.exports = { STORAGE_FOLDERS, createStorage };
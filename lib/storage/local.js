@@ -0,0 +1,64 @@
+// ************************************************
+// Local-disk storage driver
+// ************************************************
+// Writes files under public/uploads/<Folder> so express.static serves them
+// at /uploads/<Folder>/<file>. Used for local development and offline tests.
+const fs = require('fs/promises');
+const path = require('path');
+
+const createLocalDriver = ({ rootDir, publicPath = '/uploads' }) => {
+    const resolveKey = (key) => {
+        const filePath = path.resolve(rootDir, key);
+        // Refuse keys that would escape the uploads directory (e.g. "../app.js")
+        if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    const publicUrl = (key) => `${publicPath}/${key}`;
+
+    return {
+        name: 'local',
+
+        async put(folder, file) {
+            // Same "<timestamp>-<original name>" pattern as the files already in public/uploads
+            const safeName = path.basename(file.originalname).replace(/[^\w.-]+/g, '-');
+            const key = `${folder}/${Date.now()}-${safeName}`;
+            const filePath = resolveKey(key);
+
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, file.buffer);
+            return { key, url: publicUrl(key) };
+        },
+
+        async delete(key) {
+            try {
+                await fs.unlink(resolveKey(key));
+                console.log(`Successfully deleted local asset: ${key}`);
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    console.warn(`Local asset not found: ${key}`);
+                } else {
+                    throw error;
+                }
+            }
+        },
+
+        read(key) {
+            return fs.readFile(resolveKey(key));
+        },
+
+        publicUrl,
+
+        // "/uploads/Gallery/photo.png" -> "Gallery/photo.png"
+        keyFromUrl(fileUrl) {
+            if (!fileUrl || !fileUrl.startsWith(`${publicPath}/`)) {
+                return null;
+            }
+            return decodeURIComponent(fileUrl.slice(publicPath.length + 1));
+        }
+    };
+};
+
+module.exports = { createLocalDriver };
@@ -0,0 +1,84 @@
+// ************************************************
+// Site theme: colors, font, corner radius and hero overlay
+// ************************************************
+// The `theme` section of the portfolio holds the look picked in the admin:
+//   { primaryColor: '#4a90e2', accentColor: '#f39c12', font: 'poppins', radius: 12, heroOverlay: 0 }
+// public/css/style.css reads these through CSS custom properties whose
+// defaults match THEME_DEFAULTS; every public page overrides them with the
+// block built by themeCss() and loads the font's stylesheet. Light and dark
+// mode are the visitor's choice and live in style.css only.
+
+// Fonts offered in the admin. `stylesheet` is the Google Fonts family to load
+// (none for the system font).
+const THEME_FONTS = {
+    poppins: { label: 'Poppins', family: "'Poppins', sans-serif", stylesheet: 'Poppins:wght@300;400;500;600;700' },
+    inter: { label: 'Inter', family: "'Inter', sans-serif", stylesheet: 'Inter:wght@300;400;500;600;700' },
+    roboto: { label: 'Roboto', family: "'Roboto', sans-serif", stylesheet: 'Roboto:wght@300;400;500;700' },
+    lora: { label: 'Lora (serif)', family: "'Lora', Georgia, serif", stylesheet: 'Lora:wght@400;500;600;700' },
+    system: { label: 'System font', family: "system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif", stylesheet: null }
+};
+
+const THEME_DEFAULTS = {
+    primaryColor: '#4a90e2',
+    accentColor: '#f39c12',
+    font: 'poppins',
+    radius: 12,
+    heroOverlay: 0
+};
+
+// Corner radius of cards in pixels (buttons and fields get two thirds of it)
+// and darkness of the hero images in percent
+const THEME_LIMITS = {
+    radius: { min: 0, max: 24 },
+    heroOverlay: { min: 0, max: 80 }
+};
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const inRange = (value, { min, max }) => Number.isInteger(value) && value >= min && value <= max;
+
+// The portfolio's theme with defaults for missing or invalid values. The values
+// end up in a <style> block, so nothing unchecked goes through.
+const themeSettings = (portfolio) => {
+    const theme = { ...THEME_DEFAULTS, ...(portfolio && portfolio.theme) };
+    return {
+        primaryColor: COLOR_PATTERN.test(theme.primaryColor) ? theme.primaryColor : THEME_DEFAULTS.primaryColor,
+        accentColor: COLOR_PATTERN.test(theme.accentColor) ? theme.accentColor : THEME_DEFAULTS.accentColor,
+        font: THEME_FONTS[theme.font] ? theme.font : THEME_DEFAULTS.font,
+        radius: inRange(theme.radius, THEME_LIMITS.radius) ? theme.radius : THEME_DEFAULTS.radius,
+        heroOverlay: inRange(theme.heroOverlay, THEME_LIMITS.heroOverlay) ? theme.heroOverlay : THEME_DEFAULTS.heroOverlay
+    };
+};
+
+// The CSS custom properties set by a theme, as { name: value }
+const themeVariables = (theme) => ({
+    '--color-primary': theme.primaryColor,
+    '--color-accent': theme.accentColor,
+    '--font-family': THEME_FONTS[theme.font].family,
+    '--radius': `${theme.radius}px`,
+    '--hero-overlay': String(theme.heroOverlay / 100)
+});
+
+// The rule a page adds after style.css to apply the portfolio's theme
+const themeCss = (portfolio) => {
+    const declarations = Object.entries(themeVariables(themeSettings(portfolio)))
+        .map(([name, value]) => `${name}: ${value};`)
+        .join(' ');
+    return `:root { ${declarations} }`;
+};
+
+// Google Fonts stylesheet URL of a font, or null
+const fontStylesheetUrl = (font) => (THEME_FONTS[font] && THEME_FONTS[font].stylesheet
+    ? `https://fonts.googleapis.com/css2?family=${THEME_FONTS[font].stylesheet}&display=swap`
+    : null);
+
+module.exports = {
+    THEME_FONTS,
+    THEME_DEFAULTS,
+    THEME_LIMITS,
+    COLOR_PATTERN,
+    themeSettings,
+    themeVariables,
+    themeCss,
+    fontStylesheetUrl
+};
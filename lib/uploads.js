@@ -0,0 +1,148 @@
+// ************************************************
+// Upload checks: file type, size and pixel dimensions
+// ************************************************
+// Uploaded files are checked on their content, not only on their name: the
+// first bytes must match the extension, so a renamed file cannot pass as a PNG
+// or a PDF. Each storage folder has its own limits; images are measured from
+// their header, before anything decodes them.
+//
+// A refused file raises an UploadError, whose message is shown to the admin as
+// is; any other error during an upload (storage service down...) is not.
+// The files of an imported backup go through the same checks (lib/backup.js).
+
+const MB = 1024 * 1024;
+
+// Per storage folder: largest file, and largest image in pixels
+const UPLOAD_LIMITS = {
+    Carousel: { maxBytes: 8 * MB, maxWidth: 6000, maxHeight: 4000 },
+    Story: { maxBytes: 5 * MB, maxWidth: 4000, maxHeight: 4000 },
+    Project: { maxBytes: 5 * MB, maxWidth: 5000, maxHeight: 5000 },
+    Gallery: { maxBytes: 10 * MB, maxWidth: 8000, maxHeight: 8000 },
+    Education: { maxBytes: 2 * MB, maxWidth: 2000, maxHeight: 2000 },
+    Pdf: { maxBytes: 10 * MB },
+    // Generated by the app (certificate thumbnails, image width variants); only
+    // backup imports bring these folders' files from outside
+    Thumbnails: { maxBytes: 2 * MB, maxWidth: 2000, maxHeight: 2000 },
+    Variants: { maxBytes: 5 * MB, maxWidth: 1920, maxHeight: 8000 }
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+// 'IHDR' is always the first chunk; width and height follow its type
+const pngDimensions = (buffer) => (buffer.length >= 24 && buffer.toString('latin1', 12, 16) === 'IHDR'
+    ? { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) }
+    : null);
+
+// Walks the JPEG markers up to the start of frame (SOF0–SOF15, except DHT,
+// JPG and DAC which share the range), which holds the height then the width
+const jpegDimensions = (buffer) => {
+    let offset = 2;
+    while (offset + 9 <= buffer.length) {
+        if (buffer[offset] !== 0xFF) return null;
+        const marker = buffer[offset + 1];
+        if (marker === 0xFF) {
+            offset += 1; // fill byte
+        } else if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD9)) {
+            offset += 2; // markers without a length
+        } else if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+            return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+        } else {
+            offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+    }
+    return null;
+};
+
+// The first chunk after the RIFF header: VP8X (extended), VP8L (lossless) or
+// 'VP8 ' (lossy), each storing the size its own way
+const webpDimensions = (buffer) => {
+    const chunk = buffer.toString('latin1', 12, 16);
+    if (chunk === 'VP8X' && buffer.length >= 30) {
+        return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    if (chunk === 'VP8L' && buffer.length >= 25 && buffer[20] === 0x2F) {
+        const bits = buffer.readUInt32LE(21);
+        return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+    }
+    if (chunk === 'VP8 ' && buffer.length >= 30 && buffer.readUIntBE(23, 3) === 0x9D012A) {
+        return { width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+    }
+    return null;
+};
+
+const JPEG = {
+    label: 'JPEG image',
+    matches: buffer => buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF,
+    dimensions: jpegDimensions
+};
+
+// What each accepted extension must contain
+const FILE_TYPES = {
+    '.png': {
+        label: 'PNG image',
+        matches: buffer => buffer.subarray(0, 8).equals(PNG_SIGNATURE),
+        dimensions: pngDimensions
+    },
+    '.jpg': JPEG,
+    '.jpeg': JPEG,
+    '.webp': {
+        label: 'WebP image',
+        matches: buffer => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP',
+        dimensions: webpDimensions
+    },
+    '.pdf': {
+        label: 'PDF document',
+        matches: buffer => buffer.toString('latin1', 0, 5) === '%PDF-'
+    }
+};
+
+const uploadError = (message) => Object.assign(new Error(message), { name: 'UploadError' });
+
+const formatSize = (bytes) => `${Math.round(bytes / MB * 10) / 10} MB`;
+
+// 'JPG or PNG, at most 8 MB and 6000×4000 pixels', for the admin upload forms
+const describeUploadLimits = (limits, extensions) => {
+    const types = [...new Set(extensions.map(extension => extension.slice(1).toUpperCase().replace('JPEG', 'JPG')))];
+    const pixels = limits.maxWidth ? ` and ${limits.maxWidth}×${limits.maxHeight} pixels` : '';
+    return `${types.join(' or ')}, at most ${formatSize(limits.maxBytes)}${pixels}.`;
+};
+
+// Multer's own errors (file too large, unexpected field...) as UploadErrors
+const fromMulterError = (error, maxBytes) => {
+    if (error.name !== 'MulterError') return error;
+    return uploadError(error.code === 'LIMIT_FILE_SIZE'
+        ? `The file is larger than the ${formatSize(maxBytes)} allowed here.`
+        : `The upload was refused: ${error.message}.`);
+};
+
+// Throws an UploadError unless `file` (a multer memory file whose extension was
+// already accepted) really is what its extension says and fits `limits`
+const checkUpload = (file, limits) => {
+    const name = file.originalname;
+    const extension = (name.match(/\.[^.]*$/) || [''])[0].toLowerCase();
+    const type = FILE_TYPES[extension];
+
+    if (!type || !type.matches(file.buffer)) {
+        throw uploadError(`"${name}" is not a valid ${type ? type.label : 'file'}: its content does not match its ${extension || 'missing'} extension.`);
+    }
+    if (file.buffer.length > limits.maxBytes) {
+        throw uploadError(`"${name}" is larger than the ${formatSize(limits.maxBytes)} allowed here.`);
+    }
+    if (type.dimensions && limits.maxWidth) {
+        const size = type.dimensions(file.buffer);
+        if (!size || size.width === 0 || size.height === 0) {
+            throw uploadError(`"${name}" could not be read as an image.`);
+        }
+        if (size.width > limits.maxWidth || size.height > limits.maxHeight) {
+            throw uploadError(`"${name}" is ${size.width}×${size.height} pixels; images here can be at most ${limits.maxWidth}×${limits.maxHeight}.`);
+        }
+    }
+};
+
+module.exports = {
+    UPLOAD_LIMITS,
+    uploadError,
+    describeUploadLimits,
+    fromMulterError,
+    checkUpload
+};
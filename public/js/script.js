@@ -35,36 +35,43 @@ document.addEventListener('DOMContentLoaded', function () {
     }
 
 
-    // ================= PROJECT CARD EXPANSION LOGIC =================
-    // Select all "Read More" buttons
-    const readMoreButtons = document.querySelectorAll('.read-more-btn');
-
-    readMoreButtons.forEach(button => {
-        button.addEventListener('click', (e) => {
-            e.preventDefault(); // Prevent the default link action (e.g., page jump)
-
-            // Find the closest card container, then find the specific description paragraph inside it
-            // We search for the container first to scope the selector
-            const card = button.closest('.card');
-            const description = card ? card.querySelector('.project-description') : null;
-
-            // NOTE: The original code used .project-description-container which may not exist 
-            // if the HTML structure is just .card > .card-content > .project-description.
-            // Using `card.querySelector('.project-description')` is often more reliable
-            // if the description is a direct child of the card or its immediate content wrapper.
-
-            if (description) {
-                // Toggle the 'expanded' class on the description paragraph
-                description.classList.toggle('expanded');
-
-                // Change the button text
-                if (description.classList.contains('expanded')) {
-                    button.textContent = 'Read Less';
-                } else {
-                    button.textContent = 'Read More';
-                }
-            }
+    // ================= LIGHT / DARK MODE TOGGLE =================
+    // The <head> script picked the mode before the page was drawn; the toggle
+    // remembers the visitor's choice, otherwise the system setting is followed
+    const themeToggle = document.querySelector('[data-theme-toggle]');
+    const darkScheme = window.matchMedia('(prefers-color-scheme: dark)');
+
+    function applyTheme(mode) {
+        document.documentElement.setAttribute('data-theme', mode);
+        if (themeToggle) {
+            const label = mode === 'dark' ? themeToggle.dataset.labelLight : themeToggle.dataset.labelDark;
+            themeToggle.title = label;
+            themeToggle.setAttribute('aria-label', label);
+        }
+    }
+
+    function storedTheme() {
+        try {
+            return localStorage.getItem('theme');
+        } catch (e) {
+            return null; // Storage blocked: the choice lasts until the page changes
+        }
+    }
+
+    applyTheme(document.documentElement.getAttribute('data-theme') === 'dark' ? 'dark' : 'light');
+
+    if (themeToggle) {
+        themeToggle.addEventListener('click', () => {
+            const mode = document.documentElement.getAttribute('data-theme') === 'dark' ? 'light' : 'dark';
+            applyTheme(mode);
+            try {
+                localStorage.setItem('theme', mode);
+            } catch (e) { }
         });
+    }
+
+    darkScheme.addEventListener('change', (e) => {
+        if (!storedTheme()) applyTheme(e.matches ? 'dark' : 'light');
     });
 
 
@@ -87,6 +94,19 @@ document.addEventListener('DOMContentLoaded', function () {
     }
 
 
+    // ================= IMAGE PLACEHOLDERS =================
+    // Responsive images show a blurred preview (--placeholder) until they load;
+    // it is dropped afterwards so it never shows through transparent images
+    document.querySelectorAll('img.image-placeholder').forEach(img => {
+        const loaded = () => img.classList.add('is-loaded');
+        if (img.complete) {
+            loaded();
+        } else {
+            img.addEventListener('load', loaded, { once: true });
+        }
+    });
+
+
     // ================= MAIN HERO CAROUSEL (INDEX PAGE ONLY) =================
     const carouselContainer = document.querySelector('.carousel');
 
@@ -168,6 +188,337 @@ document.addEventListener('DOMContentLoaded', function () {
     });
 
 
+    // ================= PROJECT FILTERS, SEARCH & SORTING (PROJECT PAGE ONLY) =================
+    // The tag, search text and sort order live in the URL (?tag=java&q=spring&sort=newest)
+    // so a filtered view can be shared as a link.
+    const projectCardsContainer = document.querySelector('.project-cards');
+
+    if (projectCardsContainer) {
+        const projectCards = Array.from(projectCardsContainer.querySelectorAll('.card[data-project]'));
+        const searchInput = document.getElementById('projectSearch');
+        const sortSelect = document.getElementById('projectSort');
+        const resultsText = document.getElementById('projectResults');
+        const emptyMessage = document.getElementById('projectEmpty');
+        const sortOrders = ['featured', 'newest', 'oldest', 'title'];
+
+        const readFilterState = () => {
+            const params = new URLSearchParams(window.location.search);
+            return {
+                tag: (params.get('tag') || '').toLowerCase(),
+                q: params.get('q') || '',
+                sort: sortOrders.includes(params.get('sort')) ? params.get('sort') : 'featured'
+            };
+        };
+
+        let filterState = readFilterState();
+
+        const writeFilterState = (push) => {
+            const params = new URLSearchParams();
+            if (filterState.tag) params.set('tag', filterState.tag);
+            if (filterState.q.trim()) params.set('q', filterState.q.trim());
+            if (filterState.sort !== 'featured') params.set('sort', filterState.sort);
+
+            const query = params.toString();
+            const url = window.location.pathname + (query ? `?${query}` : '');
+            if (push) {
+                window.history.pushState(null, '', url);
+            } else {
+                window.history.replaceState(null, '', url);
+            }
+        };
+
+        // Projects without a start date go last in date orders; ties keep the saved order
+        const compareCards = {
+            featured: (a, b) => (b.dataset.featured === 'true') - (a.dataset.featured === 'true'),
+            newest: (a, b) => (b.dataset.start || '').localeCompare(a.dataset.start || ''),
+            oldest: (a, b) => (a.dataset.start || '9999').localeCompare(b.dataset.start || '9999'),
+            title: (a, b) => a.dataset.title.localeCompare(b.dataset.title)
+        };
+
+        const applyFilters = () => {
+            const words = filterState.q.toLowerCase().split(/\s+/).filter(Boolean);
+            let visibleCount = 0;
+
+            projectCards.forEach(card => {
+                const tags = card.dataset.tags.split(' ');
+                const matchesTag = !filterState.tag || tags.includes(filterState.tag);
+                const matchesSearch = words.every(word => card.dataset.search.includes(word));
+                card.hidden = !(matchesTag && matchesSearch);
+                if (!card.hidden) visibleCount++;
+            });
+
+            projectCards
+                .slice()
+                .sort((a, b) => compareCards[filterState.sort](a, b) || a.dataset.index - b.dataset.index)
+                .forEach(card => projectCardsContainer.appendChild(card));
+
+            document.querySelectorAll('.tag-chips .tag-chip').forEach(chip => {
+                chip.classList.toggle('active', chip.dataset.tag === filterState.tag);
+            });
+
+            if (searchInput && searchInput.value !== filterState.q) searchInput.value = filterState.q;
+            if (sortSelect) sortSelect.value = filterState.sort;
+            if (resultsText) {
+                const filtered = filterState.tag || words.length > 0;
+                resultsText.textContent = filtered
+                    ? resultsText.dataset.template.replace('{visible}', visibleCount).replace('{total}', projectCards.length)
+                    : '';
+            }
+            if (emptyMessage) emptyMessage.hidden = visibleCount > 0;
+        };
+
+        // Tag chips (in the filter bar and on the cards) filter in place; the active tag toggles off
+        document.querySelectorAll('.tag-chip[data-tag]').forEach(chip => {
+            chip.addEventListener('click', (e) => {
+                e.preventDefault();
+                filterState.tag = chip.dataset.tag === filterState.tag ? '' : chip.dataset.tag;
+                writeFilterState(true);
+                applyFilters();
+            });
+        });
+
+        if (searchInput) {
+            searchInput.addEventListener('input', () => {
+                filterState.q = searchInput.value;
+                writeFilterState(false);
+                applyFilters();
+            });
+        }
+
+        if (sortSelect) {
+            sortSelect.addEventListener('change', () => {
+                filterState.sort = sortSelect.value;
+                writeFilterState(true);
+                applyFilters();
+            });
+        }
+
+        window.addEventListener('popstate', () => {
+            filterState = readFilterState();
+            applyFilters();
+        });
+
+        applyFilters();
+    }
+
+
+    // ================= CERTIFICATE FILTERS & SORTING (CERTIFICATES PAGE ONLY) =================
+    // Same idea as the project filters: ?issuer=coursera&year=2024&sort=newest
+    const certificateCardsContainer = document.querySelector('.certificate-cards');
+
+    if (certificateCardsContainer) {
+        const certificateCards = Array.from(certificateCardsContainer.querySelectorAll('.card[data-certificate]'));
+        const issuerSelect = document.getElementById('certificateIssuer');
+        const yearSelect = document.getElementById('certificateYear');
+        const sortSelect = document.getElementById('certificateSort');
+        const resultsText = document.getElementById('certificateResults');
+        const emptyMessage = document.getElementById('certificateEmpty');
+        const sortOrders = ['default', 'newest', 'oldest', 'title'];
+
+        const readFilterState = () => {
+            const params = new URLSearchParams(window.location.search);
+            return {
+                issuer: (params.get('issuer') || '').toLowerCase(),
+                year: params.get('year') || '',
+                sort: sortOrders.includes(params.get('sort')) ? params.get('sort') : 'default'
+            };
+        };
+
+        let filterState = readFilterState();
+
+        const writeFilterState = () => {
+            const params = new URLSearchParams();
+            if (filterState.issuer) params.set('issuer', filterState.issuer);
+            if (filterState.year) params.set('year', filterState.year);
+            if (filterState.sort !== 'default') params.set('sort', filterState.sort);
+
+            const query = params.toString();
+            window.history.pushState(null, '', window.location.pathname + (query ? `?${query}` : ''));
+        };
+
+        // Certificates without an issue date go last in date orders; ties keep the saved order
+        const compareCards = {
+            default: () => 0,
+            newest: (a, b) => (b.dataset.issued || '').localeCompare(a.dataset.issued || ''),
+            oldest: (a, b) => (a.dataset.issued || '9999').localeCompare(b.dataset.issued || '9999'),
+            title: (a, b) => a.dataset.title.localeCompare(b.dataset.title)
+        };
+
+        const applyFilters = () => {
+            let visibleCount = 0;
+
+            certificateCards.forEach(card => {
+                const matchesIssuer = !filterState.issuer || card.dataset.issuer === filterState.issuer;
+                const matchesYear = !filterState.year || card.dataset.year === filterState.year;
+                card.hidden = !(matchesIssuer && matchesYear);
+                if (!card.hidden) visibleCount++;
+            });
+
+            certificateCards
+                .slice()
+                .sort((a, b) => compareCards[filterState.sort](a, b) || a.dataset.index - b.dataset.index)
+                .forEach(card => certificateCardsContainer.appendChild(card));
+
+            if (issuerSelect) issuerSelect.value = filterState.issuer;
+            if (yearSelect) yearSelect.value = filterState.year;
+            if (sortSelect) sortSelect.value = filterState.sort;
+            if (resultsText) {
+                const filtered = filterState.issuer || filterState.year;
+                resultsText.textContent = filtered
+                    ? resultsText.dataset.template.replace('{visible}', visibleCount).replace('{total}', certificateCards.length)
+                    : '';
+            }
+            if (emptyMessage) emptyMessage.hidden = visibleCount > 0;
+        };
+
+        [[issuerSelect, 'issuer'], [yearSelect, 'year'], [sortSelect, 'sort']].forEach(([select, key]) => {
+            if (!select) return;
+            select.addEventListener('change', () => {
+                filterState[key] = select.value;
+                writeFilterState();
+                applyFilters();
+            });
+        });
+
+        window.addEventListener('popstate', () => {
+            filterState = readFilterState();
+            applyFilters();
+        });
+
+        applyFilters();
+    }
+
+
+    // ================= CERTIFICATE PDF VIEWER (CERTIFICATES PAGE ONLY) =================
+    // On wide screens certificates open in a modal; phones keep opening the PDF
+    // in a new tab, since most mobile browsers cannot show a PDF in a frame.
+    const pdfViewer = document.getElementById('certificateViewer');
+
+    if (pdfViewer) {
+        const viewerFrame = pdfViewer.querySelector('.pdf-viewer-frame');
+        const viewerTitle = pdfViewer.querySelector('#certificateViewerTitle');
+        const viewerOpenLink = pdfViewer.querySelector('.pdf-viewer-open');
+        const wideScreen = window.matchMedia('(min-width: 768px)');
+        let lastTrigger = null;
+
+        const closeViewer = () => {
+            if (pdfViewer.hidden) return;
+            pdfViewer.hidden = true;
+            viewerFrame.removeAttribute('src');
+            document.body.classList.remove('modal-open');
+            if (lastTrigger) lastTrigger.focus();
+        };
+
+        document.querySelectorAll('[data-certificate-viewer]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                if (!wideScreen.matches) return;
+                e.preventDefault();
+                lastTrigger = link;
+                viewerTitle.textContent = link.dataset.title;
+                viewerFrame.title = link.dataset.title;
+                viewerFrame.src = link.href;
+                viewerOpenLink.href = link.href;
+                pdfViewer.hidden = false;
+                document.body.classList.add('modal-open');
+                pdfViewer.querySelector('.pdf-viewer-close').focus();
+            });
+        });
+
+        pdfViewer.querySelector('.pdf-viewer-close').addEventListener('click', closeViewer);
+        viewerOpenLink.addEventListener('click', closeViewer);
+
+        // A click on the dimmed backdrop (outside the window) closes the viewer
+        pdfViewer.addEventListener('click', (e) => {
+            if (e.target === pdfViewer) closeViewer();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') closeViewer();
+        });
+    }
+
+    // ================= PHOTO LIGHTBOX (GALLERY & HOME PAGES) =================
+    // Gallery links open the full photo with its caption; arrows, arrow keys and
+    // horizontal swipes go through the photos of the page, Esc closes it.
+    const lightbox = document.getElementById('lightbox');
+    const lightboxItems = Array.from(document.querySelectorAll('[data-lightbox-item]'));
+
+    if (lightbox && lightboxItems.length > 0) {
+        const lightboxImage = lightbox.querySelector('.lightbox-image');
+        const lightboxCaption = lightbox.querySelector('#lightboxCaption');
+        const lightboxPosition = lightbox.querySelector('.lightbox-position');
+        const SWIPE_DISTANCE = 50; // px
+        let currentIndex = 0;
+        let lastTrigger = null;
+        let touchStartX = null;
+
+        const showPhoto = (index) => {
+            currentIndex = (index + lightboxItems.length) % lightboxItems.length;
+            const item = lightboxItems[currentIndex];
+            lightboxImage.src = item.href;
+            lightboxImage.alt = item.dataset.alt;
+            lightboxCaption.textContent = item.dataset.caption;
+            lightboxPosition.textContent = lightboxPosition.dataset.template
+                .replace('{current}', currentIndex + 1).replace('{total}', lightboxItems.length);
+        };
+
+        const openLightbox = (index) => {
+            lastTrigger = lightboxItems[index];
+            showPhoto(index);
+            lightbox.hidden = false;
+            lightbox.classList.toggle('lightbox-single', lightboxItems.length === 1);
+            document.body.classList.add('modal-open');
+            lightbox.querySelector('.lightbox-close').focus();
+        };
+
+        const closeLightbox = () => {
+            if (lightbox.hidden) return;
+            lightbox.hidden = true;
+            lightboxImage.removeAttribute('src');
+            document.body.classList.remove('modal-open');
+            if (lastTrigger) lastTrigger.focus();
+        };
+
+        lightboxItems.forEach((item, index) => {
+            item.addEventListener('click', (e) => {
+                e.preventDefault();
+                openLightbox(index);
+            });
+        });
+
+        lightbox.querySelector('.lightbox-close').addEventListener('click', closeLightbox);
+        lightbox.querySelector('.lightbox-prev').addEventListener('click', () => showPhoto(currentIndex - 1));
+        lightbox.querySelector('.lightbox-next').addEventListener('click', () => showPhoto(currentIndex + 1));
+
+        // A click on the backdrop (outside the photo and the buttons) closes it
+        lightbox.addEventListener('click', (e) => {
+            if (e.target === lightbox) closeLightbox();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (lightbox.hidden) return;
+            if (e.key === 'Escape') closeLightbox();
+            if (e.key === 'ArrowLeft') showPhoto(currentIndex - 1);
+            if (e.key === 'ArrowRight') showPhoto(currentIndex + 1);
+        });
+
+        lightbox.addEventListener('touchstart', (e) => {
+            touchStartX = e.touches.length === 1 ? e.touches[0].clientX : null;
+        }, { passive: true });
+
+        lightbox.addEventListener('touchend', (e) => {
+            if (touchStartX === null) return;
+            const distance = e.changedTouches[0].clientX - touchStartX;
+            touchStartX = null;
+            if (Math.abs(distance) >= SWIPE_DISTANCE) showPhoto(currentIndex + (distance < 0 ? 1 : -1));
+        });
+    }
+
+    // ================= RÉSUMÉ PRINT BUTTON (RÉSUMÉ PAGE ONLY) =================
+    document.querySelectorAll('[data-print-resume]').forEach(button => {
+        button.addEventListener('click', () => window.print());
+    });
+
     // ================= SMOOTH SCROLLING FOR ANCHOR LINKS (REVISED) =================
     // Selects links that point to the current page's root AND have a hash, 
     // OR links that just start with a hash (e.g., /#about, #contact)
@@ -212,4 +563,25 @@ document.addEventListener('DOMContentLoaded', function () {
         });
     });
 
-});
\ No newline at end of file
+
+    // ================= PROJECT DETAIL GALLERY (PROJECT DETAIL PAGE ONLY) =================
+    // Clicking a thumbnail shows that image in the main slot
+    document.querySelectorAll('[data-project-gallery]').forEach(gallery => {
+        const main = gallery.querySelector('.project-gallery-main');
+        const thumbs = gallery.querySelectorAll('.project-gallery-thumb');
+
+        thumbs.forEach(thumb => {
+            thumb.addEventListener('click', () => {
+                // The srcset goes first, or the browser would fetch the full-size src
+                main.srcset = thumb.dataset.srcset;
+                main.src = thumb.dataset.src;
+                main.alt = thumb.dataset.alt;
+                // The first image's dimensions no longer apply
+                main.removeAttribute('width');
+                main.removeAttribute('height');
+                thumbs.forEach(other => other.classList.toggle('active', other === thumb));
+            });
+        });
+    });
+
+});
@@ -0,0 +1,17 @@
+// ************************************************
+// Generates the bcrypt hash for ADMIN_PASSWORD_HASH
+// Usage: npm run hash-password -- <password>
+// ************************************************
+const bcrypt = require('bcrypt');
+
+const password = process.argv[2];
+
+if (!password) {
+    console.error('Usage: npm run hash-password -- <password>');
+    process.exit(1);
+}
+
+bcrypt.hash(password, 12).then((hash) => {
+    console.log('Add this line to your .env file:');
+    console.log(`ADMIN_PASSWORD_HASH=${hash}`);
+});
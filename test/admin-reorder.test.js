@@ -0,0 +1,57 @@
+// ************************************************
+// Display order of the list sections
+// ************************************************
+// The admin reorders slides, education, projects, certificates and gallery
+// photos by dragging them or, from the keyboard, with each entry's up and down
+// buttons; the panel posts the item ids in their new order.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { reorderItems } = require('../lib/reorder');
+const { startApp } = require('./helpers/app');
+
+test('every entry of the reorder lists has labelled move buttons', async (t) => {
+    const app = await startApp(t);
+    const client = app.client();
+    await client.login();
+
+    const { text } = await client.request('/admin');
+    const lists = [...text.matchAll(/<ul class="sortable-list" data-target="order_(\w+)">([\s\S]*?)<\/ul>/g)];
+
+    assert.deepEqual(lists.map(([, section]) => section), ['carousel', 'education', 'projects', 'certificates', 'gallery']);
+    lists.forEach(([, section, list]) => {
+        const entries = list.split('<li class="sortable-item"').slice(1);
+        assert.ok(entries.length > 0, section);
+        entries.forEach((entry) => {
+            const label = entry.match(/<span class="sortable-label">([^<]*)<\/span>/)[1];
+            assert.ok(entry.includes(`data-move="-1" aria-label="Move ${label} up"`), `${section}: ${label}`);
+            assert.ok(entry.includes(`data-move="1" aria-label="Move ${label} down"`), `${section}: ${label}`);
+        });
+    });
+    assert.equal(text.match(/<p class="reorder-status" aria-live="polite"><\/p>/g).length, lists.length);
+});
+
+test('reorderItems follows the given order and keeps the items left out', () => {
+    const items = ['a', 'b', 'c', 'd'];
+
+    assert.deepEqual(reorderItems(items, [3, 1, 0, 2]), ['d', 'b', 'a', 'c']);
+    // Duplicate, unknown (-1 is an id that was not found) and out of range indexes are skipped
+    assert.deepEqual(reorderItems(items, [2, 2, -1, 9, 1.5, 0]), ['c', 'a', 'b', 'd']);
+    assert.deepEqual(reorderItems(items, []), items);
+    assert.deepEqual(items, ['a', 'b', 'c', 'd']);
+});
+
+test('the panel saves the posted order to the draft', async (t) => {
+    const app = await startApp(t);
+    const client = app.client();
+    await client.login();
+    const ids = async () => (await app.readData('portfolio_draft.json')).projects.map(project => project.id);
+    const [first, second, ...rest] = await ids();
+
+    const response = await client.submit('/admin/reorder/projects', { order: [second, 'stale-id', first].join(',') });
+
+    assert.equal(response.status, 302);
+    assert.equal(response.headers.get('location'), '/admin#projects');
+    assert.deepEqual(await ids(), [second, first, ...rest]);
+
+    assert.equal((await client.submit('/admin/reorder/about', { order: '' })).status, 404);
+});
@@ -0,0 +1,111 @@
+// ************************************************
+// Visit statistics
+// ************************************************
+// Page views, unique visitors, referrers and tracked link clicks are stored as
+// daily counters; nothing identifies a visitor, and bots and the admin are not
+// counted.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createAnalytics, parseRange, anonymizeIp, isBot } = require('../lib/analytics');
+const { createFileRepository } = require('../lib/repository/file');
+const { startApp } = require('./helpers/app');
+
+const BROWSER = 'Mozilla/5.0 (X11; Linux x86_64) Firefox/131.0';
+
+const createCollection = async (t) => {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'portfolio-test-'));
+    t.after(() => fs.rm(dataDir, { recursive: true, force: true }));
+    return createFileRepository({ dataDir }).collection('analytics');
+};
+
+test('IP addresses lose their host part', () => {
+    assert.equal(anonymizeIp('203.0.113.42'), '203.0.113.0');
+    assert.equal(anonymizeIp('::ffff:203.0.113.42'), '203.0.113.0');
+    assert.equal(anonymizeIp('2001:db8:85a3:8d3:1319:8a2e:370:7348'), '2001:db8:85a3::');
+    assert.equal(anonymizeIp('2001:db8::1'), '2001:db8:0::');
+    assert.equal(anonymizeIp(undefined), '');
+});
+
+test('crawlers, previews and scripts are not visitors', () => {
+    ['Googlebot/2.1', 'facebookexternalhit/1.1', 'curl/8.4.0', 'Mozilla/5.0 HeadlessChrome/120', '', undefined].forEach((userAgent) => {
+        assert.ok(isBot(userAgent), String(userAgent));
+    });
+    assert.equal(isBot(BROWSER), false);
+});
+
+test('the dashboard range defaults to 30 days and is kept within a year', () => {
+    const today = '2026-10-19';
+
+    assert.deepEqual(parseRange({}, today), { from: '2026-09-20', to: today });
+    assert.deepEqual(parseRange({ days: '7' }, today), { from: '2026-10-13', to: today });
+    assert.deepEqual(parseRange({ from: '2026-10-10', to: '2026-10-01' }, today), { from: '2026-10-01', to: '2026-10-10' });
+    assert.deepEqual(parseRange({ from: '2026-10-01', to: '2027-01-01' }, today), { from: '2026-10-01', to: today });
+    assert.deepEqual(parseRange({ from: '2020-01-01' }, today), { from: '2025-10-19', to: today });
+    assert.deepEqual(parseRange({ from: '2026-02-30', days: '1' }, today), { from: today, to: today });
+});
+
+test('page views, visitors, referrers and clicks are counted per day', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-10-18T23:00:00Z') });
+    const analytics = createAnalytics({ collection: await createCollection(t) });
+    const visit = (pathname, ip, referrer = '') => analytics.trackPageView({ path: pathname, ip, userAgent: BROWSER, referrer, host: 'portfolio.example' });
+
+    await visit('/', '203.0.113.1', 'https://www.google.com/search?q=x');
+    await visit('/projects', '203.0.113.1', 'https://portfolio.example/');
+    await visit('/', '198.51.100.7', 'not a url');
+    await analytics.trackClick('github', 'proj1');
+    // The same visitor is counted again on a new day
+    t.mock.timers.tick(2 * 60 * 60 * 1000);
+    await visit('/', '203.0.113.1');
+
+    const report = await analytics.report({ from: '2026-10-17', to: '2026-10-19' });
+
+    assert.deepEqual(report.days, [
+        { date: '2026-10-17', pageViews: 0, visitors: 0 },
+        { date: '2026-10-18', pageViews: 3, visitors: 2 },
+        { date: '2026-10-19', pageViews: 1, visitors: 1 }
+    ]);
+    assert.deepEqual(report.totals, { pageViews: 4, visitors: 3 });
+    assert.deepEqual(report.pages, [{ key: '/', count: 3 }, { key: '/projects', count: 1 }]);
+    assert.deepEqual(report.referrers, [{ key: 'google.com', count: 1 }]);
+    assert.deepEqual(report.links.github, [{ key: 'proj1', count: 1 }]);
+    await assert.rejects(analytics.trackClick('banner', 'x'), /Unknown tracked link: banner/);
+});
+
+// Counting happens once the response is sent
+const waitForCounters = async (app, count) => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+        // The file is created by the first counter
+        const counters = await app.readData('collections/analytics.json').catch(() => []);
+        if (counters.length >= count) return counters;
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    assert.fail(`expected ${count} counters`);
+};
+
+test('the site counts visitors but not bots or the admin', async (t) => {
+    const app = await startApp(t);
+    const admin = app.client();
+    await admin.login();
+    const visitor = app.client();
+    const project = (await app.readData('portfolio_data.json')).projects[0];
+
+    await app.client().request('/about', { headers: { 'user-agent': 'Googlebot/2.1' } });
+    await admin.request('/about', { headers: { 'user-agent': BROWSER } });
+    await visitor.request('/fr/about', { headers: { 'user-agent': BROWSER } });
+    const click = await visitor.request(`/go/project/${project.id}/github`, { headers: { 'user-agent': BROWSER } });
+    assert.equal(click.headers.get('location'), project.githubLink);
+    assert.equal((await visitor.request('/go/project/missing/github')).status, 404);
+
+    const counters = await waitForCounters(app, 3);
+    assert.deepEqual(
+        counters.map(({ kind, key, count }) => ({ kind, key, count })).sort((a, b) => a.kind.localeCompare(b.kind)),
+        [
+            { kind: 'github', key: project.id, count: 1 },
+            { kind: 'pageview', key: '/about', count: 1 },
+            { kind: 'visitors', key: '', count: 1 }
+        ]
+    );
+});
@@ -0,0 +1,119 @@
+// ************************************************
+// JSON API (v1)
+// ************************************************
+// Reads are public and serve the published portfolio; writes need the API
+// token (or an admin session with its CSRF token) and change the draft.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+
+const TOKEN = { authorization: 'Bearer test-api-token' };
+
+const startApi = async (t) => {
+    const app = await startApp(t);
+    const api = async (pathname, { headers = TOKEN, ...options } = {}) => {
+        const response = await app.client().request(`/api/v1${pathname}`, { ...options, headers });
+        return Object.assign(response, { payload: response.text ? JSON.parse(response.text) : null });
+    };
+    return { app, api };
+};
+
+const GALLERY_PHOTO = { url: '/uploads/Gallery/a.jpg', alt: 'A photo', caption: 'A caption' };
+
+test('the index lists every section with its fields', async (t) => {
+    const { api } = await startApi(t);
+
+    const { status, payload } = await api('/', { headers: {} });
+
+    assert.equal(status, 200);
+    assert.equal(payload.data.version, 'v1');
+    const gallery = payload.data.sections.find(section => section.name === 'gallery');
+    assert.deepEqual(gallery, { name: 'gallery', kind: 'list', fields: ['url', 'alt', 'caption', 'album'], href: '/api/v1/gallery' });
+});
+
+test('writes and draft reads need authentication', async (t) => {
+    const { api } = await startApi(t);
+
+    assert.equal((await api('/gallery', { headers: {} })).status, 200);
+    assert.equal((await api('/gallery?version=draft', { headers: {} })).status, 401);
+    assert.equal((await api('/gallery', { method: 'POST', json: GALLERY_PHOTO, headers: {} })).status, 401);
+    assert.equal((await api('/gallery', { method: 'POST', json: GALLERY_PHOTO, headers: { authorization: 'Bearer wrong' } })).status, 401);
+});
+
+test('an admin session can write with its CSRF token', async (t) => {
+    const { app } = await startApi(t);
+    const client = app.client();
+    await client.login();
+    const csrfToken = await client.csrfToken('/admin');
+
+    const withoutToken = await client.request('/api/v1/gallery', { method: 'POST', json: GALLERY_PHOTO });
+    const withToken = await client.request('/api/v1/gallery', { method: 'POST', json: GALLERY_PHOTO, headers: { 'x-csrf-token': csrfToken } });
+
+    assert.equal(withoutToken.status, 401);
+    assert.equal(withToken.status, 201);
+});
+
+test('list items are created, read, updated and deleted in the draft', async (t) => {
+    const { api } = await startApi(t);
+    const publishedCount = (await api('/gallery')).payload.data.length;
+
+    const created = await api('/gallery', { method: 'POST', json: GALLERY_PHOTO });
+    assert.equal(created.status, 201);
+    const { id } = created.payload.data;
+    assert.equal(created.headers.get('location'), `/api/v1/gallery/${id}?version=draft`);
+
+    // The live site is unchanged until the draft is published
+    assert.equal((await api('/gallery')).payload.data.length, publishedCount);
+    assert.equal((await api(`/gallery/${id}`)).status, 404);
+    assert.deepEqual((await api(`/gallery/${id}?version=draft`)).payload.data, { id, ...GALLERY_PHOTO, album: '' });
+
+    const updated = await api(`/gallery/${id}`, { method: 'PATCH', json: { caption: 'New caption' } });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.payload.data.caption, 'New caption');
+    assert.equal(updated.payload.data.alt, GALLERY_PHOTO.alt);
+
+    assert.equal((await api(`/gallery/${id}`, { method: 'DELETE' })).status, 204);
+    assert.equal((await api(`/gallery/${id}?version=draft`)).status, 404);
+});
+
+test('object sections are patched field by field', async (t) => {
+    const { api } = await startApi(t);
+    const before = (await api('/footerInfo?version=draft')).payload.data;
+
+    const { status, payload } = await api('/footerInfo', { method: 'PATCH', json: { line1: 'Based in Montréal' } });
+
+    assert.equal(status, 200);
+    assert.deepEqual(payload.data, { ...before, line1: 'Based in Montréal' });
+});
+
+test('a list section is reordered by its ids', async (t) => {
+    const { api } = await startApi(t);
+    const ids = (await api('/education?version=draft')).payload.data.map(item => item.id);
+    assert.ok(ids.length >= 2);
+
+    const reordered = await api('/education/order', { method: 'PUT', json: { ids: [ids[1], ids[0]] } });
+    assert.equal(reordered.status, 200);
+    // Ids left out keep their relative order at the end
+    assert.deepEqual(reordered.payload.data.map(item => item.id), [ids[1], ids[0], ...ids.slice(2)]);
+
+    const unknown = await api('/education/order', { method: 'PUT', json: { ids: ['nope'] } });
+    assert.equal(unknown.status, 422);
+    assert.deepEqual(unknown.payload.error.details, [{ field: 'ids', message: 'Unknown ids: nope.' }]);
+});
+
+test('unknown sections, items and methods get JSON errors', async (t) => {
+    const { api } = await startApi(t);
+
+    const unknownSection = await api('/blog');
+    assert.equal(unknownSection.status, 404);
+    assert.deepEqual(unknownSection.payload, { error: { message: 'Unknown section blog.' } });
+
+    assert.equal((await api('/gallery/missing')).status, 404);
+    assert.equal((await api('/gallery?version=latest')).status, 400);
+    assert.equal((await api('/about/1')).status, 405);
+    assert.equal((await api('/gallery', { method: 'PATCH', json: {} })).status, 405);
+
+    const malformed = await api('/gallery', { method: 'POST', body: '{', headers: { ...TOKEN, 'content-type': 'application/json' } });
+    assert.equal(malformed.status, 400);
+    assert.ok(malformed.payload.error.message);
+});
@@ -0,0 +1,74 @@
+// ************************************************
+// JSON API validation
+// ************************************************
+// The API checks the shape of a request body (known fields, JSON types); the
+// values go through the portfolio schema on save, like the admin forms.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SECTIONS, validateSectionInput } = require('../lib/api/sections');
+const { Portfolio } = require('../lib/repository/schema');
+const { startApp } = require('./helpers/app');
+
+test('every API field is a field of the portfolio schema', () => {
+    Object.entries(SECTIONS).forEach(([sectionName, section]) => {
+        Object.keys(section.fields).forEach((field) => {
+            assert.ok(Portfolio.schema.path(sectionName).schema.path(field), `${sectionName}.${field}`);
+        });
+    });
+});
+
+test('validateSectionInput rejects unknown fields and wrong types', () => {
+    const { errors } = validateSectionInput('projects', { title: 'Quiz', tags: 'java', featured: 'yes', colour: 'red' });
+
+    assert.deepEqual(errors, [
+        { field: 'colour', message: 'Unknown field colour.' },
+        { field: 'tags', message: 'tags must be an array.' },
+        { field: 'featured', message: 'featured must be true or false.' }
+    ]);
+});
+
+test('validateSectionInput fills in the defaults of missing fields', () => {
+    const { values, errors } = validateSectionInput('gallery', { url: '/uploads/Gallery/a.jpg', alt: 'A', caption: 'B' });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(values, { url: '/uploads/Gallery/a.jpg', alt: 'A', caption: 'B', album: '' });
+});
+
+test('the API applies the schema rules to the values it saves', async (t) => {
+    const app = await startApp(t);
+    const api = (pathname, options) => app.client().request(`/api/v1${pathname}`, {
+        ...options,
+        headers: { authorization: 'Bearer test-api-token' }
+    });
+    const galleryCount = async () => JSON.parse((await api('/gallery?version=draft')).text).data.length;
+    const before = await galleryCount();
+
+    const missing = await api('/gallery', { method: 'POST', json: { url: '/uploads/Gallery/a.jpg', alt: 'A photo' } });
+    assert.equal(missing.status, 422);
+    assert.deepEqual(JSON.parse(missing.text).error.details, [{ field: `gallery.${before}.caption`, message: 'Caption is required.' }]);
+
+    const tooLong = await api('/gallery', { method: 'POST', json: { url: '/uploads/Gallery/a.jpg', alt: 'x'.repeat(201), caption: 'A' } });
+    assert.equal(tooLong.status, 422);
+    assert.match(tooLong.text, /Photo alt text must be at most 200 characters\./);
+
+    const badLink = await api('/footerInfo', { method: 'PATCH', json: { githubLink: 'javascript:alert(1)' } });
+    assert.equal(badLink.status, 422);
+    assert.match(badLink.text, /GitHub link must be an http\(s\) URL, a site path, a mailto: or a tel: link\./);
+
+    const badMonth = await api('/certificates', {
+        method: 'POST',
+        json: { title: 'Java', issuer: 'Oracle', pdfUrl: '/uploads/Pdf/java.pdf', issueDate: '2026-13' }
+    });
+    assert.equal(badMonth.status, 422);
+    assert.match(badMonth.text, /Issue date must be a month in the form YYYY-MM\./);
+
+    const badColor = await api('/theme', { method: 'PATCH', json: { primaryColor: 'blue' } });
+    assert.equal(badColor.status, 422);
+    assert.match(badColor.text, /Primary color must be a hex color like #4a90e2\./);
+
+    assert.equal(await galleryCount(), before);
+
+    const created = await api('/gallery', { method: 'POST', json: { url: '/uploads/Gallery/a.jpg', alt: 'A photo', caption: 'A caption' } });
+    assert.equal(created.status, 201);
+    assert.equal(await galleryCount(), before + 1);
+});
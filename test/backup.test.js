@@ -0,0 +1,185 @@
+// ************************************************
+// Backup archives
+// ************************************************
+// Every stored file goes back to the folder it came from, including the files
+// the app generates (certificate thumbnails). Bundled files must pass the same
+// checks as uploads before anything is stored.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { createBackupArchive, readBackupArchive, restoreBackupAssets } = require('../lib/backup');
+const { migrateDocument } = require('../lib/migrations');
+const { startApp } = require('./helpers/app');
+
+const UPLOADS = path.join(__dirname, '..', 'public', 'uploads');
+const PDF = fs.readFileSync(path.join(UPLOADS, 'Pdf', '1760041587517-Python certification.pdf'));
+const JPEG = fs.readFileSync(path.join(UPLOADS, 'Project', 'java gui.jpg'));
+
+// In-memory stand-in for lib/storage, serving /uploads/<folder>/<name> URLs
+const createMemoryStorage = (files = {}) => ({
+    name: 'memory',
+    stored: [],
+    isStoredUrl: url => url.startsWith('/uploads/'),
+    async read(url) {
+        if (!files[url]) throw new Error('not found');
+        return files[url];
+    },
+    async put(folder, file) {
+        const url = `/uploads/${folder}/restored-${file.originalname}`;
+        this.stored.push({ folder, url });
+        return { key: url, url };
+    },
+    async delete() { }
+});
+
+test('certificate thumbnails are restored to the Thumbnails folder', async (t) => {
+    t.mock.method(console, 'warn', () => { });
+    const thumbnailUrl = '/uploads/Thumbnails/1760041587517-Python certification.jpg';
+    const portfolio = {
+        certificates: [{ id: 'c1', pdfUrl: '/uploads/Pdf/python.pdf', thumbnailUrl }]
+    };
+    const source = createMemoryStorage({
+        '/uploads/Pdf/python.pdf': PDF,
+        [thumbnailUrl]: JPEG
+    });
+
+    const { buffer, manifest } = await createBackupArchive({ portfolio, draft: portfolio, storage: source });
+    assert.deepEqual(manifest.assets.map(asset => asset.folder).sort(), ['Pdf', 'Thumbnails']);
+
+    const target = createMemoryStorage();
+    const restored = await restoreBackupAssets({ ...readBackupArchive(buffer), storage: target });
+
+    assert.deepEqual(target.stored.map(file => file.folder).sort(), ['Pdf', 'Thumbnails']);
+    assert.equal(restored.portfolio.certificates[0].thumbnailUrl, '/uploads/Thumbnails/restored-1760041587517-Python-certification.jpg');
+});
+
+test('an archive bundling a file that fails the upload checks is refused', async (t) => {
+    t.mock.method(console, 'warn', () => { });
+    const portfolio = {
+        gallery: [{ id: 'g1', url: '/uploads/Gallery/photo.png', alt: 'Photo', caption: 'Photo' }],
+        certificates: [{ id: 'c1', pdfUrl: '/uploads/Pdf/python.pdf' }]
+    };
+    const forged = createMemoryStorage({
+        '/uploads/Gallery/photo.png': Buffer.from('<svg onload="alert(1)"></svg>'),
+        '/uploads/Pdf/python.pdf': PDF
+    });
+
+    const { buffer } = await createBackupArchive({ portfolio, draft: portfolio, storage: forged });
+
+    assert.throws(() => readBackupArchive(buffer), {
+        name: 'UploadError',
+        message: /"media\/Gallery\/\d+-photo\.png" is not a valid PNG image/
+    });
+});
+
+test('files that cannot be read are listed as missing and keep their URL', async (t) => {
+    t.mock.method(console, 'warn', () => { });
+    const portfolio = { certificates: [{ id: 'c1', pdfUrl: '/uploads/Pdf/python.pdf' }, { id: 'c2', pdfUrl: '/uploads/Pdf/gone.pdf' }] };
+    const source = createMemoryStorage({ '/uploads/Pdf/python.pdf': PDF });
+
+    const { buffer, manifest } = await createBackupArchive({ portfolio, draft: null, storage: source });
+
+    assert.deepEqual(manifest.missing, ['/uploads/Pdf/gone.pdf']);
+    const backup = readBackupArchive(buffer);
+    // Without a draft in the archive, the published document is restored as the draft
+    assert.deepEqual(backup.draft, portfolio);
+    const restored = await restoreBackupAssets({ ...backup, storage: createMemoryStorage() });
+    assert.deepEqual(restored.portfolio.certificates.map(certificate => certificate.pdfUrl), ['/uploads/Pdf/restored-python.pdf', '/uploads/Pdf/gone.pdf']);
+});
+
+test('archives that are not usable backups are refused with a reason', () => {
+    const archive = (entries) => {
+        const zip = new AdmZip();
+        Object.entries(entries).forEach(([name, content]) => zip.addFile(name, Buffer.from(typeof content === 'string' ? content : JSON.stringify(content))));
+        return zip.toBuffer();
+    };
+    const manifest = { format: 'portfolio-backup', version: 1, assets: [] };
+
+    const refused = [
+        [Buffer.from('not a zip'), 'The file is not a valid zip archive.'],
+        [archive({ 'portfolio.json': {} }), 'The archive has no manifest.json.'],
+        [archive({ 'manifest.json': '{', 'portfolio.json': {} }), 'manifest.json in the archive is not valid JSON.'],
+        [archive({ 'manifest.json': { ...manifest, format: 'other' }, 'portfolio.json': {} }), 'The archive is not a portfolio backup.'],
+        [archive({ 'manifest.json': { ...manifest, version: 2 }, 'portfolio.json': {} }), 'The archive uses backup version 2; this site reads up to version 1.'],
+        [archive({ 'manifest.json': manifest, 'portfolio.json': [] }), 'portfolio.json in the archive is not a portfolio document.'],
+        [archive({ 'manifest.json': { ...manifest, assets: [{ folder: 'Pdf', file: 'media/Pdf/1-run.sh' }] }, 'portfolio.json': {} }), 'The archive lists an unsupported file: media/Pdf/1-run.sh'],
+        [archive({ 'manifest.json': { ...manifest, assets: [{ folder: 'Pdf', file: 'media/Pdf/1-a.pdf' }] }, 'portfolio.json': {} }), 'The archive is missing media/Pdf/1-a.pdf.']
+    ];
+    refused.forEach(([buffer, message]) => assert.throws(() => readBackupArchive(buffer), { message }));
+});
+
+test('a failed restore deletes the files it already uploaded', async () => {
+    const storage = createMemoryStorage();
+    storage.deleted = [];
+    storage.delete = async (url) => { storage.deleted.push(url); };
+    const put = storage.put;
+    storage.put = async function (folder, file) {
+        if (folder === 'Gallery') throw new Error('quota exceeded');
+        return put.call(this, folder, file);
+    };
+    const assets = [
+        { url: '/uploads/Pdf/a.pdf', folder: 'Pdf', name: '1-a.pdf', data: PDF },
+        { url: '/uploads/Gallery/b.jpg', folder: 'Gallery', name: '2-b.jpg', data: JPEG }
+    ];
+
+    await assert.rejects(restoreBackupAssets({ portfolio: {}, draft: {}, assets, storage }), /quota exceeded/);
+    assert.deepEqual(storage.deleted, ['/uploads/Pdf/restored-a.pdf']);
+});
+
+test('a backup is imported into the site from the dashboard', async (t) => {
+    const pdfFolder = path.join(UPLOADS, 'Pdf');
+    const before = new Set(fs.readdirSync(pdfFolder));
+    t.after(() => fs.readdirSync(pdfFolder).filter(file => !before.has(file)).forEach(file => fs.rmSync(path.join(pdfFolder, file))));
+
+    const app = await startApp(t);
+    const client = app.client();
+    await client.login();
+
+    // A backup of the seed content whose first certificate comes from another site
+    const portfolio = migrateDocument(structuredClone(require('../data/initialPortfolioData.json')));
+    portfolio.footerInfo.line1 = 'Imported from a backup';
+    portfolio.certificates[0].pdfUrl = 'https://old-site.example/uploads/Pdf/python.pdf';
+    const source = { ...createMemoryStorage({ [portfolio.certificates[0].pdfUrl]: PDF }), isStoredUrl: url => url.startsWith('https://old-site.example/') };
+    const { buffer } = await createBackupArchive({ portfolio, draft: portfolio, storage: source });
+
+    const upload = async (file, name) => {
+        const form = new FormData();
+        form.append('backupFile', new Blob([file]), name);
+        return client.request(`/admin/backup/import?_csrf=${await client.csrfToken('/admin')}`, { method: 'POST', body: form });
+    };
+
+    const notZip = await upload(Buffer.from('not a zip'), 'backup.zip');
+    assert.equal(notZip.headers.get('location'), '/admin#backup');
+    assert.deepEqual(await client.flashErrors(), ['The file is not a valid zip archive.']);
+
+    const imported = await upload(buffer, 'backup.zip');
+    assert.equal(imported.headers.get('location'), '/admin#backup');
+    for (const name of ['portfolio_data.json', 'portfolio_draft.json']) {
+        const document = await app.readData(name);
+        assert.equal(document.footerInfo.line1, 'Imported from a backup', name);
+        assert.match(document.certificates[0].pdfUrl, /^\/uploads\/Pdf\/\d+-python\.pdf$/, name);
+    }
+    const { certificates: [{ pdfUrl }] } = await app.readData('portfolio_data.json');
+    assert.deepEqual(fs.readFileSync(path.join(UPLOADS, pdfUrl.slice('/uploads/'.length))), PDF);
+});
+
+test('the dashboard exports both documents and their files', async (t) => {
+    const app = await startApp(t);
+    const client = app.client();
+    await client.login();
+
+    // Read as bytes: the test client decodes bodies as text
+    const cookie = [...client.cookies].map(pair => pair.join('=')).join('; ');
+    const response = await fetch(`${app.baseUrl}/admin/backup/export`, { headers: { cookie } });
+    const buffer = Buffer.from(await response.arrayBuffer());
+
+    assert.equal(response.headers.get('content-type'), 'application/zip');
+    assert.match(response.headers.get('content-disposition'), /attachment; filename="portfolio-backup-\d{4}-\d{2}-\d{2}\.zip"/);
+    const { manifest, portfolio, draft, assets } = readBackupArchive(buffer);
+    assert.deepEqual(manifest.missing, []);
+    assert.deepEqual(portfolio, await app.readData('portfolio_data.json'));
+    assert.deepEqual(draft, await app.readData('portfolio_draft.json'));
+    assert.ok(assets.some(asset => asset.url === draft.certificates[0].pdfUrl));
+});
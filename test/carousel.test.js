@@ -0,0 +1,119 @@
+// ************************************************
+// Carousel management
+// ************************************************
+// Hero slides are added, edited, moved and deleted by their id from the
+// carousel tab of the dashboard.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const { startApp } = require('./helpers/app');
+
+const UPLOADS = path.join(__dirname, '..', 'public', 'uploads');
+const PNG = path.join(UPLOADS, 'Education', 'education-2.png');
+
+// Removes the files a test uploaded (and the variants generated from them)
+const cleanUploads = async (t) => {
+    const folders = ['Carousel', 'Variants'];
+    const listing = (folder) => fs.readdir(path.join(UPLOADS, folder)).catch(() => []);
+    const before = new Map(await Promise.all(folders.map(async folder => [folder, new Set(await listing(folder))])));
+    t.after(async () => {
+        for (const folder of folders) {
+            const added = (await listing(folder)).filter(file => !before.get(folder).has(file));
+            await Promise.all(added.map(file => fs.rm(path.join(UPLOADS, folder, file))));
+        }
+    });
+};
+
+const slideForm = async (fields, image) => {
+    const form = new FormData();
+    Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+    if (image) form.append('carouselImage', new Blob([await fs.readFile(image)], { type: 'image/png' }), path.basename(image));
+    return form;
+};
+
+const SLIDE = { title: 'New slide', description: 'Slide text', link: '/projects', buttonText: 'See projects', alt: 'A laptop on a desk' };
+
+const startAdmin = async (t) => {
+    const app = await startApp(t);
+    const client = app.client();
+    await client.login();
+    const slides = async () => (await app.readData('portfolio_draft.json')).carousel;
+    return { app, client, slides };
+};
+
+test('a slide is added with its uploaded image', async (t) => {
+    await cleanUploads(t);
+    const { client, slides } = await startAdmin(t);
+    const before = await slides();
+
+    const response = await client.request(`/admin/add-carousel?_csrf=${await client.csrfToken('/admin')}`, {
+        method: 'POST',
+        body: await slideForm(SLIDE, PNG)
+    });
+
+    assert.equal(response.status, 302);
+    assert.equal(response.headers.get('location'), '/admin#carousel');
+    const after = await slides();
+    assert.equal(after.length, before.length + 1);
+    const { id, url, ...added } = after.at(-1);
+    assert.ok(id && !before.some(slide => slide.id === id));
+    assert.match(url, /^\/uploads\/Carousel\/\d+-education-2\.png$/);
+    assert.deepEqual(added, SLIDE);
+    await fs.access(path.join(UPLOADS, url.slice('/uploads/'.length)));
+});
+
+test('a slide without an image is not added', async (t) => {
+    const { client, slides } = await startAdmin(t);
+    const before = await slides();
+
+    await client.request(`/admin/add-carousel?_csrf=${await client.csrfToken('/admin')}`, {
+        method: 'POST',
+        body: await slideForm(SLIDE)
+    });
+
+    assert.deepEqual(await slides(), before);
+});
+
+test('a slide is edited by its id', async (t) => {
+    const { client, slides } = await startAdmin(t);
+    const [first, second] = await slides();
+
+    await client.request(`/admin/update-carousel/${second.id}?_csrf=${await client.csrfToken('/admin')}`, {
+        method: 'POST',
+        body: await slideForm(SLIDE)
+    });
+
+    const [firstAfter, secondAfter] = await slides();
+    assert.deepEqual(firstAfter, first);
+    assert.deepEqual(secondAfter, { ...second, ...SLIDE });
+});
+
+test('slides are moved up and down, but not past the ends', async (t) => {
+    const { client, slides } = await startAdmin(t);
+    const ids = async () => (await slides()).map(slide => slide.id);
+    const [a, b, c] = await ids();
+
+    await client.submit(`/admin/move-carousel/${c}`, { direction: 'up' });
+    assert.deepEqual(await ids(), [a, c, b]);
+
+    await client.submit(`/admin/move-carousel/${a}`, { direction: 'down' });
+    assert.deepEqual(await ids(), [c, a, b]);
+
+    await client.submit(`/admin/move-carousel/${c}`, { direction: 'up' });
+    await client.submit(`/admin/move-carousel/${b}`, { direction: 'down' });
+    assert.deepEqual(await ids(), [c, a, b]);
+});
+
+test('a slide is deleted by its id', async (t) => {
+    const { client, slides } = await startAdmin(t);
+    const [first, second, ...rest] = await slides();
+
+    const response = await client.submit(`/admin/delete-carousel/${first.id}`);
+    await client.submit('/admin/delete-carousel/missing');
+
+    assert.equal(response.headers.get('location'), '/admin#carousel');
+    assert.deepEqual(await slides(), [second, ...rest]);
+    // Kept on disk: the initial revision can still restore the slide
+    await fs.access(path.join(UPLOADS, first.url.slice('/uploads/'.length)));
+});
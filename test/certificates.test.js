@@ -0,0 +1,118 @@
+// ************************************************
+// Certificate details
+// ************************************************
+// Certificates carry issue and expiry months, a credential ID, a verification
+// link and skills; uploading a PDF creates a thumbnail of its first page, and
+// the public page badges expired certificates.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const { loadImage } = require('@napi-rs/canvas');
+const certificateDetails = require('../lib/migrations/005-certificate-details');
+const { renderPdfThumbnail } = require('../lib/pdfThumbnail');
+const { startApp } = require('./helpers/app');
+
+const UPLOADS = path.join(__dirname, '..', 'public', 'uploads');
+const PDF = path.join(UPLOADS, 'Pdf', '1760041587517-Python certification.pdf');
+
+const DETAILS = {
+    title: 'Java SE 17 Developer',
+    issuer: ' Oracle ',
+    issueDate: '2024-03',
+    expiryDate: '2025-03',
+    credentialId: ' OCP-1234 ',
+    verificationUrl: 'https://education.oracle.com/verify/OCP-1234',
+    thumbnailAlt: 'Certificate of Java SE 17 Developer',
+    skills: 'Java, Streams, java, '
+};
+
+// Removes the files a test uploaded (and the thumbnails and variants made from them)
+const cleanUploads = async (t) => {
+    const folders = ['Pdf', 'Thumbnails', 'Variants'];
+    const listing = (folder) => fs.readdir(path.join(UPLOADS, folder)).catch(() => []);
+    const before = new Map(await Promise.all(folders.map(async folder => [folder, new Set(await listing(folder))])));
+    t.after(async () => {
+        for (const folder of folders) {
+            const added = (await listing(folder)).filter(file => !before.get(folder).has(file));
+            await Promise.all(added.map(file => fs.rm(path.join(UPLOADS, folder, file), { recursive: true })));
+        }
+    });
+};
+
+test('migration 005 adds the new fields and cleans up the issuer names', () => {
+    const migrated = certificateDetails.up({
+        certificates: [
+            { id: '5', title: 'Python', issuer: 'Dynamic Networking🐍.', pdfUrl: '/uploads/Pdf/python.pdf' },
+            { id: '7', title: 'Web', issuer: ' FreeCodeCamp 🔥.', pdfUrl: '/uploads/Pdf/web.pdf', skills: ['HTML'] }
+        ]
+    });
+
+    assert.deepEqual(migrated.certificates[0], {
+        issueDate: '', expiryDate: '', credentialId: '', verificationUrl: '', skills: [], thumbnailUrl: '',
+        id: '5', title: 'Python', issuer: 'Dynamic Networking', pdfUrl: '/uploads/Pdf/python.pdf'
+    });
+    assert.equal(migrated.certificates[1].issuer, 'FreeCodeCamp');
+    assert.deepEqual(migrated.certificates[1].skills, ['HTML']);
+});
+
+test('the first page of a PDF becomes a JPEG thumbnail', async () => {
+    const thumbnail = await renderPdfThumbnail(await fs.readFile(PDF), { width: 200 });
+
+    assert.deepEqual([...thumbnail.subarray(0, 3)], [0xFF, 0xD8, 0xFF]);
+    assert.equal((await loadImage(thumbnail)).width, 200);
+    await assert.rejects(renderPdfThumbnail(Buffer.from('not a pdf')));
+});
+
+test('an uploaded certificate gets its details and a thumbnail', async (t) => {
+    await cleanUploads(t);
+    const app = await startApp(t);
+    const client = app.client();
+    await client.login();
+
+    const form = new FormData();
+    Object.entries(DETAILS).forEach(([name, value]) => form.append(name, value));
+    form.append('certificateFile', new Blob([await fs.readFile(PDF)], { type: 'application/pdf' }), 'java.pdf');
+    await client.request(`/admin/upload-certificate?_csrf=${await client.csrfToken('/admin')}`, { method: 'POST', body: form });
+
+    const { id, pdfUrl, thumbnailUrl, ...details } = (await app.readData('portfolio_draft.json')).certificates.at(-1);
+    assert.ok(id);
+    assert.match(pdfUrl, /^\/uploads\/Pdf\/\d+-java\.pdf$/);
+    assert.match(thumbnailUrl, /^\/uploads\/Thumbnails\/\d+-java\.jpg$/);
+    await fs.access(path.join(UPLOADS, thumbnailUrl.slice('/uploads/'.length)));
+    assert.deepEqual(details, {
+        ...DETAILS,
+        issuer: 'Oracle',
+        credentialId: 'OCP-1234',
+        skills: ['Java', 'Streams']
+    });
+});
+
+test('a certificate expiring before it was issued is refused', async (t) => {
+    const app = await startApp(t);
+    const client = app.client();
+    await client.login();
+    const [certificate] = (await app.readData('portfolio_draft.json')).certificates;
+
+    await client.submit(`/admin/update-certificate/${certificate.id}`, { ...DETAILS, issueDate: '2025-03', expiryDate: '2024-03' });
+
+    assert.deepEqual(await client.flashErrors(), ['certificates item 1: Expiry date cannot be before the issue date.']);
+    assert.deepEqual((await app.readData('portfolio_draft.json')).certificates[0], certificate);
+});
+
+test('the certificates page badges expired certificates and tags the cards for the filters', async (t) => {
+    const app = await startApp(t);
+    const client = app.client();
+    await client.login();
+    const [expired, current] = (await app.readData('portfolio_draft.json')).certificates;
+
+    await client.submit(`/admin/update-certificate/${expired.id}`, DETAILS);
+    await client.submit(`/admin/update-certificate/${current.id}`, { ...DETAILS, title: current.title, expiryDate: '' });
+    await client.submit('/admin/publish');
+
+    const { text } = await app.client().request('/certificates');
+    assert.equal(text.match(/<span class="expired-badge">/g).length, 1);
+    assert.equal(text.match(/data-issuer="oracle"/g).length, 2);
+    assert.equal(text.match(/data-year="2024"/g).length, 2);
+    assert.ok(text.includes('href="https://education.oracle.com/verify/OCP-1234"'));
+});
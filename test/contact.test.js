@@ -0,0 +1,84 @@
+// ************************************************
+// Public contact form
+// ************************************************
+// Messages go to the admin inbox; the spam defenses (honeypot field, per-IP
+// limit) log what they reject without the visitor's address. The form carries a
+// signed token instead of the session one, so visitors get no session cookie.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+
+const MESSAGE = { name: 'Ada', email: 'ada@example.com', subject: 'Hello', message: 'I would like to talk about a project.' };
+
+const sendMessage = async (client, form) => {
+    const token = await client.csrfToken('/contact');
+    return client.request('/contact', { method: 'POST', form: { ...form, _csrf: token } });
+};
+
+test('rejected submissions are logged without the visitor address', async (t) => {
+    const app = await startApp(t);
+    const client = app.client();
+
+    const dropped = await sendMessage(client, { ...MESSAGE, website: 'https://spam.example' });
+    assert.equal(dropped.status, 302);
+    assert.equal(dropped.headers.get('location'), '/contact?sent=1');
+
+    for (let sent = 1; sent <= 5; sent++) {
+        assert.equal((await sendMessage(client, MESSAGE)).status, 302, `message ${sent}`);
+    }
+    assert.equal((await sendMessage(client, MESSAGE)).status, 429);
+    assert.equal((await client.request('/login', { method: 'POST', form: { username: 'admin' } })).status, 403);
+
+    assert.match(app.output(), /Dropped a contact message: honeypot field filled in/);
+    assert.match(app.output(), /Rejected a contact message: too many messages/);
+    assert.match(app.output(), /Rejected POST \/login: invalid CSRF token/);
+    assert.doesNotMatch(app.output(), /127\.0\.0\.1/);
+});
+
+test('the contact form works without a session', async (t) => {
+    const app = await startApp(t);
+
+    await t.test('the contact page sets no cookie', async () => {
+        const client = app.client();
+        const page = await client.request('/contact');
+        assert.equal(page.status, 200);
+        assert.deepEqual(page.headers.getSetCookie(), []);
+
+        const sent = await sendMessage(client, MESSAGE);
+        assert.equal(sent.status, 302);
+        assert.equal(client.cookies.size, 0);
+    });
+
+    await t.test('a missing or forged token shows the form again with the message', async () => {
+        const client = app.client();
+        for (const _csrf of [undefined, `${Date.now()}.${'0'.repeat(64)}`]) {
+            const response = await client.request('/contact', { method: 'POST', form: { ...MESSAGE, ...(_csrf ? { _csrf } : {}) } });
+            assert.equal(response.status, 403);
+            assert.match(response.text, /This form has expired/);
+            assert.match(response.text, /I would like to talk about a project\./);
+        }
+    });
+
+    await t.test('a post from another site is rejected', async () => {
+        const client = app.client();
+        const token = await client.csrfToken('/contact');
+        const response = await client.request('/contact', {
+            method: 'POST',
+            form: { ...MESSAGE, _csrf: token },
+            headers: { origin: 'https://attacker.example' }
+        });
+        assert.equal(response.status, 403);
+    });
+
+    await t.test('a post from the site itself is accepted', async () => {
+        const client = app.client();
+        const token = await client.csrfToken('/fr/contact');
+        const response = await client.request('/fr/contact', {
+            method: 'POST',
+            form: { ...MESSAGE, _csrf: token },
+            headers: { origin: app.baseUrl }
+        });
+        assert.equal(response.status, 302);
+        assert.equal(response.headers.get('location'), '/fr/contact?sent=1');
+    });
+});
@@ -0,0 +1,55 @@
+// ************************************************
+// CSRF protection of the login and admin forms
+// ************************************************
+// Forms send the session's token as `_csrf` (body or query string); browser
+// code sends it as the X-CSRF-Token header.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+
+test('admin forms need the session CSRF token', async (t) => {
+    const app = await startApp(t);
+    const client = app.client();
+    await client.login();
+    const token = await client.csrfToken('/admin');
+    const publish = options => client.request('/admin/publish', { method: 'POST', ...options });
+
+    await t.test('a missing token is rejected', async () => {
+        const response = await publish({ form: {} });
+        assert.equal(response.status, 403);
+    });
+
+    await t.test('a wrong token is rejected', async () => {
+        const wrong = token.replace(/^./, token[0] === 'a' ? 'b' : 'a');
+        assert.equal((await publish({ form: { _csrf: wrong } })).status, 403);
+        assert.equal((await publish({ form: {}, headers: { 'x-csrf-token': wrong } })).status, 403);
+    });
+
+    await t.test('a valid token in the form body is accepted', async () => {
+        const response = await publish({ form: { _csrf: token } });
+        assert.equal(response.status, 302);
+        assert.equal(response.headers.get('location'), '/admin');
+    });
+
+    await t.test('a valid token in the X-CSRF-Token header is accepted', async () => {
+        const response = await publish({ form: {}, headers: { 'x-csrf-token': token } });
+        assert.equal(response.status, 302);
+    });
+
+    await t.test("another session's token is rejected", async () => {
+        const other = app.client();
+        await other.login();
+        const response = await other.request('/admin/publish', { method: 'POST', form: { _csrf: token } });
+        assert.equal(response.status, 403);
+    });
+});
+
+test('the login form needs the CSRF token too', async (t) => {
+    const app = await startApp(t);
+    const client = app.client();
+    await client.csrfToken('/login');
+
+    const response = await client.request('/login', { method: 'POST', form: { username: 'admin', password: 'test-password' } });
+
+    assert.equal(response.status, 403);
+});
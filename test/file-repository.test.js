@@ -0,0 +1,109 @@
+// ************************************************
+// JSON-file persistence driver
+// ************************************************
+// The legacy data/portfolioData.json is read as the published document but
+// never written: saves go to data/<id>.json.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createRepository } = require('../lib/repository');
+const { createFileRepository } = require('../lib/repository/file');
+const { migrateDocument } = require('../lib/migrations');
+
+const LEGACY_DOCUMENT = path.join(__dirname, '..', 'data', 'portfolioData.json');
+
+const createDataDir = async (t) => {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'portfolio-test-'));
+    t.after(() => fs.rm(dataDir, { recursive: true, force: true }));
+    await fs.copyFile(LEGACY_DOCUMENT, path.join(dataDir, 'portfolioData.json'));
+    return dataDir;
+};
+
+test.beforeEach(t => t.mock.method(console, 'log', () => { }));
+
+test('the published document is read from the legacy file until it is saved', async (t) => {
+    const dataDir = await createDataDir(t);
+    const repository = createFileRepository({ dataDir });
+    await repository.connect();
+    const legacy = await fs.readFile(path.join(dataDir, 'portfolioData.json'), 'utf8');
+
+    assert.deepEqual(await repository.loadPortfolio(), JSON.parse(legacy));
+    assert.equal(await repository.loadPortfolio('portfolio_draft'), null);
+
+    const published = { ...migrateDocument(JSON.parse(legacy)), _id: 'portfolio_data' };
+    await repository.savePortfolio(published);
+
+    assert.deepEqual(await repository.loadPortfolio(), published);
+    assert.equal(await fs.readFile(path.join(dataDir, 'portfolioData.json'), 'utf8'), legacy);
+    assert.deepEqual(JSON.parse(await fs.readFile(path.join(dataDir, 'portfolio_data.json'), 'utf8')), published);
+});
+
+test('a document the schema rejects is not saved', async (t) => {
+    const dataDir = await createDataDir(t);
+    const repository = createFileRepository({ dataDir });
+    const document = migrateDocument(JSON.parse(await fs.readFile(LEGACY_DOCUMENT, 'utf8')));
+    document.gallery[0].caption = '';
+
+    await assert.rejects(repository.savePortfolio(document, ['gallery'], 'portfolio_draft'), {
+        name: 'PortfolioValidationError',
+        status: 422
+    });
+    assert.equal(await repository.loadPortfolio('portfolio_draft'), null);
+});
+
+test('collections support the queries and updates the routes use', async (t) => {
+    const repository = createFileRepository({ dataDir: await createDataDir(t) });
+    const messages = repository.collection('messages');
+    const day = (date) => new Date(`2026-03-${date}T10:00:00.000Z`);
+
+    const first = await messages.insert({ name: 'Ada', read: false, createdAt: day(10) });
+    await messages.insert({ name: 'Grace', read: true, createdAt: day(12) });
+    await messages.insert({ name: 'Linus', read: false, createdAt: day(11) });
+
+    assert.equal(typeof first._id, 'string');
+    assert.equal(await messages.count({ read: false }), 2);
+    assert.deepEqual((await messages.find({}, { sort: { createdAt: -1 }, skip: 1, limit: 1 })).map(m => m.name), ['Linus']);
+    assert.deepEqual((await messages.find({ createdAt: { $gte: day(11) } })).map(m => m.name), ['Grace', 'Linus']);
+    assert.deepEqual((await messages.find({ name: { $in: ['Ada', 'Linus'] } })).map(m => m.name), ['Ada', 'Linus']);
+    assert.ok((await messages.findOne({ name: 'Ada' })).createdAt instanceof Date);
+
+    assert.deepEqual(await messages.updateOne({ _id: first._id }, { $set: { read: true } }), { matchedCount: 1 });
+    assert.deepEqual(await messages.updateOne({ _id: 'missing' }, { $set: { read: true } }), { matchedCount: 0 });
+    assert.deepEqual(await messages.deleteOne({ name: 'Grace' }), { deletedCount: 1 });
+    assert.deepEqual(await messages.deleteMany({ read: true }), { deletedCount: 1 });
+    assert.deepEqual((await messages.find()).map(m => m.name), ['Linus']);
+
+    await assert.rejects(messages.find({ name: { $regex: 'A' } }), /Unsupported query operator: \$regex/);
+});
+
+test('an upsert creates the document from the filter, $setOnInsert and $inc', async (t) => {
+    const repository = createFileRepository({ dataDir: await createDataDir(t) });
+    const visits = repository.collection('visits');
+    const update = { $inc: { views: 1 }, $setOnInsert: { firstSeen: 'today' } };
+
+    await visits.updateOne({ day: '2026-03-10', path: '/' }, update, { upsert: true });
+    await visits.updateOne({ day: '2026-03-10', path: '/' }, update, { upsert: true });
+
+    const [{ _id, ...visit }] = await visits.find();
+    assert.equal(typeof _id, 'string');
+    assert.deepEqual(visit, { day: '2026-03-10', path: '/', views: 2, firstSeen: 'today' });
+});
+
+test('collections are written to disk and read back by a new repository', async (t) => {
+    const dataDir = await createDataDir(t);
+    const writer = createFileRepository({ dataDir }).collection('revisions');
+
+    // Concurrent writes are queued, so none of them is lost
+    await Promise.all(['a', 'b', 'c'].map(label => writer.insert({ label })));
+
+    const reader = createFileRepository({ dataDir }).collection('revisions');
+    assert.deepEqual((await reader.find()).map(r => r.label).sort(), ['a', 'b', 'c']);
+    const files = await fs.readdir(path.join(dataDir, 'collections'));
+    assert.deepEqual(files, ['revisions.json']);
+});
+
+test('an unknown persistence driver is refused', () => {
+    assert.throws(() => createRepository({ driver: 'sqlite' }), /Unknown persistence driver "sqlite"/);
+});
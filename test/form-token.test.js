@@ -0,0 +1,45 @@
+// ************************************************
+// Stateless form tokens
+// ************************************************
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFormTokens } = require('../lib/formToken');
+
+const MAX_AGE_MS = 60 * 60 * 1000;
+
+test('form tokens', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1760000000000 });
+    const tokens = createFormTokens({ secret: 'test-secret', maxAgeMs: MAX_AGE_MS });
+
+    await t.test('a fresh token is valid', () => {
+        assert.equal(tokens.verify(tokens.issue()), true);
+    });
+
+    await t.test('a token expires after maxAgeMs', () => {
+        const token = tokens.issue();
+        t.mock.timers.tick(MAX_AGE_MS);
+        assert.equal(tokens.verify(token), true);
+        t.mock.timers.tick(1);
+        assert.equal(tokens.verify(token), false);
+    });
+
+    await t.test('a token signed with another secret is rejected', () => {
+        const other = createFormTokens({ secret: 'other-secret', maxAgeMs: MAX_AGE_MS });
+        assert.equal(tokens.verify(other.issue()), false);
+    });
+
+    await t.test('a token with a changed timestamp is rejected', () => {
+        const [, signature] = tokens.issue().split('.');
+        assert.equal(tokens.verify(`${Date.now() + 1000}.${signature}`), false);
+    });
+
+    await t.test('malformed tokens are rejected', () => {
+        [undefined, '', 'abc', '123.', '.abc', '123.xyz', `-5.${'0'.repeat(64)}`].forEach((token) => {
+            assert.equal(tokens.verify(token), false, String(token));
+        });
+    });
+});
+
+test('form tokens need a secret', () => {
+    assert.throws(() => createFormTokens({ secret: '', maxAgeMs: MAX_AGE_MS }), /need a secret/);
+});
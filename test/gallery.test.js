@@ -0,0 +1,105 @@
+// ************************************************
+// Gallery albums and pages
+// ************************************************
+// Photos are filed in albums by name in the admin; /gallery lists the albums
+// as filters (?album=<slug>) and shows the photos a page at a time.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GALLERY_PAGE_SIZE, galleryAlbums, galleryPage } = require('../lib/gallery');
+const albumsMigration = require('../lib/migrations/008-gallery-albums');
+const { startApp } = require('./helpers/app');
+
+const photo = (id, album) => ({ id: String(id), url: `/uploads/Gallery/${id}.jpg`, caption: `Photo ${id}`, album });
+
+test('galleryAlbums lists the albums in order of their first photo', () => {
+    const photos = [photo(1, 'Travel'), photo(2, ''), photo(3, 'Events'), photo(4, ' travel '), photo(5)];
+
+    assert.deepEqual(galleryAlbums(photos), [
+        { name: 'Travel', slug: 'travel', count: 2 },
+        { name: 'Events', slug: 'events', count: 1 }
+    ]);
+    assert.deepEqual(galleryAlbums(undefined), []);
+});
+
+test('galleryPage filters by album and clamps the page', () => {
+    const photos = Array.from({ length: GALLERY_PAGE_SIZE * 2 + 1 }, (_, index) => photo(index + 1, index % 2 ? 'Travel' : ''));
+
+    const first = galleryPage(photos);
+    assert.equal(first.photos.length, GALLERY_PAGE_SIZE);
+    assert.deepEqual([first.page, first.pageCount, first.total, first.album], [1, 3, photos.length, null]);
+
+    const last = galleryPage(photos, { page: '3' });
+    assert.deepEqual(last.photos.map(shown => shown.id), [String(photos.length)]);
+    assert.equal(galleryPage(photos, { page: '99' }).page, 3);
+    assert.equal(galleryPage(photos, { page: 'abc' }).page, 1);
+
+    const travel = galleryPage(photos, { album: 'travel' });
+    assert.equal(travel.album.name, 'Travel');
+    assert.equal(travel.total, GALLERY_PAGE_SIZE);
+    assert.equal(travel.pageCount, 1);
+    assert.ok(travel.photos.every(shown => shown.album === 'Travel'));
+
+    // An unknown album shows every photo
+    const unknown = galleryPage(photos, { album: 'nowhere' });
+    assert.equal(unknown.album, null);
+    assert.equal(unknown.total, photos.length);
+
+    assert.deepEqual(galleryPage([]), { photos: [], albums: [], album: null, page: 1, pageCount: 1, total: 0 });
+});
+
+test('migration 008 adds an empty album and keeps a saved one', () => {
+    const migrated = albumsMigration.up({ gallery: [{ id: '1' }, { id: '2', album: 'Travel' }], seo: { homeTitle: 'Home' } });
+
+    assert.deepEqual(migrated.gallery.map(({ album }) => album), ['', 'Travel']);
+    assert.deepEqual(migrated.seo, { galleryTitle: '', galleryDescription: '', homeTitle: 'Home' });
+    assert.deepEqual(albumsMigration.up({}).gallery, []);
+});
+
+test('albums set in the admin filter the public gallery once published', async (t) => {
+    const app = await startApp(t);
+    const client = app.client();
+    const visitor = app.client();
+    await client.login();
+    const gallery = async () => (await app.readData('portfolio_draft.json')).gallery;
+    const [first, second, third] = await gallery();
+
+    await client.submit(`/admin/update-gallery-caption/${first.id}`, { caption: first.caption, album: ' Travel ', alt: 'Me' });
+    await client.submit(`/admin/update-gallery-caption/${second.id}`, { caption: second.caption, album: 'Events', alt: 'The class' });
+    assert.deepEqual((await gallery()).map(({ album }) => album), ['Travel', 'Events', third.album]);
+
+    await client.submit('/admin/publish');
+    const all = await visitor.request('/gallery');
+    assert.match(all.text, /href="\/gallery\?album=travel" class="tag-chip "\s+>Travel\s+<span class="tag-count">1<\/span>/);
+    assert.match(all.text, /href="\/gallery" class="tag-chip active"\s+aria-current=page>All photos/);
+
+    const travel = await visitor.request('/gallery?album=travel');
+    assert.match(travel.text, /<p class="project-results">1 photos<\/p>/);
+    assert.ok(travel.text.includes(`data-caption="${first.caption}"`));
+    assert.ok(!travel.text.includes(`data-caption="${second.caption}"`));
+    assert.match(travel.text, /class="tag-chip active"\s+aria-current=page>Travel/);
+});
+
+test('renaming an album moves, merges or unfiles its photos', async (t) => {
+    const app = await startApp(t);
+    const client = app.client();
+    await client.login();
+    const albums = async () => (await app.readData('portfolio_draft.json')).gallery.map(({ album }) => album);
+    const [first, second, third] = (await app.readData('portfolio_draft.json')).gallery;
+    for (const [shown, album] of [[first, 'Travel'], [second, 'Events'], [third, 'Travel']]) {
+        await client.submit(`/admin/update-gallery-caption/${shown.id}`, { caption: shown.caption, album, alt: shown.caption });
+    }
+
+    const renamed = await client.submit('/admin/rename-gallery-album', { album: 'travel', name: ' Holidays ' });
+    assert.equal(renamed.headers.get('location'), '/admin#gallery');
+    assert.deepEqual(await albums(), ['Holidays', 'Events', 'Holidays']);
+
+    await client.submit('/admin/rename-gallery-album', { album: 'events', name: 'holidays' });
+    assert.deepEqual(await albums(), ['Holidays', 'holidays', 'Holidays']);
+
+    await client.submit('/admin/rename-gallery-album', { album: 'holidays', name: '' });
+    assert.deepEqual(await albums(), ['', '', '']);
+
+    // An unknown album changes nothing
+    await client.submit('/admin/rename-gallery-album', { album: 'nowhere', name: 'Anything' });
+    assert.deepEqual(await albums(), ['', '', '']);
+});
@@ -0,0 +1,212 @@
+// ************************************************
+// GitHub import and sync of linked projects
+// ************************************************
+// Repositories are imported as projects. Statistics (stars, last push,
+// languages) are refreshed in the draft and the published portfolio; text
+// copied from GitHub only changes the draft, which the admin publishes, and
+// text edited in the admin is kept. Statistics alone do not make a revision.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const {
+    createGitHubClient, usernameFromProfile, repositoryFromLink, linkedRepository,
+    projectFromRepository, syncProject, syncProjectStats, isStatsChange
+} = require('../lib/github');
+const { startApp } = require('./helpers/app');
+
+const REPOSITORY = {
+    name: 'JavaQuizApp20',
+    full_name: 'RichardANTO/JavaQuizApp20',
+    html_url: 'https://github.com/RichardANTO/JavaQuizApp20',
+    description: 'A quiz app, now with timed rounds.',
+    homepage: '',
+    stargazers_count: 42,
+    pushed_at: '2026-10-01T08:00:00Z'
+};
+const LANGUAGES = { Java: 9000, Kotlin: 100 };
+
+const seed = () => require(path.join(__dirname, '..', 'data', 'initialPortfolioData.json'));
+
+// The seed's project for the repository, as if it had been imported
+const importedProject = () => ({
+    ...seed().projects.find(project => project.githubLink === REPOSITORY.html_url),
+    description: 'A quiz app.',
+    tags: ['Java'],
+    github: {
+        repo: REPOSITORY.full_name,
+        stars: 3,
+        pushedAt: '2026-01-01T08:00:00Z',
+        languages: ['Java'],
+        imported: { description: 'A quiz app.', demoLink: '', tags: ['Java'] }
+    }
+});
+
+test('syncProjectStats only refreshes the statistics', () => {
+    const synced = syncProjectStats(importedProject(), REPOSITORY, ['Java', 'Kotlin']);
+
+    assert.equal(synced.description, 'A quiz app.');
+    assert.deepEqual(synced.tags, ['Java']);
+    assert.deepEqual(synced.github, {
+        ...importedProject().github,
+        stars: 42,
+        pushedAt: '2026-10-01T08:00:00Z',
+        languages: ['Java', 'Kotlin']
+    });
+});
+
+test('syncProject also updates the text copied from GitHub', () => {
+    const synced = syncProject(importedProject(), REPOSITORY, ['Java', 'Kotlin']);
+
+    assert.equal(synced.description, REPOSITORY.description);
+    assert.deepEqual(synced.tags, ['Java', 'Kotlin']);
+    assert.equal(synced.github.imported.description, REPOSITORY.description);
+});
+
+test('isStatsChange recognises the paths of refreshed statistics', () => {
+    ['projects.0.github.stars', 'projects.12.github.pushedAt', 'projects.3.github.languages.1', 'projects.3.github.languages', 'projects.0.github.repo']
+        .forEach(changePath => assert.equal(isStatsChange(changePath), true, changePath));
+    ['projects.0.description', 'projects.0.github.imported.description', 'projects.0.github.imports', 'about.github.stars']
+        .forEach(changePath => assert.equal(isStatsChange(changePath), false, changePath));
+});
+
+// Local stand-in for the GitHub API serving the owner's repositories, a page at a time
+const startGitHubStub = async (t, repositories = [REPOSITORY]) => {
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const page = Number(url.searchParams.get('page')) || 1;
+        const perPage = Number(url.searchParams.get('per_page')) || 30;
+        const body = url.pathname === '/users/RichardANTO/repos' ? repositories.slice((page - 1) * perPage, page * perPage)
+            : /^\/repos\/RichardANTO\/[\w.-]+\/languages$/.test(url.pathname) ? LANGUAGES
+                : null;
+        res.writeHead(body ? 200 : 404, { 'content-type': 'application/json' });
+        res.end(JSON.stringify(body || { message: 'Not Found' }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return `http://127.0.0.1:${server.address().port}`;
+};
+
+const readRevisions = app => app.readData('collections/revisions.json').catch(() => []);
+
+// Runs the sync from the admin; resolves to the revisions it recorded
+const syncNow = async (app) => {
+    const client = app.client();
+    await client.login();
+    const before = (await readRevisions(app)).length;
+    const response = await client.submit('/admin/github/sync');
+    assert.equal(response.status, 302);
+    assert.deepEqual(await client.flashErrors(), []);
+    return (await readRevisions(app)).slice(before);
+};
+
+test('a sync with only new statistics updates both copies without a revision', async (t) => {
+    const apiUrl = await startGitHubStub(t);
+    const app = await startApp(t, { env: { GITHUB_API_URL: apiUrl, GITHUB_USERNAME: 'RichardANTO' } });
+
+    const revisions = await syncNow(app);
+
+    for (const id of ['portfolio_data', 'portfolio_draft']) {
+        const project = (await app.readData(`${id}.json`)).projects.find(item => item.githubLink === REPOSITORY.html_url);
+        assert.equal(project.github.stars, 42, id);
+        assert.deepEqual(project.github.languages, ['Java', 'Kotlin'], id);
+    }
+    assert.deepEqual(revisions, []);
+});
+
+test('text copied from GitHub only changes the draft', async (t) => {
+    const apiUrl = await startGitHubStub(t);
+    const portfolio = { ...seed(), projects: [importedProject()] };
+    const app = await startApp(t, {
+        env: { GITHUB_API_URL: apiUrl, GITHUB_USERNAME: 'RichardANTO' },
+        files: {
+            'portfolio_data.json': { ...portfolio, _id: 'portfolio_data' },
+            'portfolio_draft.json': { ...portfolio, _id: 'portfolio_draft' }
+        }
+    });
+
+    const revisions = await syncNow(app);
+
+    const [draft] = (await app.readData('portfolio_draft.json')).projects;
+    const [published] = (await app.readData('portfolio_data.json')).projects;
+    assert.equal(draft.description, REPOSITORY.description);
+    assert.equal(published.description, 'A quiz app.');
+    assert.equal(published.github.imported.description, 'A quiz app.');
+    assert.equal(published.github.stars, 42);
+
+    assert.equal(revisions.length, 1);
+    assert.ok(revisions[0].changes.some(change => change.path === 'projects.0.description'));
+});
+
+test('profile and repository links are recognised', () => {
+    assert.equal(usernameFromProfile('https://github.com/RichardANTO/'), 'RichardANTO');
+    assert.equal(usernameFromProfile('https://github.com/RichardANTO/JavaQuizApp20'), null);
+    assert.equal(repositoryFromLink('https://www.github.com/RichardANTO/JavaQuizApp20.git'), 'RichardANTO/JavaQuizApp20');
+    assert.equal(repositoryFromLink('https://github.com/RichardANTO/my.site/?tab=readme'), 'RichardANTO/my.site');
+    assert.equal(repositoryFromLink('https://gitlab.com/RichardANTO/JavaQuizApp20'), null);
+    assert.equal(linkedRepository({ githubLink: REPOSITORY.html_url }), REPOSITORY.full_name);
+    assert.equal(linkedRepository({ githubLink: '', github: { repo: 'someone/renamed' } }), 'someone/renamed');
+});
+
+test('an imported project takes its text and tags from the repository', () => {
+    const project = projectFromRepository({ ...REPOSITORY, description: ' ', homepage: 'javascript:alert(1)' }, ['Java', 'Kotlin', 'CSS', 'HTML', 'Shell', 'Batchfile']);
+
+    assert.equal(project.title, REPOSITORY.name);
+    assert.equal(project.githubLink, REPOSITORY.html_url);
+    assert.equal(project.description, REPOSITORY.name);
+    assert.equal(project.demoLink, '');
+    assert.deepEqual(project.tags, ['Java', 'Kotlin', 'CSS', 'HTML', 'Shell']);
+    assert.deepEqual(project.github.imported, { description: REPOSITORY.name, demoLink: '', tags: project.tags });
+    assert.equal(project.github.stars, 42);
+});
+
+test('syncProject keeps the text edited in the admin', () => {
+    const edited = { ...importedProject(), description: 'My own description.' };
+
+    const synced = syncProject(edited, REPOSITORY, ['Java', 'Kotlin']);
+
+    assert.equal(synced.description, 'My own description.');
+    assert.equal(synced.github.imported.description, 'A quiz app.');
+    assert.deepEqual(synced.tags, ['Java', 'Kotlin']);
+
+    // A project linked by its GitHub link only gets the statistics
+    const linked = { ...seed().projects[0], github: undefined };
+    const linkedSync = syncProject(linked, REPOSITORY, ['Java']);
+    assert.equal(linkedSync.description, linked.description);
+    assert.equal('imported' in linkedSync.github, false);
+});
+
+test('the client reads every page of repositories and orders languages by size', async (t) => {
+    const repositories = Array.from({ length: 150 }, (_, index) => ({ ...REPOSITORY, name: `repo-${index}`, full_name: `RichardANTO/repo-${index}` }));
+    const client = createGitHubClient({ apiUrl: `${await startGitHubStub(t, repositories)}/` });
+
+    assert.equal((await client.listRepositories('RichardANTO')).length, 150);
+    assert.deepEqual(await client.listLanguages('RichardANTO/repo-1'), ['Java', 'Kotlin']);
+    await assert.rejects(client.listRepositories('someone-else'), { status: 404, message: /GitHub API answered 404/ });
+});
+
+test('the admin imports a repository as a new project once', async (t) => {
+    const other = { ...REPOSITORY, name: 'weather-cli', full_name: 'RichardANTO/weather-cli', html_url: 'https://github.com/RichardANTO/weather-cli', homepage: 'https://weather.example' };
+    const apiUrl = await startGitHubStub(t, [REPOSITORY, other]);
+    const app = await startApp(t, { env: { GITHUB_API_URL: apiUrl, GITHUB_USERNAME: 'RichardANTO' } });
+    const client = app.client();
+    await client.login();
+    const before = (await app.readData('portfolio_draft.json')).projects.length;
+
+    const listing = await client.request('/admin/github');
+    assert.equal(listing.status, 200);
+    assert.ok(listing.text.includes('weather-cli'));
+
+    // The quiz repository is already linked to a seed project
+    await client.submit('/admin/github/import', { repos: 'RichardANTO/weather-cli' });
+    await client.submit('/admin/github/import', { repos: 'RichardANTO/JavaQuizApp20' });
+    await client.submit('/admin/github/import', { repos: 'richardanto/WEATHER-cli' });
+
+    const projects = (await app.readData('portfolio_draft.json')).projects;
+    assert.equal(projects.length, before + 1);
+    const imported = projects.at(-1);
+    assert.equal(imported.title, 'weather-cli');
+    assert.equal(imported.slug, 'weather-cli');
+    assert.equal(imported.demoLink, 'https://weather.example');
+    assert.deepEqual(imported.tags, ['Java', 'Kotlin']);
+});
@@ -0,0 +1,165 @@
+// ************************************************
+// Test helper: the whole app in a child process
+// ************************************************
+// startApp(t) runs `node app.js` on a free port with the JSON-file driver, a
+// temporary data directory and a throwaway admin login, and stops it when the
+// test ends. The seeded portfolio's images get placeholder records in the
+// `images` collection beforehand, so the variant backfill has nothing to do
+// and no file is written under public/uploads.
+const { spawn } = require('child_process');
+const fs = require('fs/promises');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcrypt');
+const { collectAssetUrls } = require('../../lib/assets');
+const { isImageUrl } = require('../../lib/images');
+const { migrateDocument } = require('../../lib/migrations');
+
+const ROOT = path.join(__dirname, '..', '..');
+const ADMIN_USERNAME = 'admin';
+const ADMIN_PASSWORD = 'test-password';
+const ADMIN_PASSWORD_HASH = bcrypt.hashSync(ADMIN_PASSWORD, 4);
+const START_TIMEOUT_MS = 20000;
+
+const freePort = () => new Promise((resolve, reject) => {
+    const server = net.createServer().listen(0, () => {
+        const { port } = server.address();
+        server.close(() => resolve(port));
+    }).on('error', reject);
+});
+
+const placeholderImages = (document) => [...collectAssetUrls(document, url => url.startsWith('/uploads/'))]
+    .filter(isImageUrl)
+    .map((url, index) => ({ _id: `image-${index}`, url, width: 800, height: 600, placeholder: 'data:,', variants: [], files: [] }));
+
+// A browser session against the app: keeps its cookies and reads CSRF tokens
+const createClient = (baseUrl) => {
+    const cookies = new Map();
+
+    const request = async (pathname, { method = 'GET', form, json, headers = {}, body } = {}) => {
+        const cookieHeader = [...cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+        const response = await fetch(`${baseUrl}${pathname}`, {
+            method,
+            redirect: 'manual',
+            headers: {
+                ...(cookieHeader ? { cookie: cookieHeader } : {}),
+                ...(form ? { 'content-type': 'application/x-www-form-urlencoded' } : {}),
+                ...(json ? { 'content-type': 'application/json' } : {}),
+                ...headers
+            },
+            body: form ? new URLSearchParams(form).toString() : (json ? JSON.stringify(json) : body)
+        });
+        response.headers.getSetCookie().forEach((setCookie) => {
+            const [pair] = setCookie.split(';');
+            const [name, ...value] = pair.split('=');
+            cookies.set(name.trim(), value.join('='));
+        });
+        return Object.assign(response, { text: await response.text() });
+    };
+
+    // The first `_csrf` hidden field of the page at `pathname`
+    const csrfToken = async (pathname) => {
+        const { text } = await request(pathname);
+        const match = text.match(/name="_csrf" value="([^"]*)"/);
+        return match ? match[1] : null;
+    };
+
+    return {
+        cookies,
+        request,
+        csrfToken,
+
+        async login(password = ADMIN_PASSWORD) {
+            const token = await csrfToken('/login');
+            return request('/login', { method: 'POST', form: { username: ADMIN_USERNAME, password, _csrf: token } });
+        },
+
+        // Posts an admin form with the session's CSRF token
+        async submit(pathname, form = {}) {
+            const token = await csrfToken('/admin');
+            return request(pathname, { method: 'POST', form: { ...form, _csrf: token } });
+        },
+
+        // The flash errors shown at the top of the dashboard
+        async flashErrors() {
+            const { text } = await request('/admin');
+            return [...text.matchAll(/<div class="flash-errors"[\s\S]*?<\/div>/g)]
+                .flatMap(([block]) => [...block.matchAll(/<li>([\s\S]*?)<\/li>/g)].map(([, message]) => message.trim()));
+        }
+    };
+};
+
+// Starts the app; `env` adds or overrides environment variables, `files`
+// are written into the data directory first ({ 'portfolio_data.json': {...} })
+const startApp = async (t, { env = {}, files = {} } = {}) => {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'portfolio-app-'));
+    const seed = migrateDocument(JSON.parse(await fs.readFile(path.join(ROOT, 'data', 'initialPortfolioData.json'), 'utf8')));
+    const documents = Object.values(files).filter(content => content && typeof content === 'object' && !Array.isArray(content));
+    await fs.mkdir(path.join(dataDir, 'collections'), { recursive: true });
+    await fs.writeFile(path.join(dataDir, 'collections', 'images.json'), JSON.stringify(placeholderImages([seed, ...documents])));
+    for (const [name, content] of Object.entries(files)) {
+        await fs.mkdir(path.dirname(path.join(dataDir, name)), { recursive: true });
+        await fs.writeFile(path.join(dataDir, name), JSON.stringify(content));
+    }
+
+    const port = await freePort();
+    const child = spawn(process.execPath, ['app.js'], {
+        cwd: ROOT,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            PERSISTENCE_DRIVER: 'file',
+            STORAGE_DRIVER: 'local',
+            DATA_DIR: dataDir,
+            ADMIN_USERNAME,
+            ADMIN_PASSWORD_HASH,
+            SESSION_SECRET: 'test-session-secret',
+            MAIL_TRANSPORT: 'log',
+            CONTACT_EMAIL: '',
+            API_TOKEN: 'test-api-token',
+            GITHUB_SYNC_HOURS: '0',
+            GITHUB_USERNAME: '',
+            NODE_ENV: 'test',
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    child.stdout.on('data', (chunk) => { output += chunk; });
+    child.stderr.on('data', (chunk) => { output += chunk; });
+
+    t.after(async () => {
+        if (child.exitCode === null) {
+            child.kill();
+            await new Promise(resolve => child.once('exit', resolve));
+        }
+        await fs.rm(dataDir, { recursive: true, force: true });
+    });
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`The app did not start:\n${output}`)), START_TIMEOUT_MS);
+        child.stdout.on('data', () => {
+            if (output.includes('Server running')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.once('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`The app exited with code ${code}:\n${output}`));
+        });
+    });
+
+    const baseUrl = `http://127.0.0.1:${port}`;
+    return {
+        baseUrl,
+        dataDir,
+        output: () => output,
+        client: () => createClient(baseUrl),
+        readData: async name => JSON.parse(await fs.readFile(path.join(dataDir, name), 'utf8'))
+    };
+};
+
+module.exports = { startApp, ADMIN_USERNAME, ADMIN_PASSWORD };
@@ -0,0 +1,114 @@
+// ************************************************
+// Languages
+// ************************************************
+// English pages live at the site root and French ones under /fr. UI strings
+// come from the catalogs; content fields show their translation when it is
+// filled and the English text otherwise.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LOCALES, translate, localizePortfolio, translationStatus, localePath } = require('../lib/i18n');
+const { startApp } = require('./helpers/app');
+
+test('every catalog has the same strings and placeholders as English', () => {
+    const placeholders = value => (value.match(/\{\w+\}/g) || []).sort();
+    Object.entries(LOCALES).forEach(([locale, catalog]) => {
+        assert.deepEqual(Object.keys(catalog).sort(), Object.keys(LOCALES.en).sort(), locale);
+        Object.entries(LOCALES.en).forEach(([key, value]) => assert.deepEqual(placeholders(catalog[key]), placeholders(value), `${locale} ${key}`));
+    });
+});
+
+test('translate fills placeholders and falls back to English, then the key', () => {
+    assert.equal(translate('fr', 'nav.projects'), 'Projets');
+    assert.equal(translate('en', 'projects.showing', { visible: 2, total: 5 }), 'Showing 2 of 5 projects');
+    assert.equal(translate('en', 'projects.showing', { visible: 2 }), 'Showing 2 of {total} projects');
+    assert.equal(translate('de', 'nav.projects'), 'Projects');
+    assert.equal(translate('fr', 'missing.key'), 'missing.key');
+});
+
+test('content shows its translation where it is filled', () => {
+    const portfolio = {
+        footerInfo: { line1: 'Based in Paris', line2: 'Open to work', translations: { fr: { line1: 'Basé à Paris', line2: ' ' } } },
+        projects: [{
+            id: 'p1',
+            title: 'Quiz',
+            description: 'A quiz',
+            imageAlts: ['Start screen', 'Results'],
+            translations: { fr: { title: 'Quiz en français', imageAlts: ['', 'Résultats'] } }
+        }],
+        gallery: [{ id: 'g1', caption: 'Not translatable' }]
+    };
+
+    const french = localizePortfolio(portfolio, 'fr');
+
+    assert.deepEqual({ line1: french.footerInfo.line1, line2: french.footerInfo.line2 }, { line1: 'Basé à Paris', line2: 'Open to work' });
+    assert.equal(french.projects[0].title, 'Quiz en français');
+    assert.equal(french.projects[0].description, 'A quiz');
+    assert.deepEqual(french.projects[0].imageAlts, ['Start screen', 'Résultats']);
+    assert.equal(french.gallery, portfolio.gallery);
+    assert.equal(localizePortfolio(portfolio, 'en'), portfolio);
+    assert.equal(portfolio.projects[0].title, 'Quiz');
+});
+
+test('the translation status counts the fields left in English', () => {
+    const portfolio = {
+        footerInfo: { line1: 'Paris', line2: '', translations: { fr: { line1: '' } } },
+        projects: [{ id: 'p1', title: 'Quiz', description: 'A quiz', translations: { fr: { title: 'Quiz' } } }]
+    };
+
+    const { total, sections } = translationStatus(portfolio, 'fr');
+
+    assert.equal(total, 2);
+    assert.deepEqual(sections.footerInfo, { count: 1, fields: ['line1'], items: {} });
+    assert.deepEqual(sections.projects, { count: 1, fields: [], items: { p1: ['description'] } });
+});
+
+test('localePath prefixes site paths only', () => {
+    assert.equal(localePath('fr', '/'), '/fr');
+    assert.equal(localePath('fr', '/projects/quiz'), '/fr/projects/quiz');
+    assert.equal(localePath('en', '/projects'), '/projects');
+    ['https://github.com', '//example.com', 'mailto:a@example.com', '#top'].forEach(link => assert.equal(localePath('fr', link), link));
+});
+
+test('French pages are served under /fr', async (t) => {
+    const app = await startApp(t);
+    const client = app.client();
+
+    const page = await client.request('/fr/projects');
+
+    assert.equal(page.status, 200);
+    assert.match(page.text, /<html lang="fr">/);
+    assert.ok(page.text.includes(translate('fr', 'projects.heading')));
+    assert.match((await client.request('/projects')).text, /<html lang="en">/);
+});
+
+test('the home page follows the browser language, then the switcher choice', async (t) => {
+    const app = await startApp(t);
+    const client = app.client();
+
+    const french = await client.request('/', { headers: { 'accept-language': 'fr-CA,fr;q=0.9' } });
+    assert.equal(french.headers.get('location'), '/fr');
+    assert.equal((await client.request('/', { headers: { 'accept-language': 'de' } })).status, 200);
+
+    const switched = await client.request('/language/fr?return=/projects');
+    assert.equal(switched.headers.get('location'), '/fr/projects');
+    assert.equal(client.cookies.get('locale'), 'fr');
+    assert.equal((await client.request('/')).headers.get('location'), '/fr');
+
+    assert.equal((await client.request('/language/en?return=//evil.example')).headers.get('location'), '/');
+    assert.equal((await client.request('/language/de')).status, 404);
+});
+
+test('the admin saves the French text of a section', async (t) => {
+    const app = await startApp(t);
+    const client = app.client();
+    await client.login();
+
+    await client.submit('/admin/translations/footerInfo', { locale: 'fr', line1: '  Basé à Montréal ', line2: '' });
+    await client.submit('/admin/publish');
+
+    const { footerInfo } = await app.readData('portfolio_data.json');
+    assert.deepEqual(footerInfo.translations, { fr: { line1: 'Basé à Montréal', line2: '' } });
+    assert.ok((await app.client().request('/fr')).text.includes('Basé à Montréal'));
+    assert.equal((await client.submit('/admin/translations/gallery', { locale: 'fr' })).status, 404);
+    assert.equal((await client.submit('/admin/translations/footerInfo', { locale: 'de' })).status, 404);
+});
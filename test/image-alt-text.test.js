@@ -0,0 +1,61 @@
+// ************************************************
+// Image alt text
+// ************************************************
+// Alt texts are required by the schema, and legacy content has none: the
+// backfill (migration 009) must write one for every image before the document
+// is validated. The pages render them on every image.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validatePortfolio } = require('../lib/repository/schema');
+const { migrateDocument } = require('../lib/migrations');
+const imageAltText = require('../lib/migrations/009-image-alt-text');
+const legacy = require('../data/portfolioData.json');
+const { startApp } = require('./helpers/app');
+
+const altErrors = (document) => validatePortfolio(document).filter(error => /alt/i.test(error.field));
+
+test('every image of the legacy document gets an alt text', () => {
+    const migrated = migrateDocument(structuredClone(legacy));
+
+    assert.deepEqual(altErrors(migrated), []);
+    assert.equal(migrated.carousel[0].alt, legacy.carousel[0].title);
+    assert.equal(migrated.education[0].imageAlt, `${legacy.education[0].title} Logo`);
+    assert.equal(migrated.projects[0].imageAlts.length, legacy.projects[0].images.length);
+});
+
+test('blank alt texts are filled and written ones are kept', () => {
+    const migrated = migrateDocument({
+        ...structuredClone(legacy),
+        carousel: [{ ...structuredClone(legacy.carousel[0]), alt: '  ' }],
+        gallery: [{ ...structuredClone(legacy.gallery[0]), caption: '', alt: 'Sunset over the bay' }],
+        education: [{ ...structuredClone(legacy.education[0]), title: 'Degree', imageAlt: '' }],
+        projects: [{ ...structuredClone(legacy.projects[0]), images: ['/a.png', '/b.png'], imageAlts: ['Login screen'] }]
+    });
+
+    assert.equal(migrated.carousel[0].alt, legacy.carousel[0].title);
+    assert.equal(migrated.gallery[0].alt, 'Sunset over the bay');
+    assert.equal(migrated.education[0].imageAlt, 'Degree Logo');
+    assert.deepEqual(migrated.projects[0].imageAlts, ['Login screen', `${legacy.projects[0].title} Image 2`]);
+    assert.deepEqual(altErrors(migrated), []);
+});
+
+test('the backfill is idempotent and leaves its input untouched', () => {
+    const document = structuredClone(legacy);
+    const once = imageAltText.up(document);
+
+    assert.deepEqual(imageAltText.up(once), once);
+    assert.deepEqual(document, legacy);
+});
+
+test('the project page gives every image its alt text', async (t) => {
+    const app = await startApp(t);
+    const project = (await app.readData('portfolio_data.json')).projects.find(item => item.images.length > 1);
+
+    const { text } = await app.client().request(`/projects/${project.slug}`);
+
+    const gallery = text.slice(text.indexOf('data-project-gallery'), text.indexOf('project-detail-body'));
+    const alts = [...gallery.matchAll(/<img [^>]*\balt="([^"]*)"/g)].map(([, alt]) => alt);
+    // The main image, then one thumbnail per image
+    assert.deepEqual(alts, [project.imageAlts[0], ...project.imageAlts]);
+    assert.ok(alts.every(Boolean));
+});
@@ -0,0 +1,74 @@
+// ************************************************
+// Login throttling
+// ************************************************
+// Failed logins are counted per IP and per username (lib/attemptLimiter.js);
+// reaching the limit locks the login for a while.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAttemptLimiter } = require('../lib/attemptLimiter');
+const { startApp } = require('./helpers/app');
+
+const WINDOW_MS = 15 * 60 * 1000;
+
+test('the attempt limiter', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const createLimiter = () => createAttemptLimiter({ maxAttempts: 3, windowMs: WINDOW_MS, lockoutMs: WINDOW_MS });
+
+    await t.test('locks a key once the limit is reached', () => {
+        const limiter = createLimiter();
+        assert.equal(limiter.registerFailure('admin'), false);
+        assert.equal(limiter.registerFailure('admin'), false);
+        assert.equal(limiter.lockedUntil('admin'), 0);
+
+        assert.equal(limiter.registerFailure('admin'), true);
+        assert.equal(limiter.lockedUntil('admin'), Date.now() + WINDOW_MS);
+        assert.equal(limiter.lockedUntil('someone-else'), 0);
+    });
+
+    await t.test('unlocks the key when the lockout ends', () => {
+        const limiter = createLimiter();
+        [1, 2, 3].forEach(() => limiter.registerFailure('admin'));
+
+        t.mock.timers.tick(WINDOW_MS - 1);
+        assert.notEqual(limiter.lockedUntil('admin'), 0);
+        t.mock.timers.tick(1);
+        assert.equal(limiter.lockedUntil('admin'), 0);
+    });
+
+    await t.test('starts counting again once the window has passed', () => {
+        const limiter = createLimiter();
+        limiter.registerFailure('admin');
+        limiter.registerFailure('admin');
+
+        t.mock.timers.tick(WINDOW_MS + 1);
+        assert.equal(limiter.registerFailure('admin'), false);
+        assert.equal(limiter.registerFailure('admin'), false);
+        assert.equal(limiter.lockedUntil('admin'), 0);
+    });
+
+    await t.test('forgets the failures of a key that is reset', () => {
+        const limiter = createLimiter();
+        limiter.registerFailure('admin');
+        limiter.registerFailure('admin');
+        limiter.reset('admin');
+
+        assert.equal(limiter.registerFailure('admin'), false);
+    });
+});
+
+test('the login answers 429 once the username reached its limit', async (t) => {
+    const app = await startApp(t);
+    const client = app.client();
+
+    for (let attempt = 1; attempt <= 5; attempt++) {
+        const response = await client.login('wrong-password');
+        assert.equal(response.status, 401, `attempt ${attempt}`);
+    }
+
+    const locked = await client.login('wrong-password');
+    assert.equal(locked.status, 429);
+    assert.match(locked.text, /Too many failed attempts\. Try again in 15 minute\(s\)\./);
+
+    // The right password does not get through while the login is locked
+    assert.equal((await client.login()).status, 429);
+});
@@ -0,0 +1,35 @@
+// ************************************************
+// Mail transports
+// ************************************************
+// Contact messages are only marked as notified when the transport delivers
+// them; the log transport prints a summary without addresses or body.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMailer } = require('../lib/mail');
+
+const OWNER = 'owner@example.com';
+
+test('only the smtp transport counts as enabled', () => {
+    const smtp = createMailer({ transport: 'smtp', smtp: { host: 'localhost', port: 1025 }, to: OWNER });
+    assert.equal(smtp.enabled, true);
+
+    assert.equal(createMailer({ transport: 'log', to: OWNER }).enabled, false);
+    assert.equal(createMailer({ transport: 'none', to: OWNER }).enabled, false);
+    assert.equal(createMailer({ transport: 'smtp', smtp: { host: 'localhost' }, to: '' }).enabled, false);
+});
+
+test('the log transport leaves addresses and the body out of the log', async (t) => {
+    const log = t.mock.method(console, 'log', () => { });
+    const mailer = createMailer({ transport: 'log', to: OWNER });
+
+    await mailer.notify({ subject: 'New message', text: 'Call me on 555-0100.', replyTo: 'ada@example.com' });
+
+    assert.equal(log.mock.callCount(), 1);
+    const [line] = log.mock.calls[0].arguments;
+    assert.match(line, /1 recipient\(s\): "New message" \(20 characters\)/);
+    assert.doesNotMatch(line, /example\.com|555-0100/);
+});
+
+test('an unknown transport is refused', () => {
+    assert.throws(() => createMailer({ transport: 'carrier-pigeon' }), /Unknown mail transport "carrier-pigeon"/);
+});
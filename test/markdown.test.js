@@ -0,0 +1,77 @@
+// ************************************************
+// Markdown fields
+// ************************************************
+// Long-form fields are written in Markdown and rendered to sanitized HTML:
+// formatting survives, scripts, styles, event handlers and javascript: links
+// do not.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderMarkdown, markdownToText } = require('../lib/markdown');
+const { startApp } = require('./helpers/app');
+
+test('headings, lists, links, code and line breaks are rendered', () => {
+    const html = renderMarkdown('## Skills\n\n- **Java**\n- [GitHub](https://github.com/example)\n\nLine one\nLine two\n\n```js\nconst a = 1;\n```');
+
+    assert.ok(html.includes('<h2>Skills</h2>'));
+    assert.ok(html.includes('<li><strong>Java</strong></li>'));
+    assert.ok(html.includes('<a href="https://github.com/example" target="_blank" rel="noopener noreferrer">GitHub</a>'));
+    assert.ok(html.includes('<p>Line one<br />Line two</p>'));
+    assert.ok(html.includes('<pre><code class="language-js">const a = 1;\n</code></pre>'));
+    // Site links stay in the same tab
+    assert.equal(renderMarkdown('[About](/about)'), '<p><a href="/about">About</a></p>\n');
+});
+
+test('scripts, styles, event handlers and javascript: links are removed', () => {
+    const html = renderMarkdown([
+        '<script>alert(1)</script>',
+        '<style>body { display: none }</style>',
+        '<img src="https://example.com/a.png" onerror="alert(1)">',
+        '[click](javascript:alert(1))',
+        '<a href="data:text/html,x">data</a>',
+        '<iframe src="https://example.com"></iframe>',
+        '<p class="big" style="color: red">text</p>'
+    ].join('\n\n'));
+
+    assert.doesNotMatch(html, /<script|<style|onerror|javascript:|data:text|<iframe|style=|class=/i);
+    assert.ok(html.includes('<img src="https://example.com/a.png" />'));
+    assert.ok(html.includes('<p>text</p>'));
+    assert.equal(renderMarkdown(null), '');
+});
+
+test('markdownToText gives the words without markup', () => {
+    assert.equal(markdownToText('# Title\n\n- **bold** item\n- `code` & <b>tags</b>\n\nA [link](https://example.com)'), 'Title bold item code & tags A link');
+    assert.equal(markdownToText(undefined), '');
+});
+
+test('the about page renders the story as sanitized HTML', async (t) => {
+    const app = await startApp(t);
+    const client = app.client();
+    await client.login();
+    const { about } = await app.readData('portfolio_draft.json');
+
+    await client.submit('/admin/update-text', {
+        aboutSummary: about.summary,
+        aboutFull: '### My story\n\n1. Studied **Java**\n2. Built apps\n\n<script>alert("x")</script>',
+        aboutSkills: about.skills.join('\n')
+    });
+    await client.submit('/admin/publish');
+
+    const { text } = await app.client().request('/about');
+    assert.ok(text.includes('<h3>My story</h3>'));
+    assert.ok(text.includes('<li>Studied <strong>Java</strong></li>'));
+    assert.ok(!text.includes('alert("x")'));
+});
+
+test('the editor preview uses the same renderer', async (t) => {
+    const app = await startApp(t);
+    const client = app.client();
+    await client.login();
+    const source = '**bold** <script>alert(1)</script>';
+
+    const response = await client.submit('/admin/markdown-preview', { source });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(JSON.parse(response.text), { html: renderMarkdown(source) });
+    // Not available to visitors
+    assert.equal((await app.client().request('/admin/markdown-preview', { method: 'POST', form: { source } })).status, 403);
+});
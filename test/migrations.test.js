@@ -0,0 +1,71 @@
+// ************************************************
+// Startup migrations from the legacy portfolio document
+// ************************************************
+// data/portfolioData.json is the document deployments ran before the migrations
+// existed. Starting from it must reach the current format in one valid save.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createFileRepository } = require('../lib/repository/file');
+const { validatePortfolio } = require('../lib/repository/schema');
+const { runMigrations } = require('../lib/migrations');
+
+const LEGACY_DOCUMENT = path.join(__dirname, '..', 'data', 'portfolioData.json');
+
+// Runs the startup migrations on a copy of the legacy document, in a temporary
+// data directory, the way connectDBAndLoadData() does
+const startFromLegacy = async (t, { save } = {}) => {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'portfolio-test-'));
+    t.after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+    const repository = createFileRepository({ dataDir });
+    await repository.connect();
+    const legacy = JSON.parse(await fs.readFile(LEGACY_DOCUMENT, 'utf8'));
+    const collection = repository.collection('migrations');
+    const start = () => runMigrations({
+        collection,
+        documents: {
+            portfolio_data: { ...legacy, _id: 'portfolio_data' },
+            portfolio_draft: { ...structuredClone(legacy), _id: 'portfolio_draft' }
+        },
+        save: save || ((id, document) => repository.savePortfolio(document, undefined, id))
+    });
+    return { repository, collection, start };
+};
+
+test.beforeEach(t => t.mock.method(console, 'log', () => { }));
+
+test('the legacy document migrates to a valid portfolio at startup', async (t) => {
+    const { repository, collection, start } = await startFromLegacy(t);
+
+    const migrated = await start();
+
+    for (const id of ['portfolio_data', 'portfolio_draft']) {
+        assert.deepEqual(validatePortfolio(migrated[id]), []);
+        assert.deepEqual(await repository.loadPortfolio(id), migrated[id]);
+    }
+    assert.equal(await collection.count(), 9);
+});
+
+test('a second start has no migration left to apply', async (t) => {
+    const { collection, start } = await startFromLegacy(t);
+    await start();
+
+    const saves = [];
+    const stored = { portfolio_data: { _id: 'portfolio_data' } };
+    const migrated = await runMigrations({ collection, documents: stored, save: id => saves.push(id) });
+
+    assert.deepEqual(migrated, stored);
+    assert.deepEqual(saves, []);
+});
+
+test('migrations are only recorded once the documents are saved', async (t) => {
+    const { collection, start } = await startFromLegacy(t, {
+        save: async () => { throw new Error('database unreachable'); }
+    });
+
+    await assert.rejects(start(), /database unreachable/);
+    assert.equal(await collection.count(), 0);
+});
@@ -0,0 +1,83 @@
+// ************************************************
+// Project tags and details
+// ************************************************
+// Projects carry tags, a category, a date range, a live-demo link and a
+// featured flag; /projects shows a chip per tag, linked as /projects?tag=<slug>,
+// and the cards carry the data the client-side filters read.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const projectDetails = require('../lib/migrations/002-project-details');
+const { startApp } = require('./helpers/app');
+
+const PROJECT = {
+    title: 'Order tracker',
+    description: 'Tracks orders.',
+    githubLink: 'https://github.com/example/order-tracker',
+    category: ' Web ',
+    startDate: '2025-01',
+    endDate: '2025-06',
+    demoLink: 'https://orders.example.com'
+};
+
+test('migration 002 gives every project the new fields without overwriting them', () => {
+    const migrated = projectDetails.up({ projects: [{ id: 'p1', title: 'Quiz' }, { id: 'p2', tags: ['Java'], featured: true }] });
+
+    assert.deepEqual(migrated.projects, [
+        { tags: [], category: '', startDate: '', endDate: '', demoLink: '', featured: false, id: 'p1', title: 'Quiz' },
+        { tags: ['Java'], category: '', startDate: '', endDate: '', demoLink: '', featured: true, id: 'p2' }
+    ]);
+    assert.deepEqual(projectDetails.up({ about: {} }), { about: {} });
+});
+
+test('the admin saves the details of a project', async (t) => {
+    const app = await startApp(t);
+    const client = app.client();
+    await client.login();
+
+    await client.submit('/admin/add-project', { ...PROJECT, tags: 'Java, Spring Boot, java, , Docker', featured: 'on' });
+
+    const project = (await app.readData('portfolio_draft.json')).projects.at(-1);
+    assert.deepEqual(project.tags, ['Java', 'Spring Boot', 'Docker']);
+    assert.equal(project.category, 'Web');
+    assert.equal(project.startDate, '2025-01');
+    assert.equal(project.endDate, '2025-06');
+    assert.equal(project.demoLink, 'https://orders.example.com');
+    assert.equal(project.featured, true);
+
+    // An unticked box turns the flag off
+    await client.submit(`/admin/update-project/${project.id}`, { ...PROJECT, tags: 'Java' });
+    const updated = (await app.readData('portfolio_draft.json')).projects.at(-1);
+    assert.deepEqual(updated.tags, ['Java']);
+    assert.equal(updated.featured, false);
+});
+
+test('a project ending before it starts is refused', async (t) => {
+    const app = await startApp(t);
+    const client = app.client();
+    await client.login();
+    const count = (await app.readData('portfolio_draft.json')).projects.length;
+
+    await client.submit('/admin/add-project', { ...PROJECT, startDate: '2025-06', endDate: '2025-01' });
+
+    assert.deepEqual(await client.flashErrors(), [`projects item ${count + 1}: End date cannot be before the start date.`]);
+    assert.equal((await app.readData('portfolio_draft.json')).projects.length, count);
+});
+
+test('/projects lists the tags by use and tags the cards for the filters', async (t) => {
+    const app = await startApp(t);
+    const client = app.client();
+    await client.login();
+    await client.submit('/admin/add-project', { ...PROJECT, tags: 'Spring Boot, Java', featured: 'on' });
+    await client.submit('/admin/add-project', { ...PROJECT, title: 'Shop', tags: 'Docker, Spring Boot' });
+    await client.submit('/admin/publish');
+
+    const { text } = await app.client().request('/projects');
+
+    const chips = [...text.matchAll(/class="tag-chip"\s+data-tag="([^"]+)">([^<]+)<span class="tag-count">(\d+)<\/span>/g)]
+        .map(([, slug, label, count]) => [slug, label.trim(), Number(count)]);
+    assert.deepEqual(chips, [['spring-boot', 'Spring Boot', 2], ['docker', 'Docker', 1], ['java', 'Java', 1]]);
+    assert.ok(text.includes('href="/projects?tag=spring-boot"'));
+    assert.ok(text.includes('data-tags="spring-boot java"'));
+    assert.ok(text.includes('data-start="2025-01"'));
+    assert.equal(text.match(/data-featured="true"/g).length, 1);
+});
@@ -0,0 +1,68 @@
+// ************************************************
+// Project slugs
+// ************************************************
+// Slugs are required and unique in the schema, so the backfill (migration 003)
+// must give every legacy project one before the migrated document is validated.
+// A suffixed slug must still fit the schema's length limit.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validatePortfolio } = require('../lib/repository/schema');
+const { migrateDocument } = require('../lib/migrations');
+const { SLUG_MAX_LENGTH, uniqueSlug, assignProjectSlug } = require('../lib/slug');
+const legacy = require('../data/portfolioData.json');
+
+const slugErrors = (document) => validatePortfolio(document).filter(error => /slug/i.test(error.field + error.message));
+
+test('every project of the legacy document gets a unique slug', () => {
+    const { projects } = migrateDocument(structuredClone(legacy));
+
+    assert.deepEqual(projects.map(project => project.slug), [
+        'java-quiz-app-2-0',
+        'big-data-using-hadoop',
+        'dynamic-portfolio-website',
+        'personal-finance-investment-dashboard',
+        'food-delivery-management-system',
+        'tictactoegui'
+    ]);
+    assert.deepEqual(slugErrors(migrateDocument(structuredClone(legacy))), []);
+});
+
+test('legacy projects sharing a title get distinct slugs', () => {
+    const [first, second] = legacy.projects;
+    const document = {
+        ...structuredClone(legacy),
+        projects: [
+            { ...structuredClone(first), title: 'Portfolio' },
+            { ...structuredClone(second), title: 'Portfolio' },
+            { ...structuredClone(second), id: 'proj-kept', title: 'Other', slug: 'portfolio-2' }
+        ]
+    };
+
+    const migrated = migrateDocument(document);
+
+    assert.deepEqual(migrated.projects.map(project => project.slug), ['portfolio', 'portfolio-3', 'portfolio-2']);
+    assert.deepEqual(slugErrors(migrated), []);
+});
+
+test('a suffix on a slug of the maximum length keeps it within the limit', () => {
+    const base = `${'a'.repeat(77)}-bc`;
+    const taken = new Set([base, `${'a'.repeat(77)}-2`]);
+
+    const slug = uniqueSlug(base, candidate => taken.has(candidate));
+
+    assert.equal(slug, `${'a'.repeat(77)}-3`);
+    assert.ok(slug.length <= SLUG_MAX_LENGTH);
+});
+
+test('projects with the same long title get valid slugs', () => {
+    const document = migrateDocument(structuredClone(legacy));
+    const title = 'A very long project title that goes on and on about everything this project does and more';
+    const projects = document.projects.slice(0, 2).map(project => ({ ...project, title, slug: '' }));
+    projects.forEach(project => assignProjectSlug(project, projects));
+    document.projects = projects;
+
+    const [slug, suffixed] = projects.map(project => project.slug);
+    assert.equal(suffixed, `${slug.slice(0, SLUG_MAX_LENGTH - 2)}-2`);
+    assert.ok(slug.length <= SLUG_MAX_LENGTH && suffixed.length <= SLUG_MAX_LENGTH);
+    assert.deepEqual(slugErrors(document), []);
+});
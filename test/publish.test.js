@@ -0,0 +1,94 @@
+// ************************************************
+// Draft preview and publishing
+// ************************************************
+// The admin previews the draft on every public page and publishes it; a
+// publish the database refuses leaves the live site as it was.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { migrateDocument } = require('../lib/migrations');
+const { startApp } = require('./helpers/app');
+
+const seed = () => migrateDocument(structuredClone(require(path.join(__dirname, '..', 'data', 'initialPortfolioData.json'))));
+
+test('every public page can be previewed', async (t) => {
+    const app = await startApp(t);
+    const client = app.client();
+    await client.login();
+
+    for (const page of ['/', '/projects', '/certificates', '/about', '/gallery', '/contact', '/resume']) {
+        const response = await client.request(`/admin/preview?page=${encodeURIComponent(page)}`);
+        assert.equal(response.headers.get('location'), page);
+    }
+    const unknown = await client.request('/admin/preview?page=https://example.com');
+    assert.equal(unknown.headers.get('location'), '/');
+});
+
+test('a draft the schema rejects is not published', async (t) => {
+    const published = seed();
+    const draft = structuredClone(published);
+    draft.gallery[0].caption = '';
+    const app = await startApp(t, {
+        files: {
+            'portfolio_data.json': { ...published, _id: 'portfolio_data' },
+            'portfolio_draft.json': { ...draft, _id: 'portfolio_draft' },
+            // Loaded as is: the stored documents are already migrated
+            'collections/migrations.json': Array.from({ length: 9 }, (_, index) => ({ _id: `m${index + 1}`, version: index + 1 }))
+        }
+    });
+    const client = app.client();
+    await client.login();
+
+    const response = await client.submit('/admin/publish');
+
+    assert.equal(response.status, 302);
+    assert.equal(response.headers.get('location'), '/admin');
+    assert.deepEqual(await client.flashErrors(), [
+        'The draft could not be published; the live site is unchanged.',
+        'gallery item 1: Caption is required.'
+    ]);
+    assert.equal((await app.readData('portfolio_data.json')).gallery[0].caption, published.gallery[0].caption);
+});
+
+test('edits go to the draft and reach the live site when published', async (t) => {
+    const app = await startApp(t);
+    const admin = app.client();
+    const visitor = app.client();
+    await admin.login();
+    const footer = (await app.readData('portfolio_draft.json')).footerInfo;
+
+    await admin.submit('/admin/update-footer', { ...footer, line1: 'Now based in Lyon' });
+
+    assert.equal((await app.readData('portfolio_draft.json')).footerInfo.line1, 'Now based in Lyon');
+    assert.equal((await app.readData('portfolio_data.json')).footerInfo.line1, footer.line1);
+    assert.ok(!(await visitor.request('/')).text.includes('Now based in Lyon'));
+    assert.match((await admin.request('/admin')).text, /<strong>1<\/strong> unpublished\s+change\./);
+
+    // Only the admin previewing the draft sees it on the public pages
+    assert.ok(!(await admin.request('/')).text.includes('Now based in Lyon'));
+    await admin.request('/admin/preview?page=/');
+    assert.ok((await admin.request('/')).text.includes('Now based in Lyon'));
+    assert.ok(!(await visitor.request('/')).text.includes('Now based in Lyon'));
+
+    const published = await admin.submit('/admin/publish');
+    assert.equal(published.headers.get('location'), '/admin');
+    assert.equal((await app.readData('portfolio_data.json')).footerInfo.line1, 'Now based in Lyon');
+    assert.ok((await visitor.request('/')).text.includes('Now based in Lyon'));
+    assert.ok((await admin.request('/admin')).text.includes('The live site is up to date with your draft.'));
+});
+
+test('discarding the draft resets it to the published portfolio', async (t) => {
+    const app = await startApp(t);
+    const client = app.client();
+    await client.login();
+    const draft = await app.readData('portfolio_draft.json');
+
+    await client.submit('/admin/update-footer', { ...draft.footerInfo, line1: 'Not ready yet' });
+    const discarded = await client.submit('/admin/discard-draft');
+
+    assert.equal(discarded.headers.get('location'), '/admin');
+    assert.deepEqual((await app.readData('portfolio_draft.json')).footerInfo, draft.footerInfo);
+    // The discarded edit can still be restored from the history
+    const revisions = await app.readData('collections/revisions.json');
+    assert.ok(revisions.some(revision => revision.snapshot.footerInfo.line1 === 'Not ready yet'));
+});
@@ -0,0 +1,99 @@
+// ************************************************
+// Résumé
+// ************************************************
+// /resume and /resume.pdf print the same résumé, built from the published
+// portfolio and the admin's settings (template, sections, items left out).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildResume, renderResumePdf } = require('../lib/resume');
+const { translate } = require('../lib/i18n');
+const { startApp } = require('./helpers/app');
+
+const PORTFOLIO = {
+    about: { summary: 'Java **developer**.', skills: ['Java', ' ', 'SQL'] },
+    footerInfo: { name: ' Ada Lovelace ', emailLink: 'mailto:ada@example.com?subject=Hi', githubLink: 'https://github.com/ada/', phoneLink: 'javascript:alert(1)' },
+    seo: { jobTitle: 'Software developer' },
+    projects: [
+        { id: 'p1', title: 'Quiz', category: 'Desktop', description: 'x '.repeat(200), githubLink: '/go/quiz', startDate: '2024-01', endDate: '', tags: ['Java'] },
+        { id: 'p2', title: 'Hidden project', description: '', githubLink: '' }
+    ],
+    education: [{ id: 'e1', title: 'BSc', institution: 'University', years: '2019 – 2022' }],
+    certificates: [{ id: 'c1', title: 'Python', issuer: 'Oracle', issueDate: '2024-03', credentialId: 'OCP-1', verificationUrl: 'https://verify.example/1', skills: ['Python'] }],
+    resume: { template: 'modern', sections: ['summary', 'skills', 'projects', 'certificates'], hiddenItems: ['p2'] }
+};
+
+const build = (extra = {}) => buildResume({ portfolio: PORTFOLIO, locale: 'en', absoluteUrl: url => (url.startsWith('/') ? `https://example.com${url}` : url), ...extra });
+
+test('the résumé follows the sections and items picked in the admin', () => {
+    const resume = build();
+
+    assert.equal(resume.name, 'Ada Lovelace');
+    assert.equal(resume.headline, 'Software developer');
+    assert.equal(resume.template, 'modern');
+    assert.deepEqual(resume.contacts, [
+        { label: 'ada@example.com', url: 'mailto:ada@example.com?subject=Hi' },
+        { label: 'github.com/ada', url: 'https://github.com/ada/' }
+    ]);
+    assert.deepEqual(resume.sections.map(section => section.key), ['summary', 'skills', 'projects', 'certificates']);
+
+    const [summary, skills, projects, certificates] = resume.sections;
+    assert.equal(summary.text, 'Java developer.');
+    assert.deepEqual(skills.list, ['Java', 'SQL']);
+    assert.deepEqual(projects.entries.map(entry => entry.title), ['Quiz']);
+    assert.equal(projects.entries[0].period, `Jan 2024 – ${translate('en', 'projects.present')}`);
+    assert.ok(projects.entries[0].text.length <= 300 && projects.entries[0].text.endsWith('…'));
+    assert.deepEqual(projects.entries[0].links, [{ label: translate('en', 'project.sourceCode'), url: 'https://example.com/go/quiz' }]);
+    assert.equal(certificates.entries[0].text, translate('en', 'certificates.credentialId', { id: 'OCP-1' }));
+    assert.deepEqual(certificates.entries[0].links, [{ label: translate('en', 'certificates.verify'), url: 'https://verify.example/1' }]);
+});
+
+test('the template can be asked for, and falls back to the admin choice', () => {
+    assert.equal(build({ template: 'classic' }).template, 'classic');
+    assert.equal(build({ template: 'fancy' }).template, 'modern');
+    assert.equal(buildResume({ portfolio: { ...PORTFOLIO, resume: undefined }, locale: 'en', absoluteUrl: url => url }).template, 'classic');
+});
+
+test('the PDF is rendered in both templates', async () => {
+    for (const template of ['classic', 'modern']) {
+        const pdf = await renderResumePdf(build({ template }));
+        assert.equal(pdf.subarray(0, 5).toString(), '%PDF-', template);
+        assert.ok(pdf.length > 1000, template);
+    }
+});
+
+test('the site serves the résumé page and PDF from the published portfolio', async (t) => {
+    const app = await startApp(t);
+    const client = app.client();
+
+    const page = await client.request('/resume?template=modern');
+    assert.equal(page.status, 200);
+
+    const pdf = await client.request('/resume.pdf');
+    assert.equal(pdf.headers.get('content-type'), 'application/pdf');
+    assert.match(pdf.headers.get('content-disposition'), /^attachment; filename="[a-z0-9-]+-resume\.pdf"$/);
+    assert.ok(pdf.text.startsWith('%PDF-'));
+    assert.match((await client.request('/resume.pdf?download=0')).headers.get('content-disposition'), /^inline;/);
+});
+
+test('the admin picks the template, the sections and the items', async (t) => {
+    const app = await startApp(t);
+    const client = app.client();
+    await client.login();
+    const { projects, education, certificates } = await app.readData('portfolio_draft.json');
+
+    const form = new URLSearchParams([
+        ['_csrf', await client.csrfToken('/admin')],
+        ['template', 'modern'],
+        ['sections', 'summary'],
+        ['sections', 'projects'],
+        ...projects.slice(1).map(project => ['items', project.id]),
+        ...education.map(entry => ['items', entry.id])
+    ]);
+    await client.request('/admin/update-resume', { method: 'POST', body: form.toString(), headers: { 'content-type': 'application/x-www-form-urlencoded' } });
+
+    assert.deepEqual((await app.readData('portfolio_draft.json')).resume, {
+        template: 'modern',
+        sections: ['summary', 'projects'],
+        hiddenItems: [projects[0].id, ...certificates.map(certificate => certificate.id)]
+    });
+});
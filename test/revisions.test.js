@@ -0,0 +1,111 @@
+// ************************************************
+// Revision history
+// ************************************************
+// Every admin save records the fields it changed and a snapshot of the
+// document; a section (or the whole document) can be restored from any kept
+// revision.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { diffSections } = require('../lib/diff');
+const { createRevisionHistory } = require('../lib/revisions');
+const { createFileRepository } = require('../lib/repository/file');
+const { startApp } = require('./helpers/app');
+
+test('diffSections lists the changed leaf paths of the given sections', () => {
+    const before = { footerInfo: { name: 'Ada', line1: 'Paris' }, projects: [{ title: 'Quiz', tags: ['java'] }], theme: { font: 'inter' } };
+    const after = { footerInfo: { name: 'Ada', line2: 'France' }, projects: [{ title: 'Quiz app', tags: [] }], theme: { font: 'lora' } };
+
+    assert.deepEqual(diffSections(before, after, ['footerInfo', 'projects']), [
+        { path: 'footerInfo.line1', before: 'Paris', after: undefined },
+        { path: 'footerInfo.line2', before: undefined, after: 'France' },
+        { path: 'projects.0.title', before: 'Quiz', after: 'Quiz app' },
+        { path: 'projects.0.tags.0', before: 'java', after: undefined },
+        { path: 'projects.0.tags', before: undefined, after: [] }
+    ]);
+    assert.deepEqual(diffSections(before, structuredClone(before), ['footerInfo', 'projects', 'theme']), []);
+    assert.deepEqual(diffSections(null, { about: { summary: 'Hi' } }, ['about']), [{ path: 'about.summary', before: undefined, after: 'Hi' }]);
+});
+
+test('the history lists, finds and prunes revisions newest first', async (t) => {
+    t.mock.method(console, 'log', () => { });
+    t.mock.timers.enable({ apis: ['Date'], now: 1760000000000 });
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'portfolio-test-'));
+    t.after(() => fs.rm(dataDir, { recursive: true, force: true }));
+    const history = createRevisionHistory({ collection: createFileRepository({ dataDir }).collection('revisions'), limit: 2 });
+
+    const recorded = [];
+    for (const route of ['first', 'second', 'third']) {
+        recorded.push(await history.record({ sections: ['about'], route, url: '/admin', changes: [], snapshot: { about: { summary: route } } }));
+        t.mock.timers.tick(1000);
+    }
+    const [first, second, third] = recorded;
+
+    const listed = await history.list();
+    assert.deepEqual(listed.map(revision => revision.route), ['third', 'second', 'first']);
+    assert.equal('snapshot' in listed[0], false);
+    assert.deepEqual((await history.get(second._id)).snapshot, { about: { summary: 'second' } });
+    assert.equal((await history.previous(second))._id, first._id);
+    assert.equal(await history.previous(first), null);
+
+    const pruned = await history.prune();
+    assert.deepEqual(pruned.map(revision => revision._id), [first._id]);
+    assert.equal(await history.count(), 2);
+    assert.deepEqual(await history.snapshots(), [second.snapshot, third.snapshot]);
+});
+
+test('an admin save is recorded and a section can be restored from it', async (t) => {
+    const app = await startApp(t);
+    const client = app.client();
+    await client.login();
+    const footer = (await app.readData('portfolio_draft.json')).footerInfo;
+    const [initial] = await app.readData('collections/revisions.json');
+
+    await client.submit('/admin/update-footer', { ...footer, line1: 'Now in Lyon' });
+
+    const revisions = await app.readData('collections/revisions.json');
+    const latest = revisions.at(-1);
+    assert.equal(revisions.length, 2);
+    assert.deepEqual(latest.sections, ['footerInfo']);
+    assert.equal(latest.route, 'POST /admin/update-footer');
+    assert.deepEqual(latest.changes, [{ path: 'footerInfo.line1', before: footer.line1, after: 'Now in Lyon' }]);
+    assert.equal(latest.snapshot.footerInfo.line1, 'Now in Lyon');
+
+    const detail = await client.request(`/admin/revisions/${latest._id}`);
+    assert.equal(detail.status, 200);
+    assert.ok(detail.text.includes('footerInfo.line1'));
+
+    const restored = await client.submit(`/admin/revisions/${initial._id}/restore`, { section: 'footerInfo' });
+    assert.equal(restored.headers.get('location'), '/admin#history');
+    assert.deepEqual((await app.readData('portfolio_draft.json')).footerInfo, footer);
+});
+
+test('restoring an unknown revision or section is refused', async (t) => {
+    const app = await startApp(t);
+    const client = app.client();
+    await client.login();
+    const [initial] = await app.readData('collections/revisions.json');
+
+    assert.equal((await client.request('/admin/revisions/missing')).status, 404);
+    assert.equal((await client.submit('/admin/revisions/missing/restore', { section: 'all' })).status, 404);
+    assert.equal((await client.submit(`/admin/revisions/${initial._id}/restore`, { section: '_id' })).status, 400);
+    assert.equal((await client.submit(`/admin/revisions/${initial._id}/restore`, { section: 'blog' })).status, 400);
+});
+
+test('the whole document can be restored from a revision', async (t) => {
+    const app = await startApp(t);
+    const client = app.client();
+    await client.login();
+    const draft = await app.readData('portfolio_draft.json');
+    const [initial] = await app.readData('collections/revisions.json');
+
+    await client.submit('/admin/update-footer', { ...draft.footerInfo, line1: 'Now in Lyon' });
+    await client.submit(`/admin/delete-carousel/${draft.carousel[0].id}`);
+    await client.submit(`/admin/revisions/${initial._id}/restore`, { section: 'all' });
+
+    const restored = await app.readData('portfolio_draft.json');
+    assert.deepEqual(restored.footerInfo, draft.footerInfo);
+    assert.deepEqual(restored.carousel, draft.carousel);
+});
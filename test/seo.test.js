@@ -0,0 +1,137 @@
+// ************************************************
+// Search engine and social sharing metadata
+// ************************************************
+// Page titles, descriptions, sharing cards and the profile JSON-LD come from
+// the portfolio document, as do /sitemap.xml and /robots.txt. Untranslated page
+// titles must not replace the catalog's default title on other languages: the
+// seeded titles stay empty.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildPageMeta, buildProfileJsonLd, buildSitemap, buildRobots } = require('../lib/seo');
+const { localizePortfolio, translate } = require('../lib/i18n');
+const { migrateDocument } = require('../lib/migrations');
+const seoSettings = require('../lib/migrations/004-seo-settings');
+const legacy = require('../data/portfolioData.json');
+const { startApp } = require('./helpers/app');
+
+const BASE_URL = 'https://example.com';
+const absolute = url => `${BASE_URL}${url.replace(/ /g, '%20')}`;
+
+const pageTitle = (portfolio, page, locale) => buildPageMeta({
+    portfolio: localizePortfolio(portfolio, locale),
+    page,
+    baseUrl: 'https://example.com',
+    path: '/contact',
+    locale
+}).title;
+
+test('/fr/contact gets its French default title', () => {
+    const portfolio = migrateDocument(structuredClone(legacy));
+    const { siteName } = portfolio.seo;
+
+    assert.equal(pageTitle(portfolio, 'contact', 'fr'), `${translate('fr', 'nav.contact')} | ${siteName}`);
+    assert.equal(pageTitle(portfolio, 'contact', 'en'), `Contact Me | ${siteName}`);
+});
+
+test('the seo migration seeds empty titles and keeps written ones', () => {
+    const seo = { siteName: 'Site', projectsTitle: 'My work' };
+
+    const migrated = seoSettings.up({ seo });
+
+    assert.equal(migrated.seo.projectsTitle, 'My work');
+    ['homeTitle', 'certificatesTitle', 'aboutTitle', 'contactTitle'].forEach(field => assert.equal(migrated.seo[field], '', field));
+    assert.deepEqual(seo, { siteName: 'Site', projectsTitle: 'My work' });
+});
+
+test('page metadata uses the written title and description, else defaults', () => {
+    const portfolio = migrateDocument(structuredClone(legacy));
+    portfolio.seo = { ...portfolio.seo, siteName: 'Ada Lovelace', projectsTitle: 'Work', projectsDescription: 'My projects.', twitterHandle: 'ada', defaultImage: '' };
+    portfolio.about.summary = '**Engineer** who writes code.';
+    const meta = (page, extra) => buildPageMeta({ portfolio, page, baseUrl: BASE_URL, path: `/${page}`, ...extra });
+
+    const projects = meta('projects');
+    assert.equal(projects.title, 'Work');
+    assert.equal(projects.description, 'My projects.');
+    assert.equal(projects.url, 'https://example.com/projects');
+    assert.equal(projects.twitterHandle, '@ada');
+    assert.equal(projects.image, absolute(portfolio.carousel[0].url));
+    assert.equal(projects.jsonLd, '');
+    assert.deepEqual(projects.alternates.map(alternate => alternate.hreflang), ['en', 'fr', 'x-default']);
+
+    const certificates = meta('certificates');
+    assert.equal(certificates.title, 'Certificates | Ada Lovelace');
+    assert.equal(certificates.description, 'Engineer who writes code.');
+
+    const about = meta('about');
+    assert.equal(about.type, 'profile');
+    assert.equal(about.image, absolute(portfolio.about.photoUrl));
+    assert.ok(about.jsonLd);
+
+    const project = { title: 'Quiz', description: 'A '.repeat(100) + 'quiz', images: ['/uploads/Project/quiz shot.png'] };
+    const projectPage = meta('project', { project });
+    assert.equal(projectPage.title, 'Quiz | Ada Lovelace');
+    assert.equal(projectPage.type, 'article');
+    assert.equal(projectPage.image, 'https://example.com/uploads/Project/quiz%20shot.png');
+    assert.ok(projectPage.description.length <= 160);
+    assert.ok(projectPage.description.endsWith('…'));
+});
+
+test('the profile JSON-LD describes the person, their education and certificates', () => {
+    const portfolio = migrateDocument(structuredClone(legacy));
+    portfolio.footerInfo = { ...portfolio.footerInfo, name: 'Ada', emailLink: 'mailto:ada@example.com?subject=Hi', githubLink: 'https://github.com/ada', linkedinLink: '' };
+
+    const { mainEntity: person, ...page } = buildProfileJsonLd({ portfolio, baseUrl: BASE_URL });
+
+    assert.deepEqual(page, { '@context': 'https://schema.org', '@type': 'ProfilePage', url: 'https://example.com/about' });
+    assert.equal(person['@type'], 'Person');
+    assert.equal(person.name, 'Ada');
+    assert.equal(person.email, 'ada@example.com');
+    assert.deepEqual(person.sameAs, ['https://github.com/ada']);
+    assert.deepEqual(person.alumniOf.map(school => school.name), portfolio.education.map(entry => entry.institution));
+    assert.deepEqual(person.hasCredential.map(credential => credential.name), portfolio.certificates.map(certificate => certificate.title));
+});
+
+test('the sitemap lists every page and project in every language', () => {
+    const portfolio = { projects: [{ slug: 'quiz' }, { title: 'No slug yet' }] };
+
+    const sitemap = buildSitemap({ portfolio, baseUrl: BASE_URL });
+    const locations = [...sitemap.matchAll(/<loc>([^<]+)<\/loc>/g)].map(([, url]) => url);
+
+    assert.equal(locations.length, 2 * 8);
+    ['https://example.com/', 'https://example.com/fr', 'https://example.com/projects/quiz', 'https://example.com/fr/projects/quiz'].forEach((url) => {
+        assert.ok(locations.includes(url), url);
+    });
+    assert.ok(sitemap.includes('<xhtml:link rel="alternate" hreflang="x-default" href="https://example.com/projects/quiz"/>'));
+});
+
+test('robots.txt keeps crawlers out of the admin, the API and the link redirects', () => {
+    assert.equal(buildRobots({ baseUrl: BASE_URL }), [
+        'User-agent: *',
+        'Disallow: /admin',
+        'Disallow: /login',
+        'Disallow: /api/',
+        'Disallow: /go/',
+        'Disallow: /fr/go/',
+        '',
+        'Sitemap: https://example.com/sitemap.xml',
+        ''
+    ].join('\n'));
+});
+
+test('the site serves its metadata, sitemap and robots.txt', async (t) => {
+    const app = await startApp(t, { env: { SITE_URL: 'https://portfolio.example' } });
+    const client = app.client();
+
+    const about = await client.request('/about');
+    assert.match(about.text, /<link rel="canonical" href="https:\/\/portfolio\.example\/about">/);
+    assert.match(about.text, /<meta property="og:type" content="profile">/);
+    assert.match(about.text, /<script type="application\/ld\+json">\{"@context":"https:\/\/schema\.org","@type":"ProfilePage"/);
+
+    const sitemap = await client.request('/sitemap.xml');
+    assert.match(sitemap.headers.get('content-type'), /^application\/xml/);
+    assert.ok(sitemap.text.includes('<loc>https://portfolio.example/projects</loc>'));
+
+    const robots = await client.request('/robots.txt');
+    assert.match(robots.headers.get('content-type'), /^text\/plain/);
+    assert.ok(robots.text.endsWith('Sitemap: https://portfolio.example/sitemap.xml\n'));
+});
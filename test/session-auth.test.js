@@ -0,0 +1,59 @@
+// ************************************************
+// Admin sessions
+// ************************************************
+// Each browser has its own session: logging in (or out) in one browser does
+// not log another one in (or out).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+
+test('the dashboard needs a logged-in session', async (t) => {
+    const app = await startApp(t);
+
+    const response = await app.client().request('/admin');
+
+    assert.equal(response.status, 302);
+    assert.equal(response.headers.get('location'), '/login');
+});
+
+test('logging in only logs in the browser that did it', async (t) => {
+    const app = await startApp(t);
+    const admin = app.client();
+    const visitor = app.client();
+
+    const login = await admin.login();
+    assert.equal(login.status, 302);
+    assert.equal(login.headers.get('location'), '/admin');
+
+    assert.equal((await admin.request('/admin')).status, 200);
+    assert.equal((await visitor.request('/admin')).status, 302);
+});
+
+test('the session cookie is renewed at login and kept from scripts', async (t) => {
+    const app = await startApp(t);
+    const client = app.client();
+    await client.csrfToken('/login');
+    const [name] = [...client.cookies.keys()];
+    const before = client.cookies.get(name);
+
+    const login = await client.login();
+
+    assert.notEqual(client.cookies.get(name), before);
+    const [setCookie] = login.headers.getSetCookie();
+    assert.match(setCookie, /; HttpOnly/i);
+    assert.match(setCookie, /; SameSite=Lax/i);
+});
+
+test('logging out ends only the session of that browser', async (t) => {
+    const app = await startApp(t);
+    const laptop = app.client();
+    const phone = app.client();
+    await laptop.login();
+    await phone.login();
+
+    const logout = await laptop.request('/logout', { method: 'POST', form: { _csrf: await laptop.csrfToken('/admin') } });
+    assert.equal(logout.status, 302);
+
+    assert.equal((await laptop.request('/admin')).headers.get('location'), '/login');
+    assert.equal((await phone.request('/admin')).status, 200);
+});
@@ -0,0 +1,82 @@
+// ************************************************
+// Storage drivers
+// ************************************************
+// Uploads go to the configured driver; reads and deletes go to the driver that
+// owns the stored URL, so local /uploads/... paths and Cloudinary URLs can mix.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../lib/storage');
+
+const CLOUDINARY = { cloudName: 'demo', apiKey: 'key', apiSecret: 'secret' };
+const CLOUDINARY_URL = 'https://res.cloudinary.com/demo/image/upload/v1712345678/portfolio/Gallery/photo.png';
+
+const createUploadsDir = async (t) => {
+    const uploadsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'portfolio-uploads-'));
+    t.after(() => fs.rm(uploadsDir, { recursive: true, force: true }));
+    return uploadsDir;
+};
+
+test.beforeEach((t) => {
+    t.mock.method(console, 'log', () => { });
+    t.mock.method(console, 'warn', () => { });
+});
+
+test('the local driver stores, reads and deletes files under the uploads directory', async (t) => {
+    const uploadsDir = await createUploadsDir(t);
+    const storage = createStorage({ driver: 'local', uploadsDir });
+
+    const { key, url } = await storage.put('Gallery', { originalname: 'My photo (1).png', buffer: Buffer.from('image') });
+
+    assert.match(key, /^Gallery\/\d+-My-photo-1-\.png$/);
+    assert.equal(url, `/uploads/${key}`);
+    assert.equal(await fs.readFile(path.join(uploadsDir, key), 'utf8'), 'image');
+    assert.equal((await storage.read(url)).toString(), 'image');
+    assert.ok(storage.isStoredUrl(url));
+
+    await storage.delete(url);
+    await assert.rejects(fs.access(path.join(uploadsDir, key)), { code: 'ENOENT' });
+});
+
+test('the local driver keeps keys inside the uploads directory', async (t) => {
+    const storage = createStorage({ driver: 'local', uploadsDir: await createUploadsDir(t) });
+
+    await assert.rejects(storage.read('/uploads/../app.js'), /Invalid storage key: \.\.\/app\.js/);
+
+    const { key } = await storage.put('Pdf', { originalname: '../../app.js', buffer: Buffer.from('x') });
+    assert.match(key, /^Pdf\/\d+-app\.js$/);
+});
+
+test('deleting never throws, even for files that are gone or not stored', async (t) => {
+    const storage = createStorage({ driver: 'local', uploadsDir: await createUploadsDir(t) });
+
+    await storage.delete('/uploads/Gallery/missing.png');
+    await storage.delete('https://example.com/photo.png');
+    await storage.delete('');
+
+    assert.equal(console.warn.mock.callCount(), 2);
+});
+
+test('URLs are matched to the driver that owns them', () => {
+    const storage = createStorage({ driver: 'local', cloudinary: CLOUDINARY });
+
+    assert.equal(storage.name, 'local');
+    assert.ok(storage.isStoredUrl('/uploads/Project/java%20gui.jpg'));
+    assert.ok(storage.isStoredUrl(CLOUDINARY_URL));
+    assert.equal(storage.isStoredUrl('https://example.com/photo.png'), false);
+
+    // Only Cloudinary resizes on delivery
+    assert.equal(storage.resizedUrl('/uploads/Gallery/photo.png', 640), null);
+    assert.equal(
+        storage.resizedUrl(CLOUDINARY_URL, 640),
+        'https://res.cloudinary.com/demo/image/upload/c_limit,w_640,f_auto,q_auto/v1712345678/portfolio/Gallery/photo.png'
+    );
+});
+
+test('an unknown driver, or Cloudinary without credentials, is refused', () => {
+    assert.throws(() => createStorage({ driver: 's3' }), /Storage driver "s3" is not available/);
+    assert.throws(() => createStorage({ driver: 'cloudinary', cloudinary: { cloudName: 'demo' } }), /Storage driver "cloudinary" is not available/);
+    assert.equal(createStorage({ driver: 'cloudinary', cloudinary: CLOUDINARY }).name, 'cloudinary');
+});
@@ -0,0 +1,76 @@
+// ************************************************
+// Site theme
+// ************************************************
+// The colors, font, corner radius and hero overlay picked in the admin become
+// CSS custom properties on every public page. Only checked values reach the
+// page's <style> block.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { THEME_DEFAULTS, themeSettings, themeVariables, themeCss, fontStylesheetUrl } = require('../lib/theme');
+const themeMigration = require('../lib/migrations/007-theme-settings');
+const { startApp } = require('./helpers/app');
+
+test('the stylesheet defaults match the theme defaults', () => {
+    const css = fs.readFileSync(path.join(__dirname, '..', 'public', 'css', 'style.css'), 'utf8');
+    const rootBlock = css.slice(css.indexOf(':root'), css.indexOf('}', css.indexOf(':root')));
+
+    Object.entries(themeVariables(THEME_DEFAULTS)).forEach(([name, value]) => {
+        assert.ok(rootBlock.includes(`${name}: ${value};`), name);
+    });
+});
+
+test('missing or invalid values fall back to the defaults', () => {
+    assert.deepEqual(themeSettings(null), THEME_DEFAULTS);
+    assert.deepEqual(themeSettings({ theme: { primaryColor: '#ABCDEF', font: 'lora', radius: 0, heroOverlay: 80 } }), {
+        ...THEME_DEFAULTS, primaryColor: '#ABCDEF', font: 'lora', radius: 0, heroOverlay: 80
+    });
+    assert.deepEqual(themeSettings({
+        theme: { primaryColor: 'red; } body { display: none', accentColor: '#fff', font: 'comic-sans', radius: 25, heroOverlay: 12.5 }
+    }), THEME_DEFAULTS);
+});
+
+test('the theme becomes a :root rule and a font stylesheet', () => {
+    assert.equal(
+        themeCss({ theme: { primaryColor: '#112233', accentColor: '#445566', font: 'system', radius: 6, heroOverlay: 40 } }),
+        ":root { --color-primary: #112233; --color-accent: #445566; --font-family: system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif; --radius: 6px; --hero-overlay: 0.4; }"
+    );
+    assert.equal(fontStylesheetUrl('inter'), 'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap');
+    assert.equal(fontStylesheetUrl('system'), null);
+    assert.equal(fontStylesheetUrl('unknown'), null);
+});
+
+test('migration 007 adds the defaults and keeps a saved theme', () => {
+    assert.deepEqual(themeMigration.up({ about: {} }).theme, THEME_DEFAULTS);
+    assert.deepEqual(themeMigration.up({ theme: { font: 'inter' } }).theme, { ...THEME_DEFAULTS, font: 'inter' });
+});
+
+test('the admin theme reaches the public pages once published', async (t) => {
+    const app = await startApp(t);
+    const client = app.client();
+    await client.login();
+    const theme = { primaryColor: '#0b7a75', accentColor: '#e4572e', font: 'lora', radius: '4', heroOverlay: '30' };
+
+    await client.submit('/admin/update-theme', theme);
+    assert.deepEqual((await app.readData('portfolio_draft.json')).theme, { ...theme, radius: 4, heroOverlay: 30 });
+    assert.ok(!(await app.client().request('/')).text.includes('#0b7a75'));
+
+    await client.submit('/admin/publish');
+    const { text } = await app.client().request('/projects');
+    assert.ok(text.includes('<style>:root { --color-primary: #0b7a75; --color-accent: #e4572e;'));
+    assert.ok(text.includes('href="https://fonts.googleapis.com/css2?family=Lora:wght@400;500;600;700&amp;display=swap"'));
+});
+
+test('a theme the schema rejects is not saved', async (t) => {
+    const app = await startApp(t);
+    const client = app.client();
+    await client.login();
+
+    await client.submit('/admin/update-theme', { primaryColor: 'blue', accentColor: '#e4572e', font: 'lora', radius: '40', heroOverlay: '30' });
+
+    const errors = await client.flashErrors();
+    assert.ok(errors.includes('Primary color must be a hex color like #4a90e2.'), errors.join('\n'));
+    assert.equal(errors.length, 2);
+    assert.deepEqual((await app.readData('portfolio_draft.json')).theme, THEME_DEFAULTS);
+});
@@ -0,0 +1,152 @@
+// ************************************************
+// Upload checks
+// ************************************************
+// Files are accepted on their content: the first bytes must match the
+// extension, images are measured from their header, and each storage folder
+// has its own size and pixel limits.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+const { UPLOAD_LIMITS, checkUpload, describeUploadLimits, fromMulterError } = require('../lib/uploads');
+const { STORAGE_FOLDERS } = require('../lib/storage');
+
+const UPLOADS = path.join(__dirname, '..', 'public', 'uploads');
+const PNG = fs.readFileSync(path.join(UPLOADS, 'Education', 'education-2.png'));
+const JPEG = fs.readFileSync(path.join(UPLOADS, 'Project', 'java gui.jpg'));
+const PDF = fs.readFileSync(path.join(UPLOADS, 'Pdf', '1760041587517-Python certification.pdf'));
+
+const upload = (originalname, buffer) => ({ originalname, buffer });
+
+// Limits one pixel narrower than the image, so the refusal names its size
+const tooNarrowFor = ({ width, height }) => ({ maxBytes: 10 * 1024 * 1024, maxWidth: width - 1, maxHeight: height });
+const refusedSize = (file, size) => assert.throws(
+    () => checkUpload(file, tooNarrowFor(size)),
+    { name: 'UploadError', message: new RegExp(`is ${size.width}×${size.height} pixels`) }
+);
+
+// Hand-made WebP headers: 'RIFF' <size> 'WEBP' then the first chunk
+const webp = (chunk, data) => Buffer.concat([
+    Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WEBP'), Buffer.from(chunk), Buffer.alloc(4), data
+]);
+
+test('every storage folder has upload limits', () => {
+    assert.deepEqual(STORAGE_FOLDERS.filter(folder => !UPLOAD_LIMITS[folder]), []);
+});
+
+test('real PNG, JPEG, WebP and PDF files pass their folder checks', async () => {
+    const canvas = createCanvas(300, 200);
+    canvas.getContext('2d').fillRect(0, 0, 300, 200);
+    const webpFile = await canvas.encode('webp', 80);
+
+    assert.doesNotThrow(() => checkUpload(upload('logo.png', PNG), UPLOAD_LIMITS.Education));
+    assert.doesNotThrow(() => checkUpload(upload('Screen.JPG', JPEG), UPLOAD_LIMITS.Project));
+    assert.doesNotThrow(() => checkUpload(upload('photo-640w.webp', webpFile), UPLOAD_LIMITS.Variants));
+    assert.doesNotThrow(() => checkUpload(upload('certificate.pdf', PDF), UPLOAD_LIMITS.Pdf));
+});
+
+test('image dimensions are read from the header', async () => {
+    for (const [name, buffer] of [['logo.png', PNG], ['screen.jpg', JPEG]]) {
+        const { width, height } = await loadImage(buffer);
+        refusedSize(upload(name, buffer), { width, height });
+    }
+
+    const canvas = createCanvas(300, 200);
+    canvas.getContext('2d').fillRect(0, 0, 300, 200);
+    refusedSize(upload('photo.webp', await canvas.encode('webp', 80)), { width: 300, height: 200 });
+});
+
+test('progressive JPEGs and every WebP encoding are measured', () => {
+    // SOI, an APP0 segment, fill bytes, then a progressive start of frame (SOF2)
+    const progressive = Buffer.from([
+        0xFF, 0xD8,
+        0xFF, 0xE0, 0x00, 0x04, 0x00, 0x00,
+        0xFF, 0xFF,
+        0xFF, 0xC2, 0x00, 0x11, 0x08, 0x02, 0x58, 0x03, 0x20, 0x03
+    ]);
+    refusedSize(upload('progressive.jpg', progressive), { width: 800, height: 600 });
+
+    // Lossy: frame tag, start code 9D 01 2A, then 14-bit width and height
+    const lossy = webp('VP8 ', Buffer.from([0, 0, 0, 0x9D, 0x01, 0x2A, 0x20, 0x03, 0x58, 0x02]));
+    refusedSize(upload('lossy.webp', lossy), { width: 800, height: 600 });
+
+    // Lossless: signature 2F, then width - 1 and height - 1 on 14 bits each
+    const bits = Buffer.alloc(4);
+    bits.writeUInt32LE((800 - 1) | ((600 - 1) << 14));
+    refusedSize(upload('lossless.webp', webp('VP8L', Buffer.concat([Buffer.from([0x2F]), bits]))), { width: 800, height: 600 });
+});
+
+test('a file whose content does not match its extension is refused', () => {
+    const forged = [
+        ['photo.png', JPEG, /"photo\.png" is not a valid PNG image/],
+        ['photo.jpg', PNG, /"photo\.jpg" is not a valid JPEG image/],
+        ['photo.webp', PNG, /"photo\.webp" is not a valid WebP image/],
+        ['certificate.pdf', Buffer.from('<html><script>alert(1)</script></html>'), /"certificate\.pdf" is not a valid PDF document/],
+        ['script.svg', PNG, /"script\.svg" is not a valid file: its content does not match its \.svg extension/],
+        ['no-extension', PNG, /missing extension/]
+    ];
+    forged.forEach(([name, buffer, message]) => {
+        assert.throws(() => checkUpload(upload(name, buffer), UPLOAD_LIMITS.Gallery), { name: 'UploadError', message }, name);
+    });
+});
+
+test('an image whose header is cut short or empty is refused', () => {
+    const unreadable = [
+        ['signature-only.png', PNG.subarray(0, 8)],
+        ['no-frame.jpg', JPEG.subarray(0, 20)],
+        ['broken-marker.jpg', Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10, 0x00, 0x00, 0x00, 0x00, 0x12, 0x34])],
+        ['cut.webp', webp('VP8L', Buffer.from([0x2F, 0x00]))],
+        ['unknown-chunk.webp', webp('ABCD', Buffer.alloc(10))]
+    ];
+    const zeroWidth = Buffer.from(PNG.subarray(0, 24));
+    zeroWidth.writeUInt32BE(0, 16);
+    unreadable.push(['zero-width.png', zeroWidth]);
+
+    unreadable.forEach(([name, buffer]) => {
+        assert.throws(() => checkUpload(upload(name, buffer), UPLOAD_LIMITS.Gallery), {
+            name: 'UploadError',
+            message: `"${name}" could not be read as an image.`
+        }, name);
+    });
+});
+
+test('files above the folder size limit are refused', () => {
+    const { maxBytes } = UPLOAD_LIMITS.Education;
+    const padded = Buffer.concat([PNG, Buffer.alloc(maxBytes + 1 - PNG.length)]);
+
+    assert.doesNotThrow(() => checkUpload(upload('logo.png', padded.subarray(0, maxBytes)), UPLOAD_LIMITS.Education));
+    assert.throws(() => checkUpload(upload('logo.png', padded), UPLOAD_LIMITS.Education), {
+        name: 'UploadError',
+        message: '"logo.png" is larger than the 2 MB allowed here.'
+    });
+});
+
+test('images above the folder pixel limits are refused', () => {
+    const { maxWidth, maxHeight } = UPLOAD_LIMITS.Education;
+    const oversized = Buffer.from(PNG);
+    oversized.writeUInt32BE(maxWidth + 1, 16);
+    oversized.writeUInt32BE(maxHeight, 20);
+
+    assert.throws(() => checkUpload(upload('logo.png', oversized), UPLOAD_LIMITS.Education), {
+        name: 'UploadError',
+        message: `"logo.png" is ${maxWidth + 1}×${maxHeight} pixels; images here can be at most ${maxWidth}×${maxHeight}.`
+    });
+    // PDFs have no pixel limits
+    assert.doesNotThrow(() => checkUpload(upload('certificate.pdf', PDF), UPLOAD_LIMITS.Pdf));
+});
+
+test('the limits are described for the upload forms', () => {
+    assert.equal(describeUploadLimits(UPLOAD_LIMITS.Carousel, ['.jpg', '.jpeg', '.png']), 'JPG or PNG, at most 8 MB and 6000×4000 pixels.');
+    assert.equal(describeUploadLimits(UPLOAD_LIMITS.Pdf, ['.pdf']), 'PDF, at most 10 MB.');
+});
+
+test("multer's errors become upload errors", () => {
+    const tooLarge = Object.assign(new Error('File too large'), { name: 'MulterError', code: 'LIMIT_FILE_SIZE' });
+    const error = fromMulterError(tooLarge, UPLOAD_LIMITS.Gallery.maxBytes);
+    assert.equal(error.name, 'UploadError');
+    assert.equal(error.message, 'The file is larger than the 10 MB allowed here.');
+
+    const other = new Error('disk full');
+    assert.equal(fromMulterError(other, 1), other);
+});